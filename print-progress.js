@@ -1,6 +1,6 @@
 /**
- * OBS Print Progress Overlay for Klipper/Moonraker
- * 
+ * OBS Print Progress Overlay for Klipper/Moonraker, OctoPrint and PrusaLink
+ *
  * Displays real-time 3D printer status including:
  * - Print progress percentage and progress bar
  * - Current/total layer information
@@ -8,9 +8,12 @@
  * - Time estimates (progress-based, slicer estimate, elapsed time)
  * - Live camera feed
  * - G-code thumbnail preview
- * 
+ *
  * Features:
  * - Multi-printer support via printers.json
+ * - Print farm dashboard (farm.html) with one card per printer
+ * - Live updates via Moonraker WebSocket subscription (HTTP polling fallback)
+ * - Pluggable printer backends (Moonraker, OctoPrint, PrusaLink) selected with "type"
  * - Automatic metadata extraction from G-code files
  * - Fallback layer/time calculations from filenames
  * - Theme system with CSS variables
@@ -40,23 +43,240 @@
     // CONFIGURATION VARIABLES
     // ============================================================
 
-    let PRINTER_IP = body.dataset.printerIp || 'localhost';
-    let PRINTER_NAME = body.dataset.printerName || 'Printer';
-    let UPDATE_INTERVAL = Number(body.dataset.updateInterval) || 2000;  // Polling interval in ms
-    let DEBUG = parseBool(body.dataset.debug || 'false');
-    let CAMERA_URL = body.dataset.cameraUrl || '';
-    let CAMERA_FLIP_X = parseBool(body.dataset.cameraFlipX || 'false');  // Mirror horizontally
-    let CAMERA_FLIP_Y = parseBool(body.dataset.cameraFlipY || 'false');  // Flip vertically
-    let SHOW_CHAMBER = parseBool(body.dataset.chamberEnabled || body.dataset.showChamber || 'false');
+    /*
+     * Per-printer settings live in the object returned by resolveSettings()
+     * and per-printer state inside createPrinterSession(), so several
+     * printers can run side by side on one page (farm.html).
+     */
+
+    const SUPPORTED_BACKENDS = ['moonraker', 'octoprint', 'prusalink'];
+    const DEFAULT_REQUEST_TIMEOUT = 5000;  // Per-request timeout in ms
+    const REMAINING_STRATEGIES = ['auto', 'file', 'filament', 'slicer', 'average', 'blend'];  // "remainingStrategy" values
+    const ETA_CLOCKS = ['auto', '12h', '24h'];          // "clock": auto follows the browser locale
+    const ETA_DATE_FORMATS = ['relative', 'date', 'iso'];  // "etaDate": how a finish on another day is shown
+    const SUPPORTED_LOCALES = ['en', 'de', 'es', 'fr'];  // "locale" languages with a string table (see STRINGS)
+    const UNIT_SYSTEMS = ['metric', 'imperial'];          // "units": imperial shows \u00B0F and in/s
+    let DEBUG = parseBool(body.dataset.debug || 'false');  // Page-level logging (config loading)
+    const SECRET_CONFIG_KEYS = ['apiKey', 'password'];  // Logged as (set)/(none), like resolveSettings() does
+    const LAYOUTS = ['camera', 'lower-third', 'sidebar', 'strip'];  // Built-in ?layout= values; "camera" is printer.html's own markup
+    const WIDGETS = ['progress', 'camera', 'thumbnail', 'temps', 'layers', 'eta', 'remaining', 'status', 'file', 'material', 'fields', 'jobs', 'stats', 'objects'];  // ?widget= values
+    const DEFAULT_ROTATE_SECONDS = 15;  // Carousel: seconds per printer (?rotate=)
+    const CAROUSEL_JUMP_STATES = ['complete', 'error'];  // Carousel: show these right away
+    const GCODE_HEAD_BYTES = 65536;   // Slicer banner and header block
+    const GCODE_TAIL_BYTES = 131072;  // Filament summary and slicer config block (Orca's is large)
+    const THUMBNAIL_SCAN_BYTES = 100000;      // First read when looking for embedded thumbnails
+    const THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024;  // Largest read for one high-resolution thumbnail
+    const CACHE_PREFIX = 'obs-print-progress:v1:';  // localStorage keys of the metadata/thumbnail cache
+    const CACHE_MAX_CHARS = 2500000;  // ~5 MB as UTF-16, shared by every overlay on this origin
+    const CACHE_MAX_ENTRIES = 50;
+
+    // Filename fallbacks for metadata the file itself doesn't provide; a printer's "filenamePatterns" replaces them
+    const DEFAULT_FILENAME_PATTERNS = [
+        { name: 'layer height', pattern: '[_\\s.](?<layer_height>0\\.\\d+)(?=[_\\s.]|mm|$)' },
+        { name: 'print time', pattern: '(?:^|[_\\s.-])(?<estimated_time>\\d+d(?:\\d+h)?(?:\\d+m)?|\\d+h(?:\\d+m)?|\\d+m)(?=[_\\s.-]|$)' }
+    ];
+    const FILENAME_PATTERN_GROUPS = ['layer_height', 'estimated_time', 'material', 'nozzle_diameter', 'object'];
+    const LAYER_Z_WINDOW_MS = 5000;  // Layer tracker: a Z rise has to outlast this to count (Z-hops don't)
+    const LAYER_Z_TOLERANCE = 0.01;  // mm; a Z this close to a layer boundary belongs to that layer
+    const LAYER_SCAN_MAX_BYTES = 64 * 1024 * 1024;  // Largest G-code read for layer change markers
+    const LAYER_SCAN_TIMEOUT = 120000;  // ms; the scan reads the whole file
+    const METADATA_RETRY_MS = 60000;    // A file whose metadata couldn't be read is looked up again after this
+    const DEFAULT_TEMP_HISTORY_MINUTES = 10;  // Sparklines: minutes of temperature history ("tempHistory", 5-30, 0 = off)
+    const TEMP_HISTORY_SAMPLE_MS = 1000;      // At most one sample per heater per second, like Moonraker's temperature_store
+    const SPARKLINE_HEIGHT = 24;              // viewBox height of the sparkline <svg>
+    const SPARKLINE_MIN_SPAN = 10;            // \u00B0C; flatter histories are centred so sensor noise doesn't look like a swing
+    const CUSTOM_FIELD_FORMATS = ['number', 'percent', 'temp', 'text'];  // "customFields" format values
+    const DEFAULT_JOB_PANEL_SIZE = 3;  // Job panel: queued and finished jobs listed ("jobQueue", "jobHistory", 0-10, 0 = off)
+    const JOB_PANEL_MAX = 10;
+    const JOB_REFRESH_MS = 30000;      // Job panel: re-read the queue and history this often (and when the print state changes)
+    const STATS_REFRESH_MS = 600000;   // Lifetime stats: re-read history totals every 10 minutes, whatever the poll interval
+    const OBJECT_MAP_MARKER = 0.02;    // Object map: objects without a polygon are drawn as a dot this share of the bed size
+
+    // Parsed metadata and thumbnails that survive OBS reloading the browser source
+    const fileCache = createPersistentCache(openLocalStorage(), {
+        prefix: CACHE_PREFIX,
+        maxChars: CACHE_MAX_CHARS,
+        maxEntries: CACHE_MAX_ENTRIES
+    });
+
+    // ============================================================
+    // LOCALIZATION STRINGS
+    // ============================================================
+
+    /*
+     * Text the overlay writes, per language. Labels in the HTML name their
+     * key with data-i18n="label.layer"; {placeholders} are filled in by
+     * translate(). Missing keys fall back to English.
+     */
+    const STRINGS = {
+        en: {
+            'label.layer': 'Layer',
+            'label.file': 'File',
+            'label.hotend': 'Hotend',
+            'label.bed': 'Bed',
+            'label.chamber': 'Chamber',
+            'label.material': 'Material',
+            'label.speed': 'Speed',
+            'label.flow': 'Flow',
+            'label.progress': 'Progress',
+            'label.elapsed': 'Elapsed',
+            'label.remaining': 'Remaining',
+            'label.doneAt': 'Done at',
+            'label.upNext': 'Up next',
+            'label.recent': 'Recent prints',
+            'label.printTime': 'Print time',
+            'label.filament': 'Filament',
+            'label.jobs': 'Jobs',
+            'label.longestPrint': 'Longest print',
+            'label.object': 'Object',
+            'state.printing': 'Printing',
+            'state.paused': 'Paused',
+            'state.complete': 'Complete',
+            'state.cancelled': 'Cancelled',
+            'state.error': 'Error',
+            'state.standby': 'Standby',
+            'status.connecting': 'Connecting...',
+            'status.retrying': 'Retrying... ({count}/{max})',
+            'status.authError': 'Authentication Error',
+            'status.apiNotFound': 'API Not Found',
+            'status.unreachable': 'Unreachable: {host}',
+            'status.configError': 'Config Error',
+            'file.unknown': 'Unknown',
+            'farm.summary': '{printing} / {total} printing',
+            'eta.tomorrow': 'Tomorrow',
+            'objects.excluded': '{count} excluded'
+        },
+        de: {
+            'label.layer': 'Schicht',
+            'label.file': 'Datei',
+            'label.hotend': 'Hotend',
+            'label.bed': 'Bett',
+            'label.chamber': 'Bauraum',
+            'label.material': 'Material',
+            'label.speed': 'Geschwindigkeit',
+            'label.flow': 'Fluss',
+            'label.progress': 'Fortschritt',
+            'label.elapsed': 'Verstrichen',
+            'label.remaining': 'Verbleibend',
+            'label.doneAt': 'Fertig um',
+            'label.upNext': 'Als Nächstes',
+            'label.recent': 'Letzte Drucke',
+            'label.printTime': 'Druckzeit',
+            'label.filament': 'Filament',
+            'label.jobs': 'Aufträge',
+            'label.longestPrint': 'Längster Druck',
+            'label.object': 'Objekt',
+            'state.printing': 'Druckt',
+            'state.paused': 'Pausiert',
+            'state.complete': 'Fertig',
+            'state.cancelled': 'Abgebrochen',
+            'state.error': 'Fehler',
+            'state.standby': 'Bereit',
+            'status.connecting': 'Verbinde...',
+            'status.retrying': 'Neuer Versuch... ({count}/{max})',
+            'status.authError': 'Anmeldefehler',
+            'status.apiNotFound': 'API nicht gefunden',
+            'status.unreachable': 'Nicht erreichbar: {host}',
+            'status.configError': 'Konfigurationsfehler',
+            'file.unknown': 'Unbekannt',
+            'farm.summary': '{printing} / {total} drucken',
+            'eta.tomorrow': 'Morgen',
+            'objects.excluded': '{count} ausgeschlossen'
+        },
+        es: {
+            'label.layer': 'Capa',
+            'label.file': 'Archivo',
+            'label.hotend': 'Hotend',
+            'label.bed': 'Cama',
+            'label.chamber': 'Cámara',
+            'label.material': 'Material',
+            'label.speed': 'Velocidad',
+            'label.flow': 'Flujo',
+            'label.progress': 'Progreso',
+            'label.elapsed': 'Transcurrido',
+            'label.remaining': 'Restante',
+            'label.doneAt': 'Termina',
+            'label.upNext': 'A continuación',
+            'label.recent': 'Impresiones recientes',
+            'label.printTime': 'Tiempo de impresión',
+            'label.filament': 'Filamento',
+            'label.jobs': 'Trabajos',
+            'label.longestPrint': 'Impresión más larga',
+            'label.object': 'Objeto',
+            'state.printing': 'Imprimiendo',
+            'state.paused': 'En pausa',
+            'state.complete': 'Completado',
+            'state.cancelled': 'Cancelado',
+            'state.error': 'Error',
+            'state.standby': 'En espera',
+            'status.connecting': 'Conectando...',
+            'status.retrying': 'Reintentando... ({count}/{max})',
+            'status.authError': 'Error de autenticación',
+            'status.apiNotFound': 'API no encontrada',
+            'status.unreachable': 'Sin conexión: {host}',
+            'status.configError': 'Error de configuración',
+            'file.unknown': 'Desconocido',
+            'farm.summary': '{printing} / {total} imprimiendo',
+            'eta.tomorrow': 'Mañana',
+            'objects.excluded': '{count} excluidos'
+        },
+        fr: {
+            'label.layer': 'Couche',
+            'label.file': 'Fichier',
+            'label.hotend': 'Buse',
+            'label.bed': 'Plateau',
+            'label.chamber': 'Caisson',
+            'label.material': 'Matériau',
+            'label.speed': 'Vitesse',
+            'label.flow': 'Débit',
+            'label.progress': 'Progression',
+            'label.elapsed': 'Écoulé',
+            'label.remaining': 'Restant',
+            'label.doneAt': 'Fin à',
+            'label.upNext': 'À suivre',
+            'label.recent': 'Impressions récentes',
+            'label.printTime': "Temps d'impression",
+            'label.filament': 'Filament',
+            'label.jobs': 'Impressions',
+            'label.longestPrint': 'Plus longue impression',
+            'label.object': 'Objet',
+            'state.printing': 'Impression',
+            'state.paused': 'En pause',
+            'state.complete': 'Terminé',
+            'state.cancelled': 'Annulé',
+            'state.error': 'Erreur',
+            'state.standby': 'En attente',
+            'status.connecting': 'Connexion...',
+            'status.retrying': 'Nouvel essai... ({count}/{max})',
+            'status.authError': "Erreur d'authentification",
+            'status.apiNotFound': 'API introuvable',
+            'status.unreachable': 'Injoignable : {host}',
+            'status.configError': 'Erreur de configuration',
+            'file.unknown': 'Inconnu',
+            'farm.summary': '{printing} / {total} en impression',
+            'eta.tomorrow': 'Demain',
+            'objects.excluded': '{count} exclus'
+        }
+    };
 
     // ============================================================
-    // METADATA CACHE
+    // PRINT STATE PRESENTATION
     // ============================================================
 
-    const metadataCache = {
-        filename: null,
-        data: null,
-        source: null
+    /*
+     * How renderStatus() shows each printer state. A job state keeps the
+     * file, thumbnail, layers and elapsed time on screen; `progress` is
+     * 'live' (as reported), 'full' (100%) or 'none' (cleared); `message`
+     * shows the host's reason in #statusMessage. Other states (offline,
+     * unknown ones) look like standby.
+     */
+    const STATE_PRESENTATION = {
+        printing: { pill: 'ok', job: true, progress: 'live', remaining: true, eta: true, message: false },
+        paused: { pill: 'idle', job: true, progress: 'live', remaining: true, eta: false, message: false },
+        complete: { pill: 'done', job: true, progress: 'full', remaining: false, eta: false, message: false },
+        cancelled: { pill: 'error', job: true, progress: 'live', remaining: false, eta: false, message: true },
+        error: { pill: 'error', job: true, progress: 'live', remaining: false, eta: false, message: true },
+        standby: { pill: 'idle', job: false, progress: 'none', remaining: false, eta: false, message: false }
     };
 
     // ============================================================
@@ -75,50 +295,160 @@
         'temperature_sensor enclosure_upper',
         'temperature_sensor chamber_average'
     ];
-    let chamberObjectName = null;
-    let objectListCache = null;
-    let objectListFetchedAt = 0;
+
+    // ============================================================
+    // WEBSOCKET OBJECTS
+    // ============================================================
+
+    const subscribedObjects = [
+        'print_stats',
+        'virtual_sdcard',
+        'display_status',
+        'extruder',
+        'heater_bed',
+        'toolhead',
+        'motion_report'
+    ];
+
+    const maxApiRetries = 5;
 
     // ============================================================
     // CONFIGURATION FUNCTIONS
     // ============================================================
 
-    function applyConfig(cfg) {
-        const b = body;
+    /**
+     * Resolve a printer config (printers.json entry merged with query
+     * overrides) into the settings object a printer session runs on.
+     * `defaults` supplies fallbacks (the body data attributes of printer.html).
+     */
+    function resolveSettings(cfg, defaults = {}) {
         const config = cfg || {};
 
-        PRINTER_NAME = config.name || config.label || b.dataset.printerName || 'Printer';
-        PRINTER_IP = config.ip || config.host || b.dataset.printerIp || 'localhost';
-        CAMERA_URL = config.camera || '';
-        CAMERA_FLIP_X = parseBool(config.flipHorizontal ?? b.dataset.cameraFlipX ?? 'false');
-        CAMERA_FLIP_Y = parseBool(config.flipVertical ?? b.dataset.cameraFlipY ?? 'false');
-        SHOW_CHAMBER = parseBool(config.showChamber ?? b.dataset.chamberEnabled ?? b.dataset.showChamber ?? 'false');
-        UPDATE_INTERVAL = Number(config.updateInterval || config.intervalMs || b.dataset.updateInterval || 2000) || 2000;
-        DEBUG = parseBool(config.debug ?? b.dataset.debug ?? 'false');
+        const type = normalizeBackendType(config.type);
+        const baseUrl = buildBaseUrl({ ...config, ip: config.ip || config.host || defaults.printerIp });
+        const ip = parseBaseUrl(baseUrl).host;
+        const updateInterval = Number(config.updateInterval || config.intervalMs || defaults.updateInterval || 2000) || 2000;
+
+        const settings = {
+            id: config.id || '',
+            name: config.name || config.label || defaults.printerName || 'Printer',
+            type,
+            baseUrl,
+            ip,
+            camera: config.camera || '',
+            flipX: parseBool(config.flipHorizontal ?? defaults.cameraFlipX ?? 'false'),
+            flipY: parseBool(config.flipVertical ?? defaults.cameraFlipY ?? 'false'),
+            showChamber: parseBool(config.showChamber ?? defaults.chamberEnabled ?? defaults.showChamber ?? 'false'),
+            updateInterval,
+            printingInterval: Number(config.printingInterval) || updateInterval,  // Poll interval while printing/paused
+            idleInterval: Number(config.idleInterval) || Math.max(updateInterval, 5000),  // Poll interval while idle/standby
+            requestTimeout: Number(config.requestTimeout) || DEFAULT_REQUEST_TIMEOUT,
+            websocket: parseBool(config.websocket ?? defaults.websocket ?? 'true'),  // Subscribe via Moonraker WebSocket, fall back to polling
+            scanLayers: parseBool(config.scanLayers ?? 'true'),  // Read layer Z heights from the G-code when the slicer doesn't report layers
+            remainingStrategy: String(config.remainingStrategy || 'auto').toLowerCase(),  // How "Remaining" is estimated (REMAINING_STRATEGIES)
+            timeZone: isValidTimeZone(config.timeZone) ? config.timeZone : '',  // IANA zone for the ETA; empty = the browser's
+            clock: String(config.clock || 'auto').toLowerCase(),                // ETA clock (ETA_CLOCKS)
+            etaDate: String(config.etaDate || 'relative').toLowerCase(),        // ETA date style (ETA_DATE_FORMATS)
+            locale: resolveLocale(config.locale),                              // Strings (STRINGS) and number/date formatting
+            units: String(config.units || 'metric').toLowerCase(),              // Temperature/speed units (UNIT_SYSTEMS)
+            tempHistory: config.tempHistory !== undefined && Number.isFinite(Number(config.tempHistory))
+                ? Number(config.tempHistory)
+                : DEFAULT_TEMP_HISTORY_MINUTES,                                 // Sparkline minutes; 0 hides them
+            apiKey: typeof config.apiKey === 'string' ? config.apiKey.trim() : '',  // Sent as X-Api-Key; never written to the DOM
+            username: config.username || 'maker',  // PrusaLink digest auth user
+            password: config.password || '',       // PrusaLink digest auth password (never written to the DOM)
+            filenamePatterns: compileFilenamePatterns(config.filenamePatterns ?? DEFAULT_FILENAME_PATTERNS).patterns,
+            customFields: compileCustomFields(config.customFields ?? []).fields,  // Extra chips read from Klipper objects
+            jobQueue: jobPanelSize(config.jobQueue),      // Queued jobs in the job panel; 0 hides them
+            jobHistory: jobPanelSize(config.jobHistory),  // Finished jobs in the job panel; 0 hides them
+            debug: parseBool(config.debug ?? defaults.debug ?? 'false')
+        };
 
-        console.log('[OBS Print Progress] DEBUG mode:', DEBUG);
-        if (DEBUG) {
+        // PrusaLink has no MJPEG webcam endpoint to auto-build
+        if (!settings.camera && ip && ip !== 'localhost' && type !== 'prusalink') {
+            settings.camera = buildDefaultCameraUrl(baseUrl);
+        }
+
+        if (settings.debug) {
             console.log('[OBS Print Progress] Config loaded:', {
-                name: PRINTER_NAME,
-                ip: PRINTER_IP,
-                camera: CAMERA_URL,
-                showChamber: SHOW_CHAMBER,
-                interval: UPDATE_INTERVAL
+                name: settings.name,
+                type: settings.type,
+                ip: settings.ip,
+                baseUrl: settings.baseUrl,
+                camera: settings.camera,
+                showChamber: settings.showChamber,
+                interval: settings.updateInterval,
+                printingInterval: settings.printingInterval,
+                idleInterval: settings.idleInterval,
+                requestTimeout: settings.requestTimeout,
+                websocket: settings.websocket,
+                apiKey: settings.apiKey ? '(set)' : '(none)',
+                digestAuth: settings.password ? settings.username : '(none)'
             });
         }
 
-        if (!CAMERA_URL && PRINTER_IP && PRINTER_IP !== 'localhost') {
-            CAMERA_URL = `http://${PRINTER_IP}/webcam/?action=stream`;
+        return settings;
+    }
+
+    // Mirror the active printer onto the body data attributes (single overlay)
+    function applyConfig(settings) {
+        const b = body;
+        DEBUG = settings.debug;
+
+        b.dataset.printerId = settings.id;
+        b.dataset.printerName = settings.name;
+        b.dataset.printerIp = settings.ip;
+        b.dataset.cameraUrl = settings.camera;
+        b.dataset.cameraFlipX = String(settings.flipX);
+        b.dataset.cameraFlipY = String(settings.flipY);
+        b.dataset.chamberEnabled = String(settings.showChamber);
+        b.dataset.updateInterval = String(settings.updateInterval);
+        b.dataset.websocket = String(settings.websocket);
+        b.dataset.debug = String(settings.debug);
+        document.documentElement.lang = settings.locale;
+    }
+
+    /**
+     * Build the Moonraker base URL (no trailing slash) from either `baseUrl`
+     * or `ip` plus the optional `scheme`, `port` and `pathPrefix` fields.
+     * Examples: https://farm.example.com/printer2, http://192.168.1.50:7125
+     */
+    function buildBaseUrl(config) {
+        if (config.baseUrl) {
+            const raw = String(config.baseUrl).trim();
+            const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`;
+            return withScheme.replace(/\/+$/, '');
+        }
+
+        const host = config.ip || config.host || 'localhost';
+        const scheme = String(config.scheme || 'http').replace(/:?\/*$/, '').toLowerCase();
+        const port = config.port ? `:${config.port}` : '';
+        return `${scheme}://${host}${port}${normalizePathPrefix(config.pathPrefix)}`;
+    }
+
+    // new URL() with an error that names the printer address instead of "Invalid URL"
+    function parseBaseUrl(baseUrl) {
+        try {
+            return new URL(baseUrl);
+        } catch {
+            throw new Error(`Printer address "${baseUrl}" is not a valid URL (check ip, port and pathPrefix)`);
         }
+    }
+
+    function normalizePathPrefix(prefix) {
+        if (!prefix) return '';
+        const trimmed = String(prefix).trim().replace(/^\/+|\/+$/g, '');
+        return trimmed ? `/${trimmed}` : '';
+    }
 
-        b.dataset.printerName = PRINTER_NAME;
-        b.dataset.printerIp = PRINTER_IP;
-        b.dataset.cameraUrl = CAMERA_URL;
-        b.dataset.cameraFlipX = String(CAMERA_FLIP_X);
-        b.dataset.cameraFlipY = String(CAMERA_FLIP_Y);
-        b.dataset.chamberEnabled = String(SHOW_CHAMBER);
-        b.dataset.updateInterval = String(UPDATE_INTERVAL);
-        b.dataset.debug = String(DEBUG);
+    /**
+     * Default webcam stream for a printer. The webcam is served by nginx
+     * (port 80/443), not Moonraker, so a direct :7125 port is dropped.
+     */
+    function buildDefaultCameraUrl(baseUrl) {
+        const url = new URL(baseUrl);
+        if (url.port === '7125') url.port = '';
+        return `${url.origin}${url.pathname.replace(/\/+$/, '')}/webcam/?action=stream`;
     }
 
     function validateConfig(config, isFromList = false) {
@@ -139,15 +469,51 @@
             errors.push('Printer configuration missing "name" field');
         }
 
-        if (!config.ip && !config.host) {
-            errors.push('Printer configuration missing "ip" field (IP address or hostname)');
+        if (config.baseUrl !== undefined) {
+            try {
+                const url = new URL(buildBaseUrl(config));
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    errors.push('baseUrl must use http:// or https://');
+                }
+            } catch {
+                errors.push(`baseUrl "${config.baseUrl}" is not a valid URL`);
+            }
+        } else if (!config.ip && !config.host) {
+            errors.push('Printer configuration missing "ip" field (IP address or hostname) or "baseUrl"');
         } else {
             const ip = config.ip || config.host;
             if (typeof ip !== 'string' || !ip.trim()) {
                 errors.push('Printer "ip" must be a non-empty string');
+            } else if (ip.includes('://')) {
+                errors.push(`ip "${ip}" must be a hostname or IP address (use "baseUrl" for a full URL)`);
+            } else {
+                try {
+                    parseBaseUrl(buildBaseUrl(config));
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+        }
+
+        if (config.scheme !== undefined && !/^https?$/i.test(String(config.scheme).replace(/:?\/*$/, ''))) {
+            errors.push('scheme must be "http" or "https"');
+        }
+
+        if (config.port !== undefined) {
+            const port = Number(config.port);
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                errors.push('port must be an integer between 1 and 65535');
             }
         }
 
+        if (config.type !== undefined && !SUPPORTED_BACKENDS.includes(normalizeBackendType(config.type))) {
+            errors.push(`type "${config.type}" is not supported (use ${SUPPORTED_BACKENDS.join(' or ')})`);
+        }
+
+        if (config.apiKey !== undefined && typeof config.apiKey !== 'string') {
+            errors.push('apiKey must be a string');
+        }
+
         if (config.updateInterval !== undefined) {
             const interval = Number(config.updateInterval);
             if (!Number.isFinite(interval) || interval < 500 || interval > 60000) {
@@ -155,6 +521,74 @@
             }
         }
 
+        if (config.printingInterval !== undefined) {
+            const interval = Number(config.printingInterval);
+            if (!Number.isFinite(interval) || interval < 500 || interval > 60000) {
+                errors.push('printingInterval must be between 500 and 60000 milliseconds');
+            }
+        }
+
+        if (config.idleInterval !== undefined) {
+            const interval = Number(config.idleInterval);
+            if (!Number.isFinite(interval) || interval < 500 || interval > 300000) {
+                errors.push('idleInterval must be between 500 and 300000 milliseconds');
+            }
+        }
+
+        if (config.requestTimeout !== undefined) {
+            const timeout = Number(config.requestTimeout);
+            if (!Number.isFinite(timeout) || timeout < 1000 || timeout > 60000) {
+                errors.push('requestTimeout must be between 1000 and 60000 milliseconds');
+            }
+        }
+
+        if (config.remainingStrategy !== undefined && !REMAINING_STRATEGIES.includes(String(config.remainingStrategy).toLowerCase())) {
+            errors.push(`remainingStrategy "${config.remainingStrategy}" is not supported (use ${REMAINING_STRATEGIES.join(', ')})`);
+        }
+
+        if (config.timeZone !== undefined && config.timeZone !== '' && !isValidTimeZone(config.timeZone)) {
+            errors.push(`timeZone "${config.timeZone}" is not a valid IANA time zone (e.g. "Europe/Berlin")`);
+        }
+
+        if (config.clock !== undefined && !ETA_CLOCKS.includes(String(config.clock).toLowerCase())) {
+            errors.push(`clock must be ${ETA_CLOCKS.join(', ')}`);
+        }
+
+        if (config.etaDate !== undefined && !ETA_DATE_FORMATS.includes(String(config.etaDate).toLowerCase())) {
+            errors.push(`etaDate must be ${ETA_DATE_FORMATS.join(', ')}`);
+        }
+
+        if (config.locale !== undefined && String(config.locale).toLowerCase() !== 'auto' && !SUPPORTED_LOCALES.includes(localeLanguage(config.locale))) {
+            errors.push(`locale "${config.locale}" is not supported (use ${SUPPORTED_LOCALES.join(', ')} or auto, optionally with a region like "de-AT")`);
+        }
+
+        if (config.units !== undefined && !UNIT_SYSTEMS.includes(String(config.units).toLowerCase())) {
+            errors.push(`units must be ${UNIT_SYSTEMS.join(' or ')}`);
+        }
+
+        if (config.tempHistory !== undefined) {
+            const minutes = Number(config.tempHistory);
+            if (!Number.isFinite(minutes) || (minutes !== 0 && (minutes < 5 || minutes > 30))) {
+                errors.push('tempHistory must be 0 (off) or between 5 and 30 minutes');
+            }
+        }
+
+        if (config.filenamePatterns !== undefined) {
+            errors.push(...compileFilenamePatterns(config.filenamePatterns).errors);
+        }
+
+        if (config.customFields !== undefined) {
+            errors.push(...compileCustomFields(config.customFields).errors);
+        }
+
+        ['jobQueue', 'jobHistory'].forEach(key => {
+            if (config[key] === undefined) return;
+            const count = Number(config[key]);
+            if (!Number.isInteger(count) || count < 0 || count > JOB_PANEL_MAX) {
+                errors.push(`${key} must be 0 (off) to ${JOB_PANEL_MAX} jobs`);
+            }
+        });
+
         return { valid: errors.length === 0, errors };
     }
 
@@ -188,6 +622,16 @@
         return { valid: allErrors.length === 0 && validConfigs.length > 0, errors: allErrors, validConfigs };
     }
 
+    // Copy of a printer config that is safe to log: secrets become (set)/(none)
+    function redactConfig(config) {
+        if (!config || typeof config !== 'object') return config;
+        const redacted = { ...config };
+        SECRET_CONFIG_KEYS.forEach(name => {
+            if (name in redacted) redacted[name] = redacted[name] ? '(set)' : '(none)';
+        });
+        return redacted;
+    }
+
     async function loadConfig() {
         const query = new URLSearchParams(window.location.search);
         const key = (
@@ -201,20 +645,20 @@
         console.log('[OBS Print Progress] Loading config for printer key:', key || '(default/first)');
 
         const queryOverride = parseQueryConfig(query);
-        if (queryOverride) console.log('[OBS Print Progress] Query params found:', queryOverride);
+        if (DEBUG && queryOverride) console.log('[OBS Print Progress] Query params found:', redactConfig(queryOverride));
 
         const list = await fetchPrinterList();
-        if (DEBUG) console.log('[OBS Print Progress] Printer list loaded:', list);
+        if (DEBUG) console.log('[OBS Print Progress] Printer list loaded:', Array.isArray(list) ? list.map(redactConfig) : list);
 
         if (list && list.length) {
             const found = selectConfig(list, key);
             const base = found || list[0];
             const merged = { ...base, ...queryOverride };
-            if (DEBUG) console.log('[OBS Print Progress] Final config:', merged);
+            if (DEBUG) console.log('[OBS Print Progress] Final config:', redactConfig(merged));
             return merged;
         }
 
-        if (queryOverride && queryOverride.ip) return queryOverride;
+        if (queryOverride && (queryOverride.ip || queryOverride.baseUrl)) return queryOverride;
         if (window.PRINTER_CONFIG) return { ...window.PRINTER_CONFIG, ...queryOverride };
         return queryOverride || null;
     }
@@ -254,10 +698,7 @@
         const url = new URL(path, window.location.href).href;
 
         try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 2000);
-            const resp = await fetch(url, { signal: controller.signal });
-            clearTimeout(timeout);
+            const resp = await fetchWithTimeout(url, { timeout: 2000 });
 
             if (resp.ok) {
                 const json = await resp.json();
@@ -335,6 +776,11 @@
         const cfg = {};
         if (query.get('ip')) cfg.ip = query.get('ip');
         if (query.get('host')) cfg.ip = query.get('host');
+        if (query.get('type')) cfg.type = query.get('type');
+        if (query.get('baseUrl')) cfg.baseUrl = query.get('baseUrl');
+        if (query.get('scheme')) cfg.scheme = query.get('scheme');
+        if (query.get('port')) cfg.port = Number(query.get('port'));
+        if (query.get('pathPrefix')) cfg.pathPrefix = query.get('pathPrefix');
         if (query.get('name')) cfg.name = query.get('name');
         if (query.get('label')) cfg.name = query.get('label');
         if (query.get('camera')) cfg.camera = query.get('camera');
@@ -346,6 +792,28 @@
         if (query.get('showChamber')) cfg.showChamber = parseBool(query.get('showChamber'));
         if (query.get('interval')) cfg.updateInterval = Number(query.get('interval'));
         if (query.get('updateInterval')) cfg.updateInterval = Number(query.get('updateInterval'));
+        if (query.get('apiKey')) cfg.apiKey = query.get('apiKey');
+        if (query.get('api_key')) cfg.apiKey = query.get('api_key');
+        if (query.get('username')) cfg.username = query.get('username');
+        if (query.get('password')) cfg.password = query.get('password');
+        if (query.get('ws')) cfg.websocket = parseBool(query.get('ws'));
+        if (query.get('websocket')) cfg.websocket = parseBool(query.get('websocket'));
+        if (query.get('printingInterval')) cfg.printingInterval = Number(query.get('printingInterval'));
+        if (query.get('idleInterval')) cfg.idleInterval = Number(query.get('idleInterval'));
+        if (query.get('timeout')) cfg.requestTimeout = Number(query.get('timeout'));
+        if (query.get('requestTimeout')) cfg.requestTimeout = Number(query.get('requestTimeout'));
+        if (query.get('remaining')) cfg.remainingStrategy = query.get('remaining');
+        if (query.get('remainingStrategy')) cfg.remainingStrategy = query.get('remainingStrategy');
+        if (query.get('tz')) cfg.timeZone = query.get('tz');
+        if (query.get('timeZone')) cfg.timeZone = query.get('timeZone');
+        if (query.get('clock')) cfg.clock = query.get('clock');
+        if (query.get('etaDate')) cfg.etaDate = query.get('etaDate');
+        if (query.get('lang')) cfg.locale = query.get('lang');
+        if (query.get('locale')) cfg.locale = query.get('locale');
+        if (query.get('units')) cfg.units = query.get('units');
+        if (query.get('tempHistory')) cfg.tempHistory = Number(query.get('tempHistory'));
+        if (query.get('jobQueue')) cfg.jobQueue = Number(query.get('jobQueue'));
+        if (query.get('jobHistory')) cfg.jobHistory = Number(query.get('jobHistory'));
         if (query.get('debug')) cfg.debug = parseBool(query.get('debug'));
         return cfg;
     }
@@ -359,31 +827,43 @@
         }) || null;
     }
 
-    function setPrinterName() {
-        const printerNameEl = document.getElementById('printerName');
-        if (printerNameEl) printerNameEl.textContent = PRINTER_NAME;
+    function setPrinterName(view, settings) {
+        const printerNameEl = view.el('printerName');
+        if (printerNameEl) printerNameEl.textContent = settings.name;
     }
 
-    function setupCamera() {
-        const cameraEl = document.getElementById('cameraFeed');
+    function setupCamera(view, session) {
+        const cameraEl = view.el('cameraFeed');
         if (!cameraEl) return;
 
-        if (CAMERA_URL) {
+        const settings = session.settings;
+
+        // the carousel re-runs this per printer; retries of the previous camera must not fire
+        const generation = String(Number(cameraEl.dataset.generation || 0) + 1);
+        cameraEl.dataset.generation = generation;
+
+        if (settings.camera) {
             let retryCount = 0;
             const maxRetries = 3;
 
-            const loadCamera = () => {
-                cameraEl.src = CAMERA_URL + (retryCount > 0 ? `?retry=${retryCount}&t=${Date.now()}` : '');
+            const loadCamera = async () => {
+                // <img> can't send X-Api-Key, so authorized streams get a one-shot token
+                const token = await session.cameraToken();
+                if (cameraEl.dataset.generation !== generation) return;
+                let url = withToken(settings.camera, token);
+                if (retryCount > 0) url += `${url.includes('?') ? '&' : '?'}retry=${retryCount}&t=${Date.now()}`;
+                cameraEl.src = url;
                 cameraEl.classList.remove('hidden');
                 const flips = [];
-                if (CAMERA_FLIP_X) flips.push('scaleX(-1)');
-                if (CAMERA_FLIP_Y) flips.push('scaleY(-1)');
+                if (settings.flipX) flips.push('scaleX(-1)');
+                if (settings.flipY) flips.push('scaleY(-1)');
                 cameraEl.style.transform = flips.join(' ');
             };
 
             cameraEl.onload = () => cameraEl.classList.add('loaded');
 
             cameraEl.onerror = () => {
+                if (cameraEl.dataset.generation !== generation) return;
                 cameraEl.classList.remove('loaded');
                 retryCount++;
                 if (retryCount <= maxRetries) {
@@ -394,6 +874,8 @@
 
             loadCamera();
         } else {
+            cameraEl.removeAttribute('src');
+            cameraEl.classList.remove('loaded');
             cameraEl.classList.add('hidden');
         }
     }
@@ -405,362 +887,2519 @@
     await initialize();
 
     async function initialize() {
+        const farmGrid = document.getElementById('farmGrid');
+        if (farmGrid) {
+            await initializeFarm(farmGrid);
+            return;
+        }
+
+        const query = new URLSearchParams(window.location.search);
+        if (query.get('widget')) applyWidgets(query.get('widget'));
+        else applyLayout(query.get('layout'));
+
+        const carouselKeys = parsePrinterKeys(query.get('printers'));
+        if (carouselKeys.length > 1 || query.has('rotate')) {
+            await initializeCarousel(query, carouselKeys);
+            return;
+        }
+
         const cfg = await loadConfig();
         if (!cfg) {
             showConfigError('No printer config found. Ensure printers.json is readable or pass ?ip=...&name=... in the URL.');
             return;
         }
 
-        applyConfig(cfg);
-        setPrinterName();
-        setupCamera();
+        let settings;
+        try {
+            settings = resolveSettings(cfg, body.dataset);
+        } catch (err) {
+            showConfigError(err.message);
+            return;
+        }
+        applyConfig(settings);
+        console.log('[OBS Print Progress] DEBUG mode:', DEBUG);
+        startPrinterView(createPageView(), settings);
+    }
 
-        // start polling ONCE
-        fetchPrintStatus();
-        setInterval(fetchPrintStatus, UPDATE_INTERVAL);
+    /**
+     * Wire one printer session to one view: status updates and errors are
+     * rendered into that view only. Returns the started session.
+     */
+    function startPrinterView(view, settings, onState) {
+        const session = createPrinterSession(settings, {
+            ...viewNeeds(view),
+            async onStatus(status) {
+                await renderStatus(view, session, status);
+                if (onState) onState(status.state);
+            },
+            onError(error, retry) {
+                renderError(view, session, error, retry);
+                if (onState) onState('error');
+            }
+        });
 
-        // non-blocking chamber update
-        updateChamber();
+        setPrinterName(view, settings);
+        localizeView(view, settings);
+        setupCamera(view, session);
+        // a camera-only widget shows nothing from the printer status
+        if (viewNeeds(view).status) session.start();
+        return session;
     }
 
     // ============================================================
-    // THUMBNAIL
+    // VIEWS
     // ============================================================
 
-    async function extractThumbnailFromGcode(filename) {
-        try {
-            const path = normalizeFilename(filename);
-            if (!path) return null;
-
-            const url = `http://${PRINTER_IP}/server/files/gcodes/${encodeURI(path)}`;
-            if (DEBUG) console.log('[OBS Print Progress] Thumbnail URL:', url);
-
-            const resp = await fetch(url, { headers: { Range: "bytes=0-100000" } });
-            if (!resp.ok) return null;
-
-            const text = await resp.text();
-            const blockRegex = /; thumbnail begin \d+x\d+ \d+([\s\S]*?); thumbnail end/g;
+    /*
+     * Rendering never looks elements up on `document` directly; it asks a
+     * view for them by id, so the same render code drives the single
+     * overlay (element ids) and each farm card (data-field attributes).
+     */
 
-            let match;
-            let lastBlock = null;
-            while ((match = blockRegex.exec(text)) !== null) {
-                const b64 = match[1]
-                    .split("\n")
-                    .map(line => line.trim().replace(/^;/, "").trim())
-                    .filter(Boolean)
-                    .join("");
-                lastBlock = b64;
-            }
+    function createPageView() {
+        return {
+            root: body,
+            el: id => document.getElementById(id)
+        };
+    }
 
-            return lastBlock;
-        } catch (err) {
-            console.error("extractThumbnailFromGcode error:", err);
-            return null;
-        }
+    function createCardView(card) {
+        return {
+            root: card,
+            el: id => card.querySelector(`[data-field="${id}"]`)
+        };
     }
 
-    function hideThumbnail() {
-        const thumbEl = document.getElementById("thumbnail");
-        const fileLabel = document.getElementById("thumbnailFilename");
-        if (thumbEl) {
-            thumbEl.src = "";
-            thumbEl.style.display = "none";
-            thumbEl.removeAttribute("data-loaded-for");
-        }
-        if (fileLabel) fileLabel.textContent = "--";
+    /**
+     * Which printer data a view has elements for, so a session skips work
+     * nobody sees: chamber detection, file metadata, the G-code layer scan,
+     * or polling at all for a camera-only widget. Thumbnails are only
+     * loaded when renderStatus() finds a thumbnail element.
+     */
+    function viewNeeds(view) {
+        const has = id => !!view.el(id);
+        return {
+            detectChamber: has('chamberChip'),
+            loadMetadata: ['layerInfo', 'timeEstimate', 'timeSlicer', 'timeEta', 'materialChip', 'print-flow'].some(has),
+            trackLayers: has('layerInfo'),
+            detectTools: has('hotendTemp') || has('toolChips'),
+            tempHistory: ['hotendSpark', 'bedSpark', 'chamberSpark'].some(has),
+            customFields: has('customFields'),
+            jobs: has('jobPanel'),
+            stats: has('printerStats'),
+            objectMap: has('objectMap') || has('currentObject'),
+            status: ['status', 'progressBar', 'percentage', 'layerInfo', 'filename', 'thumbnail', 'hotendTemp', 'bedTemp',
+                'chamberChip', 'materialChip', 'print-speed', 'print-flow', 'timeTotal', 'timeEstimate', 'timeSlicer',
+                'timeEta', 'customFields', 'jobPanel', 'printerStats', 'objectMap', 'currentObject'].some(has)
+        };
     }
 
     // ============================================================
-    // API RETRY
+    // LAYOUTS (printer.html?layout=lower-third)
     // ============================================================
 
-    let apiRetryCount = 0;
-    const maxApiRetries = 5;
-    let apiRetryTimeout = null;
+    /**
+     * Swap printer.html's camera scene for the markup in
+     * <template id="layout-<name>"> and load layouts/<name>.css. Layouts use
+     * the same element ids and may leave any of them out; rendering skips
+     * elements a view doesn't have. Besides LAYOUTS, any template a custom
+     * printer.html adds works the same way.
+     */
+    function applyLayout(name) {
+        const layout = String(name || 'camera').trim().toLowerCase();
+        body.dataset.layout = 'camera';
+        if (layout === 'camera') return;
+
+        const template = /^[a-z0-9-]+$/.test(layout) ? document.getElementById(`layout-${layout}`) : null;
+        const scene = document.querySelector('.scene');
+        if (!template || !scene) {
+            console.warn(`[OBS Print Progress] Unknown layout "${name}" (built in: ${LAYOUTS.join(', ')}), using camera`);
+            return;
+        }
 
-    // ============================================================
-    // MAIN STATUS FETCH
-    // ============================================================
+        scene.replaceWith(template.content.cloneNode(true));
+        body.dataset.layout = layout;
+        loadStylesheet(`layouts/${layout}.css`);
+        if (DEBUG) console.log('[OBS Print Progress] Layout:', layout);
+    }
 
-    async function fetchPrintStatus() {
-        try {
-            const response = await fetch(
-                `http://${PRINTER_IP}/printer/objects/query?display_status&print_stats&virtual_sdcard&extruder&heater_bed&toolhead`
-            );
+    /**
+     * Replace the scene with only the named widgets ("progress,eta"), from
+     * <template id="widget-<name>">, on a transparent page. Each can be its
+     * own OBS browser source; the session skips data no widget shows.
+     */
+    function applyWidgets(value) {
+        const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        const templates = names
+            .map(name => ({ name, template: /^[a-z0-9-]+$/.test(name) ? document.getElementById(`widget-${name}`) : null }))
+            .filter(({ name, template }) => {
+                if (!template) console.warn(`[OBS Print Progress] Unknown widget "${name}" (use ${WIDGETS.join(', ')})`);
+                return !!template;
+            });
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const scene = document.querySelector('.scene');
+        if (!templates.length || !scene) {
+            applyLayout('camera');
+            return;
+        }
 
-            apiRetryCount = 0;
+        const container = document.createElement('div');
+        container.className = 'widgets';
+        templates.forEach(({ template }) => container.appendChild(template.content.cloneNode(true)));
 
-            const data = await response.json();
-            const status = data.result.status;
+        // keep the debug panel; it is only shown with ?debug=1
+        const debugEl = document.getElementById('debugInfo');
+        if (debugEl) container.appendChild(debugEl);
 
-            const printStats = status.print_stats;
-            const displayStatus = status.display_status;
-            const virtualSdcard = status.virtual_sdcard;
-            const extruder = status.extruder;
-            const heaterBed = status.heater_bed;
-            const toolhead = status.toolhead;
+        scene.replaceWith(container);
+        body.dataset.layout = 'widget';
+        body.dataset.widget = templates.map(({ name }) => name).join(' ');
+        loadStylesheet('layouts/widget.css');
+        if (DEBUG) console.log('[OBS Print Progress] Widgets:', body.dataset.widget);
+    }
 
-            await ensureMetadataLoaded(printStats.filename, printStats.state);
+    function loadStylesheet(href) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = href;
+        document.head.appendChild(link);
+    }
 
-            // temps
-            if (extruder) {
-                const hotendTemp = Math.round(extruder.temperature);
-                const hotendTarget = Math.round(extruder.target);
-                const el = document.getElementById('hotendTemp');
-                if (el) el.textContent = `${hotendTemp}\u00B0C / ${hotendTarget}\u00B0C`;
-            }
+    // ============================================================
+    // FARM DASHBOARD (farm.html)
+    // ============================================================
 
-            if (heaterBed) {
-                const bedTemp = Math.round(heaterBed.temperature);
-                const bedTarget = Math.round(heaterBed.target);
-                const el = document.getElementById('bedTemp');
-                if (el) el.textContent = `${bedTemp}\u00B0C / ${bedTarget}\u00B0C`;
-            }
+    /**
+     * Build one card per printer from #farmCardTemplate and start an
+     * independent session for each. `?printers=a,b` limits and orders the
+     * cards; shared query overrides (interval, ws, debug, ...) apply to all.
+     */
+    async function initializeFarm(grid) {
+        const query = new URLSearchParams(window.location.search);
+        const list = await fetchPrinterList();
+        if (!list || !list.length) {
+            showConfigError('No printers found. Ensure printers.json is readable or define window.PRINTERS.');
+            return;
+        }
 
-            // OPTIONAL: motion_report for speed/flow (safe if unsupported)
-            await updateMotionStats(extruder);
+        const printers = selectPrinters(list, parsePrinterKeys(query.get('printers')));
+        const overrides = pickSharedOverrides(parseQueryConfig(query));
+        if (overrides.debug !== undefined) DEBUG = overrides.debug;
 
-            await updateChamber();
+        const template = document.getElementById('farmCardTemplate');
+        const states = new Map();
+        // the header is shared, so it follows ?locale= or else the first printer
+        const locale = resolveLocale(overrides.locale ?? printers[0]?.locale);
 
-            // state
-            const statusElement = document.getElementById('status');
-            const state = printStats.state;
-            if (statusElement) {
-                statusElement.textContent = state.charAt(0).toUpperCase() + state.slice(1);
-            }
+        printers.forEach((cfg, index) => {
+            const card = template.content.firstElementChild.cloneNode(true);
+            card.dataset.printerId = cfg.id || String(index);
+            grid.appendChild(card);
 
-            if (state === 'printing') {
-                if (statusElement) statusElement.className = 'status-pill ok';
+            const view = createCardView(card);
+            let settings;
+            try {
+                settings = resolveSettings({ ...cfg, ...overrides });
+            } catch (err) {
+                // only this card shows the error; the other printers keep running
+                setPrinterName(view, { name: cfg.name || cfg.label || cfg.id || 'Printer' });
+                showConfigError(err.message, view, locale);
+                states.set(index, 'error');
+                return;
+            }
+            startPrinterView(view, settings, state => {
+                states.set(index, state);
+                updateFarmSummary(states, printers.length, locale);
+            });
+        });
 
-                const rawProgress = virtualSdcard?.progress ?? displayStatus?.progress ?? 0;
+        updateFarmSummary(states, printers.length, locale);
+    }
 
-                if (DEBUG) {
-                    console.log('[OBS Print Progress] Progress values:', {
-                        virtualSdcard_progress: virtualSdcard?.progress,
-                        displayStatus_progress: displayStatus?.progress,
-                        file_position: virtualSdcard?.file_position,
-                        file_size: virtualSdcard?.file_size,
-                        using_progress: rawProgress,
-                        percentage: Math.round(rawProgress * 100)
-                    });
-                }
+    // Printer-specific query params (ip, name, apiKey, ...) make no sense for several printers
+    function pickSharedOverrides(queryConfig) {
+        const shared = ['updateInterval', 'printingInterval', 'idleInterval', 'requestTimeout', 'websocket', 'showChamber', 'remainingStrategy', 'timeZone', 'clock', 'etaDate', 'locale', 'units', 'tempHistory', 'jobQueue', 'jobHistory', 'debug'];
+        const overrides = {};
+        shared.forEach(key => {
+            if (queryConfig[key] !== undefined) overrides[key] = queryConfig[key];
+        });
+        return overrides;
+    }
 
-                const progress = Math.max(0, Math.min(1, Number(rawProgress) || 0));
-                const percentage = Math.round(progress * 100);
+    function updateFarmSummary(states, total, locale) {
+        const summaryEl = document.getElementById('farmSummary');
+        if (!summaryEl) return;
+        const printing = [...states.values()].filter(state => state === 'printing').length;
+        summaryEl.textContent = translate(locale, 'farm.summary', {
+            printing: formatNumber(locale, printing),
+            total: formatNumber(locale, total)
+        });
+    }
 
-                const bar = document.getElementById('progressBar');
-                const pct = document.getElementById('percentage');
-                if (bar) bar.style.width = percentage + '%';
-                if (pct) pct.textContent = percentage + '%';
+    // "a, B,c" -> ['a', 'b', 'c']
+    function parsePrinterKeys(value) {
+        return String(value || '')
+            .split(',')
+            .map(key => key.trim().toLowerCase())
+            .filter(Boolean);
+    }
 
-                const { currentLayer, totalLayer } = getLayerInfo(printStats, displayStatus, toolhead);
-                const layerEl = document.getElementById('layerInfo');
-                if (layerEl) layerEl.textContent = formatLayerInfo(currentLayer, totalLayer);
+    // Printers matching `keys` in that order (unknown keys are skipped); all printers when no keys
+    function selectPrinters(list, keys) {
+        if (!keys.length) return list;
+        return keys.map(key => selectConfig(list, key)).filter(Boolean);
+    }
 
-                const printDuration = printStats.print_duration || 0;
-                const estimateRemaining = computeRemainingFromProgress(progress, printDuration);
+    // ============================================================
+    // CAROUSEL (printer.html?printers=a,b,c&rotate=15)
+    // ============================================================
 
-                const slicerTotal = getSlicerTotalSeconds(metadataCache.data, printStats.info);
-                const slicerRemaining = slicerTotal != null ? Math.max(0, slicerTotal - printDuration) : null;
+    /**
+     * Cycle the single overlay through several printers. Every printer keeps
+     * its own session running in the background so its state is always
+     * current; only the active one renders. Printing printers get priority,
+     * and a printer that just finished or errored is shown right away.
+     */
+    async function initializeCarousel(query, keys) {
+        const list = await fetchPrinterList();
+        if (!list || !list.length) {
+            showConfigError('No printers found. Ensure printers.json is readable or define window.PRINTERS.');
+            return;
+        }
 
-                const elapsedTime = getElapsedTime(printStats);
+        const printers = selectPrinters(list, keys);
+        if (!printers.length) {
+            showConfigError(`No printers matching "${keys.join(', ')}" found in printers.json.`);
+            return;
+        }
 
-                setTimeValue('timeEstimate', estimateRemaining);
-                setTimeValue('timeSlicer', slicerRemaining);
-                setTimeValue('timeTotal', elapsedTime);
+        const overrides = pickSharedOverrides(parseQueryConfig(query));
+        if (overrides.debug !== undefined) DEBUG = overrides.debug;
+        const rotateMs = Math.max(3, Number(query.get('rotate')) || DEFAULT_ROTATE_SECONDS) * 1000;
+        const view = createPageView();
+        let active = -1;
+        let rotateTimer = null;
 
-                updateDebug({
-                    state,
-                    progress,
-                    filename: printStats.filename,
-                    toolheadZ: toolhead?.position?.[2],
-                    slicerInfo: printStats.info || {},
-                    metadata: metadataCache,
-                    currentLayer,
-                    totalLayer,
-                    metadataLayer: computeLayerFromMetadata(toolhead, metadataCache.data),
-                    progressLayer: computeLayerFromProgress(displayStatus, metadataCache.data),
-                    estimateRemaining,
-                    slicerRemaining,
-                    slicerTotal,
-                    elapsedTime
-                });
+        const entries = printers.map((cfg, index) => {
+            const entry = { state: null, status: null, error: null };
+            let settings;
+            try {
+                settings = resolveSettings({ ...cfg, ...overrides }, body.dataset);
+            } catch (err) {
+                // stays in the rotation and shows the config error when its turn comes;
+                // a placeholder address keeps its display settings (name, locale, units)
+                entry.state = 'error';
+                entry.configError = err.message;
+                entry.settings = resolveSettings({ ...cfg, ...overrides, ip: 'localhost', host: undefined, baseUrl: undefined, port: undefined, pathPrefix: undefined, scheme: undefined }, body.dataset);
+                return entry;
+            }
 
-                const fileEl = document.getElementById('filename');
-                if (fileEl) fileEl.textContent = formatFilename(printStats.filename) || 'Unknown';
-
-                // thumbnail
-                const thumbEl = document.getElementById("thumbnail");
-                const previewContainer = document.getElementById("previewFloating");
-
-                if (thumbEl) {
-                    const normalized = normalizeFilename(printStats.filename);
-                    const loadedFor = thumbEl.dataset.loadedFor || "";
-
-                    if (normalized && loadedFor !== normalized) {
-                        thumbEl.dataset.loadedFor = normalized;
-                        thumbEl.style.display = "none";
-                        if (previewContainer) previewContainer.classList.remove('loaded');
-
-                        extractThumbnailFromGcode(normalized).then(b64 => {
-                            if (b64 && b64.length > 100) {
-                                thumbEl.src = `data:image/png;base64,${b64}`;
-                                thumbEl.style.display = "block";
-                                if (previewContainer) previewContainer.classList.add('loaded');
-
-                                const fileLabel = document.getElementById("thumbnailFilename");
-                                if (fileLabel) fileLabel.textContent = printStats.filename || "--";
-                            } else {
-                                hideThumbnail();
-                            }
-                        }).catch(err => {
-                            console.error("Thumbnail load error:", err);
-                            hideThumbnail();
-                        });
+            entry.session = createPrinterSession(settings, {
+                ...viewNeeds(view),
+                async onStatus(status) {
+                    const previous = entry.state;
+                    entry.state = status.state;
+                    entry.status = status;
+                    entry.error = null;
+
+                    if (index !== active && shouldJumpToPrinter(previous, status.state)) {
+                        if (DEBUG) console.log(`[OBS Print Progress] Carousel: ${settings.name} is now ${status.state}`);
+                        showPrinter(index);
+                    } else if (index === active) {
+                        await renderStatus(view, entry.session, status);
                     }
+                },
+                onError(error, retry) {
+                    entry.error = { error, retry };
+                    if (index === active) renderError(view, entry.session, error, retry);
                 }
+            });
+            return entry;
+        });
 
-            } else if (state === 'paused') {
-                if (statusElement) statusElement.className = 'status-pill idle';
-
-                const layerEl = document.getElementById('layerInfo');
-                if (layerEl) layerEl.textContent = '--';
-
-                const slicerTotal = getSlicerTotalSeconds(metadataCache.data, printStats.info);
-                setTimeValue('timeEstimate', null);
-                setTimeValue('timeSlicer', slicerTotal);
-                setTimeValue('timeTotal', getElapsedTime(printStats));
-                hideThumbnail();
-
+        // Switching restarts the timer, so a printer we jumped to stays up for a full turn
+        function showPrinter(index) {
+            if (rotateTimer) clearTimeout(rotateTimer);
+            rotateTimer = setTimeout(() => showPrinter(nextCarouselIndex(entries.map(entry => entry.state), active)), rotateMs);
+            if (index === active) return;
+
+            active = index;
+            const { session, status, error, configError } = entries[index];
+            if (configError) {
+                const settings = entries[index].settings;
+                setPrinterName(view, settings);
+                localizeView(view, settings);
+                hideThumbnail(view);
+                renderConnecting(view, settings);
+                showConfigError(configError, view, settings.locale);
+                return;
+            }
+            applyConfig(session.settings);
+            setPrinterName(view, session.settings);
+            localizeView(view, session.settings);
+            setupCamera(view, session);
+            hideThumbnail(view);
+
+            if (error) {
+                renderError(view, session, error.error, error.retry);
+            } else if (status) {
+                renderStatus(view, session, status).catch(err => console.error('[OBS Print Progress] Render error:', err));
             } else {
-                if (statusElement) statusElement.className = 'status-pill idle';
-
-                const bar = document.getElementById('progressBar');
-                const pct = document.getElementById('percentage');
-                if (bar) bar.style.width = '0%';
-                if (pct) pct.textContent = '0%';
-
-                const slicerTotal = getSlicerTotalSeconds(metadataCache.data, printStats.info);
-                setTimeValue('timeEstimate', null);
-                setTimeValue('timeSlicer', slicerTotal);
-                setTimeValue('timeTotal', null);
-
-                const layerEl = document.getElementById('layerInfo');
-                const fileEl = document.getElementById('filename');
-                if (layerEl) layerEl.textContent = '--';
-                if (fileEl) fileEl.textContent = '--';
-                hideThumbnail();
+                renderConnecting(view, session.settings);
             }
+        }
 
-        } catch (error) {
-            const statusEl = document.getElementById('status');
-            if (statusEl) statusEl.className = 'status-pill error';
-
-            const isNetworkError =
-                error.message?.includes('Failed to fetch') ||
-                error.message?.includes('NetworkError') ||
-                error.message?.includes('TypeError');
-
-            if (isNetworkError && apiRetryCount < maxApiRetries) {
-                apiRetryCount++;
-                const delay = Math.min(2000 * Math.pow(2, apiRetryCount - 1), 30000);
+        if (DEBUG) console.log('[OBS Print Progress] Carousel:', printers.map(cfg => cfg.id || cfg.name).join(', '), `every ${rotateMs / 1000}s`);
+        showPrinter(0);
+        entries.forEach(entry => entry.session?.start());
+    }
 
-                if (statusEl) statusEl.textContent = `Retrying... (${apiRetryCount}/${maxApiRetries})`;
-                console.warn(`[OBS Print Progress] API failed, retrying in ${delay}ms (${apiRetryCount}/${maxApiRetries})`);
+    /**
+     * Next printer to show: cycles through the printers that are printing
+     * when there are any, otherwise through all of them.
+     */
+    function nextCarouselIndex(states, current) {
+        const all = states.map((_, index) => index);
+        const printing = all.filter(index => states[index] === 'printing');
+        const pool = printing.length ? printing : all;
+        return pool.find(index => index > current) ?? pool[0];
+    }
 
-                if (apiRetryTimeout) clearTimeout(apiRetryTimeout);
-                apiRetryTimeout = setTimeout(() => fetchPrintStatus(), delay);
-                return;
-            }
+    // A printer that just finished or errored is shown right away (not on the first status after loading)
+    function shouldJumpToPrinter(previous, state) {
+        return Boolean(previous) && previous !== state && CAROUSEL_JUMP_STATES.includes(state);
+    }
 
-            if (statusEl) {
-                if (error.message?.includes('HTTP 401') || error.message?.includes('HTTP 403')) {
-                    statusEl.textContent = 'Authentication Error';
-                } else if (error.message?.includes('HTTP 404')) {
-                    statusEl.textContent = 'API Not Found';
-                } else {
-                    statusEl.textContent = `Unreachable: ${PRINTER_IP}`;
-                }
-            }
+    // ============================================================
+    // PRINTER API
+    // ============================================================
 
-            updateDebug({ error: error?.message || String(error), retries: apiRetryCount });
-            hideThumbnail();
+    /**
+     * fetch() that aborts after `options.timeout` ms (default 5s).
+     * The timer is left running on success so a stalled response body is
+     * aborted too; aborting a finished request is a no-op.
+     */
+    async function fetchWithTimeout(url, options = {}) {
+        const { timeout = DEFAULT_REQUEST_TIMEOUT, ...rest } = options;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            return await fetch(url, { ...rest, signal: controller.signal });
+        } catch (err) {
+            clearTimeout(timer);
+            if (err?.name === 'AbortError') throw new Error(`Request timed out after ${timeout}ms: ${url}`);
+            throw err;
         }
     }
 
+    function withToken(url, token) {
+        if (!token) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+    }
+
+    // ============================================================
+    // PRINTER SESSION
+    // ============================================================
+
     /**
-     * OPTIONAL motion_report: updates #print-speed and #print-flow if present
-     * Safe if motion_report isn't supported (it will silently do nothing).
+     * Everything that talks to one printer: backend, poll scheduler,
+     * WebSocket subscription, metadata cache and chamber detection. All
+     * state is held in this closure, so sessions never share anything.
+     *
+     * hooks.onStatus(status)       normalized status (awaited before the next poll)
+     * hooks.onError(error, retry)  failed poll; retry = { count, max, delay, retrying }
+     * hooks.detectChamber          look for a chamber sensor (the view has a chamber chip)
+     * hooks.detectTools            look for extruder1..N (the view shows hotend temperatures)
+     * hooks.loadMetadata           read file metadata (the view shows layers, times or material)
+     * hooks.trackLayers            scan the G-code for layer heights (the view shows layers)
+     * hooks.tempHistory            keep temperature history for sparklines (the view has one)
+     * hooks.customFields           query the printer's customFields objects (the view has #customFields)
+     * hooks.jobs                   read the job queue and print history (the view has #jobPanel)
+     * hooks.stats                  read lifetime history totals (the view has #printerStats)
+     * hooks.objectMap              query exclude_object (the view has #objectMap or #currentObject)
      */
-    async function updateMotionStats(extruder) {
-        const speedEl = document.getElementById("print-speed");
-        const flowEl = document.getElementById("print-flow");
-        if (!speedEl && !flowEl) return;
+    function createPrinterSession(settings, hooks) {
+        const metadataCache = {
+            filename: null,
+            data: null,
+            source: null,
+            stamp: null,    // { modified, size } of the file the data was parsed from
+            filenamePatterns: [],  // names of the filenamePatterns that filled in values
+            layerHeights: null,    // sorted layer Z heights from the G-code's layer change markers
+            layerScan: null,       // filename the layer scan ran (or runs) for
+            failedAt: 0            // when the last lookup for filename found no metadata
+        };
+        const layerTracker = createLayerTracker();
+        const tempHistory = createTempHistory(settings.tempHistory * 60000);
+        const fileChecks = new Map();  // filename -> pending/finished check of its persistent cache entry
+
+        let chamberObjectName = null;
+        let extruderObjects = ['extruder'];  // every extruder heater, extruder1..N on IDEX/toolchangers
+        let customObjects = [];             // customFields objects that exist on this printer
+        let customObjectsChecked = false;
+        let jobs = null;            // { queue, history } for the job panel
+        let jobsFetch = null;       // refresh in flight
+        let jobsFetchedAt = 0;
+        let jobsState = null;       // print state at the last refresh
+        let stats = null;           // lifetime totals for #printerStats
+        let excludeObject = false;  // query/subscribe exclude_object for the object map
+        let statsTimer = null;
+        let objectListCache = null;
+        let objectListFetchedAt = 0;
+
+        let apiRetryCount = 0;      // consecutive failed polls; drives the backoff
+        let printerStatus = {};     // last known Klipper status (merged WebSocket deltas or latest poll)
+        let pollActive = false;
+        let pollInFlight = false;
+        let pollTimer = null;
+        let lastPolledState = null;
+        let socket = null;
+        let socketRequestId = 0;
+        let subscribeRequestId = null;
+        let socketRetryCount = 0;
+        let socketReconnectTimeout = null;
+        let renderQueued = false;
+        let rendering = false;
+        let stopped = false;
+
+        const backend = createBackend(settings.type);
+
+        async function start() {
+            await backend.init();
+            if (hooks.stats && backend.fetchTotals) scheduleStats(0);
+
+            if (settings.websocket && backend.subscribe) {
+                backend.subscribe();
+            } else {
+                startPolling();
+            }
+        }
 
-        try {
-            const mrResp = await fetch(`http://${PRINTER_IP}/printer/objects/query?motion_report`);
-            if (!mrResp.ok) return;
+        function stop() {
+            stopped = true;
+            stopPolling();
+            if (statsTimer) clearTimeout(statsTimer);
+            statsTimer = null;
+            if (socketReconnectTimeout) clearTimeout(socketReconnectTimeout);
+            socketReconnectTimeout = null;
+            const ws = socket;
+            socket = null;
+            if (ws) ws.close();
+        }
 
-            const mrJson = await mrResp.json();
-            const motionReport = mrJson?.result?.status?.motion_report ?? null;
-            if (!motionReport || motionReport.live_velocity === undefined) return;
+        // ============================================================
+        // PRINTER API
+        // ============================================================
 
-            const speedMmS = Math.round(motionReport.live_velocity);
+        function apiUrl(path) {
+            return `${settings.baseUrl}${path}`;
+        }
 
-            if (speedEl) speedEl.textContent = `${speedMmS} mm/s`;
+        function socketUrl() {
+            return `${settings.baseUrl.replace(/^http/i, 'ws')}/websocket`;
+        }
 
-            if (flowEl && extruder) {
-                const extrudeFactor = extruder.extrude_factor ?? 1.0;
-                const nozzleDiameter =
-                    metadataCache?.data?.nozzle_diameter ??
-                    metadataCache?.data?.nozzle ??
-                    0.4;
+        /**
+         * fetch() wrapper for every printer API endpoint (Moonraker and
+         * OctoPrint both accept X-Api-Key). Adds it when an apiKey is configured.
+         */
+        function apiFetch(url, options = {}) {
+            const headers = { ...(options.headers || {}) };
+            if (settings.apiKey) headers['X-Api-Key'] = settings.apiKey;
+            return fetchWithTimeout(url, { ...options, headers });
+        }
 
-                const nozzleArea = Math.PI * Math.pow(nozzleDiameter / 2, 2);
-                const flow = speedMmS * nozzleArea * extrudeFactor;
+        /**
+         * Request a one-shot token for connections that can't send headers
+         * (WebSocket, camera <img>). Tokens are single use and expire after
+         * a few seconds, so fetch a fresh one right before each connection.
+         * Returns null when no apiKey is configured or the request fails.
+         */
+        async function fetchOneshotToken() {
+            if (!settings.apiKey) return null;
+            try {
+                const resp = await apiFetch(apiUrl('/access/oneshot_token'));
+                if (!resp.ok) {
+                    console.warn(`[OBS Print Progress] One-shot token request failed: HTTP ${resp.status}`);
+                    return null;
+                }
+                const json = await resp.json();
+                return json.result || null;
+            } catch {
+                return null;
+            }
+        }
 
-                flowEl.textContent = `${flow.toFixed(1)} mm³/s`;
+        // ============================================================
+        // PRINTER BACKENDS
+        // ============================================================
+
+        function createBackend(type) {
+            switch (type) {
+                case 'octoprint':
+                    return createOctoPrintBackend();
+                case 'prusalink':
+                    return createPrusaLinkBackend();
+                default:
+                    return createMoonrakerBackend();
             }
-        } catch {
-            // ignore
         }
-    }
 
-    // ============================================================
-    // CONFIG ERROR DISPLAY
-    // ============================================================
+        function createMoonrakerBackend() {
+            return {
+                type: 'moonraker',
+
+                async init() {
+                    // chamber object must be known before subscribing
+                    if (hooks.detectChamber) await detectChamberObject();
+                    if (hooks.detectTools) await detectExtruders();
+                    if (hooks.tempHistory && settings.tempHistory > 0) await backfillTempHistory();
+                    if (hooks.customFields && settings.customFields.length) await detectCustomObjects();
+                    if (hooks.objectMap) await detectExcludeObject();
+                },
+
+                async fetchStatus() {
+                    if (!chamberObjectName && hooks.detectChamber) await detectChamberObject();
+                    if (!customObjectsChecked && hooks.customFields && settings.customFields.length) await detectCustomObjects();
+
+                    const objects = ['display_status', 'print_stats', 'virtual_sdcard', 'heater_bed', 'toolhead', 'motion_report', ...extruderObjects];
+                    if (chamberObjectName) objects.push(chamberObjectName);
+                    objects.push(...customObjects);
+                    if (excludeObject) objects.push('exclude_object');
+                    const query = objects.map(obj => encodeURIComponent(obj)).join('&');
+
+                    const response = await apiFetch(apiUrl(`/printer/objects/query?${query}`));
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+                    const data = await response.json();
+                    printerStatus = data.result.status;
+                    return normalizeMoonrakerStatus(printerStatus);
+                },
+
+                subscribe: connectWebSocket,
+
+                async fetchJobs() {
+                    return {
+                        queue: settings.jobQueue > 0 ? await fetchQueuedJobs() : [],
+                        history: settings.jobHistory > 0 ? await fetchJobHistory() : []
+                    };
+                },
+
+                async fetchTotals() {
+                    const resp = await apiFetch(apiUrl('/server/history/totals'));
+                    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+                    return normalizeHistoryTotals((await resp.json()).result?.job_totals);
+                },
+
+                async loadThumbnail(filename, target) {
+                    const cached = await cachedThumbnail(filename, target);
+                    if (cached) return cached;
+                    const src = await loadMetadataThumbnail(filename, target) || await extractThumbnailFromGcode(filename, target);
+                    if (src) cacheThumbnail(filename, target, src);
+                    return src;
+                },
+
+                cameraToken: fetchOneshotToken
+            };
+        }
 
-    function showConfigError(msg) {
-        console.error(msg);
-        const statusElement = document.getElementById('status');
-        if (statusElement) {
-            statusElement.textContent = 'Config Error';
+        /**
+         * Map a raw Klipper status (print_stats, virtual_sdcard, ...) to the
+         * normalized status shape. Loads file metadata on the way.
+         */
+        async function normalizeMoonrakerStatus(raw) {
+            const printStats = raw.print_stats || {};
+            const displayStatus = raw.display_status;
+            const virtualSdcard = raw.virtual_sdcard;
+            const extruder = raw.extruder;
+            const toolhead = raw.toolhead;
+            const motionReport = raw.motion_report;
+            const state = printStats.state || 'standby';
+            // toolchangers and IDEX report the tool in use; single-extruder printers always use "extruder"
+            const activeExtruder = toolhead?.extruder || 'extruder';
+
+            if (hooks.loadMetadata) await ensureMetadataLoaded(printStats.filename, state);
+
+            const rawProgress = virtualSdcard?.progress ?? displayStatus?.progress ?? 0;
+
+            if (settings.debug && state === 'printing') {
+                console.log('[OBS Print Progress] Progress values:', {
+                    virtualSdcard_progress: virtualSdcard?.progress,
+                    displayStatus_progress: displayStatus?.progress,
+                    file_position: virtualSdcard?.file_position,
+                    file_size: virtualSdcard?.file_size,
+                    using_progress: rawProgress,
+                    percentage: Math.round(rawProgress * 100)
+                });
+            }
+
+            const tracking = {};
+            if (state === 'printing' || state === 'paused') {
+                // a pause lifts and parks the head; that Z must not settle as the layer
+                tracking.z = state === 'printing' ? layerTracker.update(toolhead?.position?.[2]) : layerTracker.settled();
+                tracking.observedLayerHeight = layerTracker.layerHeight();
+                if (hooks.trackLayers && !hasSlicerLayers(printStats.info)) {
+                    ensureLayerHeights(printStats.filename);
+                    tracking.layerHeights = metadataCache.filename === printStats.filename ? metadataCache.layerHeights : null;
+                }
+            }
+
+            const { currentLayer, totalLayer } = getLayerInfo(printStats, displayStatus, toolhead, metadataCache.data, tracking);
+
+            return {
+                state,
+                message: printStats.message || '',
+                filename: printStats.filename || '',
+                progress: Math.max(0, Math.min(1, Number(rawProgress) || 0)),
+                layer: { current: currentLayer, total: totalLayer },
+                temps: {
+                    hotend: parseTempEntry(raw[activeExtruder] ?? extruder),
+                    bed: parseTempEntry(raw.heater_bed),
+                    chamber: chamberObjectName ? parseTempEntry(raw[chamberObjectName]) : null,
+                    tools: buildToolTemps(extruderObjects.map(name => [name, raw[name]]), activeExtruder)
+                },
+                fields: hooks.customFields ? readCustomFields(raw, settings.customFields) : null,
+                objects: excludeObject ? buildObjectMap(raw.exclude_object, toolhead) : null,
+                printDuration: asNumber(printStats.print_duration),
+                elapsed: getElapsedTime(printStats),
+                slicerTotal: getSlicerTotalSeconds(metadataCache.data, printStats.info),
+                filamentUsed: asNumber(printStats.filament_used),
+                material: materialFromMetadata(metadataCache.data),
+                motion: motionReport && motionReport.live_velocity !== undefined ? {
+                    speed: motionReport.live_velocity,
+                    extrudeFactor: extruder?.extrude_factor,
+                    nozzleDiameter: metadataCache?.data?.nozzle_diameter ?? metadataCache?.data?.nozzle
+                } : null,
+                debug: {
+                    toolheadZ: toolhead?.position?.[2],
+                    layerZ: tracking.z,
+                    gcodeLayers: tracking.layerHeights?.length,
+                    slicerInfo: printStats.info || {},
+                    metadata: metadataCache,
+                    metadataLayer: computeLayerFromMetadata(toolhead, metadataCache.data),
+                    progressLayer: computeLayerFromProgress(displayStatus, metadataCache.data)
+                }
+            };
+        }
+
+        /**
+         * OctoPrint REST API (/api/job + /api/printer). Layers come from the
+         * DisplayLayerProgress plugin and thumbnails from the Slicer Thumbnails /
+         * PrusaSlicer Thumbnails plugins when they are installed.
+         */
+        function createOctoPrintBackend() {
+            let layerPluginAvailable = true;
+            let thumbnailObjectUrl = null;
+
+            async function fetchLayers() {
+                if (!layerPluginAvailable) return null;
+                try {
+                    const resp = await apiFetch(apiUrl('/plugin/DisplayLayerProgress/values'));
+                    if (!resp.ok) {
+                        if (resp.status === 404) layerPluginAvailable = false;
+                        return null;
+                    }
+                    const json = await resp.json();
+                    return {
+                        current: asNumber(json?.layer?.current),
+                        total: asNumber(json?.layer?.total)
+                    };
+                } catch {
+                    return null;
+                }
+            }
+
+            return {
+                type: 'octoprint',
+
+                async init() {},
+
+                async fetchStatus() {
+                    const [jobResp, printerResp] = await Promise.all([
+                        apiFetch(apiUrl('/api/job')),
+                        apiFetch(apiUrl('/api/printer'))
+                    ]);
+                    if (!jobResp.ok) throw new Error(`HTTP ${jobResp.status}: ${jobResp.statusText}`);
+
+                    const job = await jobResp.json();
+                    // /api/printer answers 409 while the printer is disconnected
+                    const printer = printerResp.ok ? await printerResp.json() : null;
+                    const status = normalizeOctoPrintStatus(job, printer);
+
+                    if (status.state === 'printing' || status.state === 'paused') {
+                        const layers = await fetchLayers();
+                        if (layers) status.layer = layers;
+                    }
+                    return status;
+                },
+
+                async loadThumbnail(filename) {
+                    const resp = await apiFetch(apiUrl(`/api/files/local/${encodeURI(filename)}`));
+                    if (!resp.ok) return null;
+                    const info = await resp.json();
+                    if (!info?.thumbnail) return null;
+
+                    // thumbnail is relative to the OctoPrint root and needs the API key
+                    const imgResp = await apiFetch(apiUrl(`/${String(info.thumbnail).replace(/^\/+/, '')}`));
+                    if (!imgResp.ok) return null;
+                    const blob = await imgResp.blob();
+
+                    if (thumbnailObjectUrl) URL.revokeObjectURL(thumbnailObjectUrl);
+                    thumbnailObjectUrl = URL.createObjectURL(blob);
+                    return thumbnailObjectUrl;
+                },
+
+                async cameraToken() {
+                    return null;
+                }
+            };
+        }
+
+        /**
+         * PrusaLink local API (/api/v1/status + /api/v1/job) on Prusa MK4/XL/MINI
+         * and MK3 with PrusaLink. Authenticates with HTTP digest (username and
+         * password from the printer's PrusaLink settings) or an X-Api-Key.
+         */
+        function createPrusaLinkBackend() {
+            const digest = { challenge: null, count: 0 };
+            let thumbnailRef = null;
+            let thumbnailObjectUrl = null;
+
+            // fetch() with digest auth; answers the 401 challenge once, then reuses it
+            async function prusaLinkFetch(url, options = {}) {
+                if (!settings.password) return apiFetch(url, options);
+
+                if (digest.challenge) {
+                    const resp = await fetchWithTimeout(url, withDigestHeader(url, options));
+                    if (resp.status !== 401) return resp;
+                }
+
+                const resp = await fetchWithTimeout(url, options);
+                if (resp.status !== 401) return resp;
+
+                const challenge = parseDigestChallenge(resp.headers.get('WWW-Authenticate'));
+                if (!challenge) return resp;
+                digest.challenge = challenge;
+                digest.count = 0;
+                return fetchWithTimeout(url, withDigestHeader(url, options));
+            }
+
+            function withDigestHeader(url, options) {
+                const method = (options.method || 'GET').toUpperCase();
+                const target = new URL(url);
+                const authorization = buildDigestAuthorization(
+                    digest.challenge, settings.username, settings.password, method,
+                    target.pathname + target.search, ++digest.count
+                );
+                return { ...options, headers: { ...(options.headers || {}), Authorization: authorization } };
+            }
+
+            return {
+                type: 'prusalink',
+
+                async init() {},
+
+                async fetchStatus() {
+                    const statusResp = await prusaLinkFetch(apiUrl('/api/v1/status'));
+                    if (!statusResp.ok) throw new Error(`HTTP ${statusResp.status}: ${statusResp.statusText}`);
+                    const statusJson = await statusResp.json();
+
+                    // /api/v1/job answers 204 No Content when nothing is printing
+                    let job = null;
+                    if (statusJson?.job) {
+                        const jobResp = await prusaLinkFetch(apiUrl('/api/v1/job'));
+                        if (jobResp.ok && jobResp.status !== 204) job = await jobResp.json();
+                    }
+
+                    thumbnailRef = job?.file?.refs?.thumbnail || job?.file?.refs?.icon || null;
+                    return normalizePrusaLinkStatus(statusJson, job);
+                },
+
+                async loadThumbnail() {
+                    if (!thumbnailRef) return null;
+                    const resp = await prusaLinkFetch(apiUrl(thumbnailRef.startsWith('/') ? thumbnailRef : `/${thumbnailRef}`));
+                    if (!resp.ok) return null;
+                    const blob = await resp.blob();
+
+                    if (thumbnailObjectUrl) URL.revokeObjectURL(thumbnailObjectUrl);
+                    thumbnailObjectUrl = URL.createObjectURL(blob);
+                    return thumbnailObjectUrl;
+                },
+
+                async cameraToken() {
+                    return null;
+                }
+            };
+        }
+
+        // ============================================================
+        // THUMBNAIL
+        // ============================================================
+
+        /**
+         * Thumbnails Moonraker already extracted (metadata "thumbnails" with
+         * relative_path next to the file), picked by size. Null when the file
+         * has none or Moonraker's metadata is unavailable.
+         */
+        async function loadMetadataThumbnail(filename, target) {
+            try {
+                const meta = metadataCache.filename === filename && metadataCache.source === 'api'
+                    ? metadataCache.data
+                    : await fetchMetadataFromApi(filename);
+                const thumbnails = (meta?.thumbnails || []).filter(thumb => thumb?.relative_path);
+                const best = pickThumbnail(thumbnails, target);
+                if (!best) return null;
+
+                // relative_path is relative to the directory of the G-code file
+                const dir = filename.includes('/') ? filename.slice(0, filename.lastIndexOf('/') + 1) : '';
+                const resp = await apiFetch(apiUrl(gcodeFilePath(dir + best.relative_path)));
+                if (!resp.ok) return null;
+                // a data URL (unlike an object URL) can go into the persistent cache
+                return await blobToDataUrl(await resp.blob());
+            } catch (err) {
+                if (settings.debug) console.log('[OBS Print Progress] Metadata thumbnail unavailable:', err);
+                return null;
+            }
+        }
+
+        /**
+         * Fallback: read the thumbnail blocks embedded in the G-code (PNG, JPG
+         * or QOI). When the best-fitting block runs past the first read, the
+         * file is read again up to the end of that block.
+         */
+        async function extractThumbnailFromGcode(filename, target) {
+            try {
+                const path = normalizeFilename(filename);
+                if (!path) return null;
+
+                const url = apiUrl(gcodeFilePath(path));
+                if (settings.debug) console.log('[OBS Print Progress] Thumbnail URL:', url);
+
+                let text = await fetchGcodeHead(url, THUMBNAIL_SCAN_BYTES);
+                if (!text) return null;
+
+                let blocks = parseThumbnailBlocks(text);
+                let best = pickThumbnail(blocks, target);
+
+                if (best && !best.data) {
+                    // the block header carries the base64 length; lines add "; " and a newline
+                    const needed = best.start + Math.ceil(best.length * 1.05) + 4096;
+                    if (needed <= THUMBNAIL_MAX_BYTES) {
+                        const longer = await fetchGcodeHead(url, needed);
+                        if (longer) {
+                            text = longer;
+                            blocks = parseThumbnailBlocks(text);
+                            best = blocks.find(block => block.start === best.start) || null;
+                        }
+                    }
+                    if (!best?.data) best = pickThumbnail(blocks.filter(block => block.data), target);
+                }
+
+                return best ? thumbnailBlockToSrc(best) : null;
+            } catch (err) {
+                console.error("extractThumbnailFromGcode error:", err);
+                return null;
+            }
+        }
+
+        function thumbnailSizeKey(target) {
+            return `${target?.width || 0}x${target?.height || 0}`;
+        }
+
+        // Thumbnail from the persistent cache, if it was stored for this display size and the file is unchanged
+        async function cachedThumbnail(filename, target) {
+            const entry = fileCache.get(fileCacheKey(filename));
+            if (!entry?.thumbnail || entry.thumbnail.size !== thumbnailSizeKey(target)) return null;
+            if (!(await checkCachedFile(filename, entry.stamp))) return null;
+            if (settings.debug) console.log('[OBS Print Progress] Thumbnail restored from cache:', filename);
+            return entry.thumbnail.src;
+        }
+
+        function cacheThumbnail(filename, target, src) {
+            if (!src.startsWith('data:')) return;
+            updateCachedFile(filename, { thumbnail: { size: thumbnailSizeKey(target), src } });
+        }
+
+        async function fetchGcodeHead(url, bytes) {
+            const resp = await apiFetch(url, { headers: { Range: `bytes=0-${bytes - 1}` }, timeout: settings.requestTimeout * 3 });
+            if (!resp.ok) return null;
+            return resp.text();
+        }
+
+        // ============================================================
+        // POLL SCHEDULER (HTTP polling when the WebSocket is unavailable)
+        // ============================================================
+
+        /*
+         * Single-flight poll loop: the next poll is only scheduled once the
+         * previous one (status, metadata, thumbnail lookup) has finished, so
+         * slow printers can never pile up overlapping requests.
+         */
+
+        function startPolling() {
+            if (pollActive || stopped) return;
+            pollActive = true;
+            if (settings.debug) console.log('[OBS Print Progress] Polling:', { printing: settings.printingInterval, idle: settings.idleInterval });
+            runPoll();
+        }
+
+        function stopPolling() {
+            pollActive = false;
+            if (pollTimer) clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+
+        async function runPoll() {
+            pollTimer = null;
+            if (!pollActive || pollInFlight) return;
+
+            pollInFlight = true;
+            try {
+                await fetchPrintStatus();
+            } finally {
+                pollInFlight = false;
+            }
+
+            if (pollActive && !pollTimer) pollTimer = setTimeout(runPoll, nextPollDelay());
+        }
+
+        /**
+         * Printing/paused printers poll at printingInterval, idle ones at
+         * idleInterval; failures back off exponentially up to 30s.
+         */
+        function nextPollDelay() {
+            if (apiRetryCount > 0) return Math.min(2000 * Math.pow(2, apiRetryCount - 1), 30000);
+            return lastPolledState === 'printing' || lastPolledState === 'paused' ? settings.printingInterval : settings.idleInterval;
+        }
+
+        // ============================================================
+        // WEBSOCKET SUBSCRIPTION
+        // ============================================================
+
+        /**
+         * Open the Moonraker JSON-RPC socket and subscribe to printer objects.
+         * Polling takes over whenever the subscription is not live.
+         */
+        async function connectWebSocket() {
+            if (typeof WebSocket === 'undefined') {
+                startPolling();
+                return;
+            }
+
+            // Browsers can't set headers on a WebSocket; authenticate with a one-shot token
+            const token = await fetchOneshotToken();
+            if (stopped) return;
+
+            let ws;
+            try {
+                ws = new WebSocket(withToken(socketUrl(), token));
+            } catch (err) {
+                console.warn('[OBS Print Progress] WebSocket unavailable, using HTTP polling:', err);
+                startPolling();
+                scheduleSocketReconnect();
+                return;
+            }
+
+            let opened = false;
+            socket = ws;
+
+            // a socket that never opens would otherwise delay the polling fallback
+            const connectTimeout = setTimeout(() => {
+                if (!opened) ws.close();
+            }, settings.requestTimeout);
+
+            ws.onopen = () => {
+                opened = true;
+                clearTimeout(connectTimeout);
+                subscribeStatus();
+            };
+
+            ws.onmessage = (event) => handleSocketMessage(event.data);
+
+            ws.onclose = () => {
+                clearTimeout(connectTimeout);
+                if (socket !== ws) return;
+                socket = null;
+                subscribeRequestId = null;
+                console.warn(opened
+                    ? '[OBS Print Progress] WebSocket closed, falling back to HTTP polling'
+                    : '[OBS Print Progress] WebSocket could not connect, falling back to HTTP polling');
+                startPolling();
+                scheduleSocketReconnect();
+            };
+
+            // onclose always follows an error
+            ws.onerror = () => {};
+        }
+
+        function scheduleSocketReconnect() {
+            if (stopped) return;
+            if (socketReconnectTimeout) clearTimeout(socketReconnectTimeout);
+            socketRetryCount++;
+            const delay = Math.min(2000 * Math.pow(2, socketRetryCount - 1), 30000);
+            socketReconnectTimeout = setTimeout(() => {
+                socketReconnectTimeout = null;
+                connectWebSocket();
+            }, delay);
+        }
+
+        function sendSocketRequest(method, params) {
+            if (!socket || socket.readyState !== 1) return null;
+            const id = ++socketRequestId;
+            socket.send(JSON.stringify({ jsonrpc: '2.0', method, params, id }));
+            return id;
+        }
+
+        // on every (re)connect and notify_klippy_ready; a customFields probe nobody answered is repeated first
+        async function subscribeStatus() {
+            if (!customObjectsChecked && hooks.customFields && settings.customFields.length) await detectCustomObjects();
+            if (stopped) return;
+
+            const objects = {};
+            subscribedObjects.forEach(obj => { objects[obj] = null; });
+            extruderObjects.forEach(obj => { objects[obj] = null; });
+            if (chamberObjectName) objects[chamberObjectName] = null;
+            customObjects.forEach(obj => { objects[obj] = null; });
+            if (excludeObject) objects.exclude_object = null;
+            subscribeRequestId = sendSocketRequest('printer.objects.subscribe', { objects });
+        }
+
+        function handleSocketMessage(raw) {
+            let msg;
+            try {
+                msg = JSON.parse(raw);
+            } catch {
+                return;
+            }
+
+            if (msg.id !== undefined && msg.id === subscribeRequestId) {
+                if (msg.error) {
+                    // Klippy not ready yet; keep polling until notify_klippy_ready
+                    console.warn('[OBS Print Progress] Subscribe failed:', msg.error.message || msg.error);
+                    startPolling();
+                    return;
+                }
+                stopPolling();
+                socketRetryCount = 0;
+                apiRetryCount = 0;
+                printerStatus = {};
+                mergeStatus(msg.result?.status);
+                if (settings.debug) console.log('[OBS Print Progress] WebSocket subscription active');
+                queueRender();
+                return;
+            }
+
+            switch (msg.method) {
+                case 'notify_status_update':
+                    mergeStatus(msg.params?.[0]);
+                    queueRender();
+                    break;
+                case 'notify_klippy_ready':
+                    subscribeStatus();
+                    break;
+                case 'notify_klippy_shutdown':
+                case 'notify_klippy_disconnected':
+                    startPolling();
+                    break;
+            }
+        }
+
+        /**
+         * Apply a notify_status_update delta. Klipper only sends changed
+         * fields, so each object is merged into the last known state.
+         */
+        function mergeStatus(delta) {
+            if (!delta) return;
+            for (const [obj, fields] of Object.entries(delta)) {
+                printerStatus[obj] = { ...(printerStatus[obj] || {}), ...fields };
+            }
+        }
+
+        // Deltas arrive several times a second; coalesce them into one render
+        function queueRender() {
+            if (renderQueued) return;
+            renderQueued = true;
+            setTimeout(async () => {
+                renderQueued = false;
+                if (stopped) return;
+                if (rendering) {
+                    queueRender();
+                    return;
+                }
+                rendering = true;
+                try {
+                    await emitStatus(await normalizeMoonrakerStatus(printerStatus));
+                } catch (err) {
+                    console.error('[OBS Print Progress] Render error:', err);
+                } finally {
+                    rendering = false;
+                }
+            }, 100);
+        }
+
+        // ============================================================
+        // STATUS FETCH
+        // ============================================================
+
+        // Every normalized status (polled or subscribed) goes through here
+        async function emitStatus(status) {
+            if (hooks.tempHistory && settings.tempHistory > 0) recordTemps(status.temps);
+            if (hooks.jobs && backend.fetchJobs && (settings.jobQueue > 0 || settings.jobHistory > 0)) {
+                refreshJobs(status.state);
+                status.jobs = jobs;
+            }
+            if (hooks.stats) status.stats = stats;
+            await hooks.onStatus(status);
+        }
+
+        /**
+         * Re-read the job queue and history in the background when the print
+         * state changed (a job finished or started) or JOB_REFRESH_MS passed.
+         * The panel shows the result from the next status update on.
+         */
+        function refreshJobs(state) {
+            if (jobsFetch) return;
+            if (state === jobsState && Date.now() - jobsFetchedAt < JOB_REFRESH_MS) return;
+
+            jobsState = state;
+            jobsFetch = backend.fetchJobs()
+                .then(result => { jobs = result; })
+                .catch(err => {
+                    if (settings.debug) console.warn('[OBS Print Progress] Job queue/history unavailable:', err.message);
+                })
+                .finally(() => {
+                    jobsFetchedAt = Date.now();
+                    jobsFetch = null;
+                });
+        }
+
+        async function fetchPrintStatus() {
+            try {
+                const status = await backend.fetchStatus();
+                if (stopped) return;
+                apiRetryCount = 0;
+                lastPolledState = status.state;
+                await emitStatus(status);
+
+            } catch (error) {
+                const isNetworkError =
+                    error.message?.includes('Failed to fetch') ||
+                    error.message?.includes('NetworkError') ||
+                    error.message?.includes('TypeError') ||
+                    error.message?.includes('timed out');
+
+                // the scheduler keeps backing off; stop counting once the delay is capped
+                if (apiRetryCount < maxApiRetries) apiRetryCount++;
+
+                const retrying = isNetworkError && apiRetryCount < maxApiRetries;
+                if (retrying) {
+                    console.warn(`[OBS Print Progress] ${settings.name}: API failed, retrying in ${nextPollDelay()}ms (${apiRetryCount}/${maxApiRetries})`);
+                } else if (error.message?.includes('HTTP 401') || error.message?.includes('HTTP 403')) {
+                    console.warn(settings.apiKey
+                        ? '[OBS Print Progress] Printer API rejected the configured apiKey'
+                        : '[OBS Print Progress] Printer API requires authentication; set "apiKey" for this printer');
+                }
+
+                hooks.onError(error, { count: apiRetryCount, max: maxApiRetries, delay: nextPollDelay(), retrying });
+            }
+        }
+
+        // ============================================================
+        // TEMPERATURE HISTORY
+        // ============================================================
+
+        function recordTemps(temps = {}) {
+            const now = Date.now();
+            ['hotend', 'bed', 'chamber'].forEach(key => {
+                const entry = temps[key];
+                if (entry) tempHistory.add(key, now, entry.current, entry.target);
+            });
+        }
+
+        /**
+         * Fill the sparklines with the minutes before the overlay loaded from
+         * Moonraker's temperature_store (one sample per second, newest last).
+         * Optional: older Moonraker versions or a failed request leave them
+         * to fill up live.
+         */
+        async function backfillTempHistory() {
+            try {
+                const resp = await apiFetch(apiUrl('/server/temperature_store?include_monitors=false'));
+                if (!resp.ok) return;
+                const store = (await resp.json()).result || {};
+                const now = Date.now();
+                const sources = { hotend: 'extruder', bed: 'heater_bed', chamber: chamberObjectName };
+                Object.entries(sources).forEach(([key, objectName]) => {
+                    if (objectName && store[objectName]) tempHistory.backfill(key, temperatureStoreSamples(store[objectName], now));
+                });
+                if (settings.debug) console.log('[OBS Print Progress] Temperature history backfilled:', Object.keys(store).join(', '));
+            } catch (err) {
+                if (settings.debug) console.warn('[OBS Print Progress] temperature_store unavailable:', err.message);
+            }
+        }
+
+        // ============================================================
+        // EXTRUDER DETECTION
+        // ============================================================
+
+        // extruder, extruder1..N from the object list (extruder_stepper objects have no heater)
+        async function detectExtruders() {
+            const objects = await fetchObjectList();
+            const found = (objects || []).filter(isExtruderObject).sort((a, b) => toolIndex(a) - toolIndex(b));
+            if (found.length) extruderObjects = found;
+            if (settings.debug && found.length > 1) console.log('[OBS Print Progress] Tools:', found.join(', '));
+        }
+
+        // ============================================================
+        // CUSTOM FIELD OBJECTS
+        // ============================================================
+
+        /**
+         * Keep the customFields objects this printer actually has, so a typo
+         * in printers.json doesn't cost a query slot on every poll. Probes
+         * them one by one when the object list is unavailable; retried from
+         * fetchStatus() until the printer answered.
+         */
+        async function detectCustomObjects() {
+            const wanted = [...new Set(settings.customFields.map(field => field.object))];
+            const objects = await fetchObjectList();
+            const found = [];
+            let answered = !!objects;
+
+            if (objects) {
+                found.push(...wanted.filter(name => objects.includes(name)));
+            } else {
+                // a query answered without the object counts too: it doesn't exist
+                for (const name of wanted) {
+                    const probe = await probeObject(name);
+                    answered = answered || probe.answered;
+                    if (probe.data) found.push(name);
+                }
+            }
+            if (!answered) return;
+
+            customObjects = found;
+            customObjectsChecked = true;
+            const missing = wanted.filter(name => !found.includes(name));
+            if (settings.debug && missing.length) console.warn('[OBS Print Progress] customFields objects not found on the printer:', missing.join(', '));
+        }
+
+        // ============================================================
+        // JOB QUEUE + HISTORY (Moonraker)
+        // ============================================================
+
+        // Next jobs in Moonraker's job queue with their slicer estimate
+        async function fetchQueuedJobs() {
+            const resp = await apiFetch(apiUrl('/server/job_queue/status'));
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+            const queued = (await resp.json()).result?.queued_jobs || [];
+
+            const result = [];
+            for (const job of queued.slice(0, settings.jobQueue)) {
+                const metadata = await loadJobMetadata(job.filename);
+                result.push({ id: job.job_id, filename: job.filename, estimate: getSlicerTotalSeconds(metadata, null) });
+            }
+            return result;
+        }
+
+        // Last finished jobs, newest first (the running job is skipped)
+        async function fetchJobHistory() {
+            const resp = await apiFetch(apiUrl(`/server/history/list?limit=${settings.jobHistory + 1}&order=desc`));
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+            return historyJobs((await resp.json()).result?.jobs || [], settings.jobHistory);
+        }
+
+        /**
+         * Lifetime totals change only when a job ends, so they run on their
+         * own slow timer instead of the poll loop; a failed read keeps the
+         * last totals and tries again next round.
+         */
+        function scheduleStats(delay) {
+            statsTimer = setTimeout(async () => {
+                try {
+                    stats = await backend.fetchTotals();
+                } catch (err) {
+                    if (settings.debug) console.warn('[OBS Print Progress] History totals unavailable:', err.message);
+                }
+                if (!stopped) scheduleStats(STATS_REFRESH_MS);
+            }, delay);
+        }
+
+        // ============================================================
+        // EXCLUDE OBJECT DETECTION
+        // ============================================================
+
+        // [exclude_object] is optional in Klipper; without the object list, ask for it anyway
+        async function detectExcludeObject() {
+            const objects = await fetchObjectList();
+            excludeObject = !objects || objects.includes('exclude_object');
+            if (settings.debug && !excludeObject) console.log('[OBS Print Progress] No [exclude_object] section, object map disabled');
+        }
+
+        // ============================================================
+        // CHAMBER DETECTION
+        // ============================================================
+
+        /**
+         * Find the chamber sensor object once so it can be included in the
+         * status query/subscription. Probes the candidates one by one when
+         * the object list is unavailable.
+         */
+        async function detectChamberObject() {
+            if (chamberObjectName) return chamberObjectName;
+            const name = await getChamberObjectName();
+            if (name || objectListCache) return name;
+            const temps = await fetchChamberTemp();
+            return temps ? chamberObjectName : null;
+        }
+
+        async function fetchChamberTemp() {
+            const objName = await getChamberObjectName();
+            if (objName) {
+                const data = await querySingleObject(objName);
+                const parsed = parseTempEntry(data);
+                if (parsed) return parsed;
+            }
+
+            for (const obj of chamberCandidates) {
+                const data = await querySingleObject(obj);
+                const parsed = parseTempEntry(data);
+                if (parsed) {
+                    chamberObjectName = obj;
+                    return parsed;
+                }
+            }
+            return null;
+        }
+
+        async function getChamberObjectName() {
+            if (chamberObjectName) return chamberObjectName;
+            const objects = await fetchObjectList();
+            if (!objects) return null;
+
+            const lower = objects.map(o => o.toLowerCase());
+            for (const candidate of chamberCandidates) {
+                const idx = lower.indexOf(candidate.toLowerCase());
+                if (idx !== -1) {
+                    chamberObjectName = objects[idx];
+                    return chamberObjectName;
+                }
+            }
+            return null;
+        }
+
+        async function fetchObjectList() {
+            const now = Date.now();
+            if (objectListCache && now - objectListFetchedAt < 30000) return objectListCache;
+
+            try {
+                const resp = await apiFetch(apiUrl('/printer/objects/list'));
+                if (!resp.ok) return null;
+                const json = await resp.json();
+                const list = json.result?.objects;
+                if (Array.isArray(list)) {
+                    objectListCache = list;
+                    objectListFetchedAt = now;
+                    return list;
+                }
+            } catch {
+                // ignore
+            }
+            return null;
+        }
+
+        async function querySingleObject(objName) {
+            return (await probeObject(objName)).data;
+        }
+
+        // { answered, data }: answered is false when the query got no valid response
+        async function probeObject(objName) {
+            try {
+                const resp = await apiFetch(apiUrl(`/printer/objects/query?${encodeURIComponent(objName)}`));
+                if (!resp.ok) return { answered: false, data: null };
+                const json = await resp.json();
+                const status = json.result?.status;
+                if (!status) return { answered: false, data: null };
+                const key = Object.keys(status)[0];
+                return { answered: true, data: status[key] || null };
+            } catch {
+                return { answered: false, data: null };
+            }
+        }
+
+        // ============================================================
+        // METADATA
+        // ============================================================
+
+        // also after a reload while paused or finished, which keep showing the job (STATE_PRESENTATION)
+        async function ensureMetadataLoaded(filename, state) {
+            if (!presentState(state).job || !filename) return;
+            if (metadataCache.filename === filename && metadataCache.data) return;
+            // a deleted or unreadable file isn't looked up again on every render while it stays on screen
+            if (metadataCache.filename === filename && Date.now() - metadataCache.failedAt < METADATA_RETRY_MS) return;
+
+            // a new file (not a retry after metadata failed to load) starts layer tracking over
+            if (metadataCache.filename !== filename) {
+                metadataCache.layerHeights = null;
+                metadataCache.layerScan = null;
+                metadataCache.failedAt = 0;
+                layerTracker.reset();
+            }
+            metadataCache.filename = filename;
+            metadataCache.filenamePatterns = [];
+
+            // After a reload mid-print the last parse is shown right away and checked in the background
+            const cached = fileCache.get(fileCacheKey(filename));
+            if (cached?.metadata) {
+                metadataCache.data = cached.metadata;
+                metadataCache.source = cached.source;
+                metadataCache.stamp = cached.stamp;
+                checkCachedFile(filename, cached.stamp);
+                if (settings.debug) console.log('[OBS Print Progress] Metadata restored from cache:', filename);
+                applyFilenamePatterns(filename);
+                return;
+            }
+
+            const metaResult = await fetchMetadata(filename);
+            metadataCache.data = metaResult?.data || null;
+            metadataCache.source = metaResult?.source || null;
+            metadataCache.stamp = metaResult?.stamp || null;
+            metadataCache.failedAt = metadataCache.data ? 0 : Date.now();
+
+            // cached before the filename fills gaps, so edited patterns apply on the next load
+            if (metadataCache.data && metadataCache.stamp) {
+                fileChecks.set(filename, Promise.resolve(true));  // just read from the printer
+                fileCache.set(fileCacheKey(filename), {
+                    stamp: metadataCache.stamp,
+                    source: metadataCache.source,
+                    metadata: metadataCache.data
+                });
+            }
+
+            applyFilenamePatterns(filename);
+        }
+
+        /**
+         * Metadata of a file that isn't printing yet (job queue), through the
+         * same persistent cache, so the print reuses it once it starts.
+         */
+        async function loadJobMetadata(filename) {
+            const cached = fileCache.get(fileCacheKey(filename));
+            if (cached?.metadata) return cached.metadata;
+
+            const result = await fetchMetadata(filename);
+            if (result?.data && result.stamp) {
+                fileCache.set(fileCacheKey(filename), { stamp: result.stamp, source: result.source, metadata: result.data });
+            }
+            return result?.data || null;
+        }
+
+        // Fill what the file's metadata lacks from the printer's filenamePatterns
+        function applyFilenamePatterns(filename) {
+            const data = metadataCache.data;
+            if (!data) return;
+
+            const { values, matched } = matchFilenamePatterns(filename, settings.filenamePatterns);
+            metadataCache.filenamePatterns = matched;
+            if (settings.debug && matched.length) {
+                console.log('[OBS Print Progress] Filename patterns matched:', matched.join(', '), values);
+            }
+
+            if (!data.layer_height && values.layer_height) {
+                data.layer_height = values.layer_height;
+                if (data.object_height && !data.layer_count) {
+                    const firstLayer = data.first_layer_height || values.layer_height;
+                    data.layer_count = Math.max(1, Math.round(((data.object_height - firstLayer) / values.layer_height) + 1));
+                }
+            }
+            if (!data.estimated_time && values.estimated_time) data.estimated_time = values.estimated_time;
+            if (!data.filament_type && values.material) data.filament_type = values.material;
+            if (!data.nozzle_diameter && values.nozzle_diameter) data.nozzle_diameter = values.nozzle_diameter;
+            if (!data.object_name && values.object) data.object_name = values.object;
+        }
+
+        function fileCacheKey(filename) {
+            return `${settings.baseUrl}|${normalizeFilename(filename)}`;
+        }
+
+        // Add fields to a file's persistent cache entry (needs the file stamp, so metadata must be loaded)
+        function updateCachedFile(filename, fields) {
+            const key = fileCacheKey(filename);
+            const entry = fileCache.get(key) || (metadataCache.filename === filename && metadataCache.stamp
+                ? { stamp: metadataCache.stamp, source: metadataCache.source, metadata: metadataCache.data }
+                : null);
+            if (!entry) return;  // no file stamp to validate it against later
+            fileCache.set(key, { ...entry, ...fields });
+        }
+
+        /**
+         * Compare a persistent cache entry with the file on the printer, once
+         * per file and session. A file re-uploaded under the same name has a
+         * new modified time or size: its entry is dropped and the next poll
+         * parses it again. Resolves to true when the entry can be used.
+         */
+        function checkCachedFile(filename, stamp) {
+            if (!fileChecks.has(filename)) {
+                fileChecks.set(filename, fetchFileStamp(normalizeFilename(filename)).then(current => {
+                    // printer unreachable: keep what we have
+                    if (!current || sameFileStamp(current, stamp)) return true;
+
+                    if (settings.debug) console.log('[OBS Print Progress] Cached metadata is stale:', filename);
+                    fileCache.remove(fileCacheKey(filename));
+                    if (metadataCache.filename === filename) {
+                        metadataCache.filename = null;
+                        metadataCache.data = null;
+                    }
+                    return false;
+                }));
+            }
+            return fileChecks.get(filename);
+        }
+
+        /**
+         * Layer Z heights from the G-code's layer change markers, for prints
+         * whose slicer doesn't report layers to Klipper. Runs once per file in
+         * the background (the file is streamed, not held in memory) and the
+         * result goes into the persistent cache.
+         */
+        async function ensureLayerHeights(filename) {
+            if (!settings.scanLayers || !filename || metadataCache.filename !== filename) return;
+            if (metadataCache.layerScan === filename || !metadataCache.data) return;  // the scan needs the file size
+            metadataCache.layerScan = filename;
+
+            const cached = fileCache.get(fileCacheKey(filename));
+            if (Array.isArray(cached?.layerHeights) && await checkCachedFile(filename, cached.stamp)) {
+                if (metadataCache.filename === filename) metadataCache.layerHeights = cached.layerHeights;
+                return;
+            }
+
+            const heights = await scanLayerHeights(normalizeFilename(filename));
+            if (!heights || metadataCache.filename !== filename) return;
+            if (settings.debug) console.log(`[OBS Print Progress] Layer heights from G-code: ${heights.length} layers`);
+            metadataCache.layerHeights = heights.length ? heights : null;
+            updateCachedFile(filename, { layerHeights: heights });
+        }
+
+        async function scanLayerHeights(fileParam) {
+            // a file of unknown size could be any size, so it isn't read
+            const size = Number(metadataCache.stamp?.size ?? metadataCache.data?.size);
+            if (!(size > 0 && size <= LAYER_SCAN_MAX_BYTES)) return null;
+
+            try {
+                const response = await apiFetch(apiUrl(gcodeFilePath(fileParam)), { timeout: LAYER_SCAN_TIMEOUT });
+                if (!response.ok) return null;
+
+                const scanner = createLayerZScanner();
+                if (response.body?.getReader) {
+                    const reader = response.body.getReader();
+                    const decoder = new TextDecoder();
+                    let received = 0;  // the file may have grown since its size was read
+                    for (;;) {
+                        const { done, value } = await reader.read();
+                        if (done) break;
+                        received += value.byteLength;
+                        if (stopped || received > LAYER_SCAN_MAX_BYTES) {
+                            reader.cancel();
+                            return null;
+                        }
+                        scanner.push(decoder.decode(value, { stream: true }));
+                    }
+                } else {
+                    scanner.push(await response.text());
+                }
+                return scanner.finish();
+            } catch (err) {
+                if (settings.debug) console.log('[OBS Print Progress] Layer scan failed:', err);
+                return null;
+            }
+        }
+
+        async function fetchFileStamp(fileParam) {
+            const apiMeta = await fetchMetadataFromApi(fileParam);
+            if (apiMeta) return fileStampFromMetadata(apiMeta);
+
+            try {
+                const response = await apiFetch(apiUrl(gcodeFilePath(fileParam)), { method: 'HEAD' });
+                return response.ok ? fileStampFromResponse(response) : null;
+            } catch {
+                return null;
+            }
+        }
+
+        async function fetchMetadata(filename) {
+            try {
+                const fileParam = normalizeFilename(filename);
+                if (!fileParam) return null;
+
+                const apiMeta = await fetchMetadataFromApi(fileParam);
+                if (apiMeta) return { data: apiMeta, source: 'api', stamp: fileStampFromMetadata(apiMeta) };
+
+                const headerMeta = await fetchMetadataFromGcode(fileParam);
+                if (headerMeta) return { data: headerMeta.metadata, source: 'gcode-header', stamp: headerMeta.stamp };
+
+                return null;
+            } catch (err) {
+                console.error('Error fetching metadata:', err);
+                return null;
+            }
+        }
+
+        async function fetchMetadataFromApi(fileParam) {
+            try {
+                const url = apiUrl(`/server/files/metadata?filename=${encodeURIComponent(fileParam)}`);
+                const response = await apiFetch(url, { method: 'GET', cache: 'no-cache' });
+                if (response.ok) {
+                    const data = await response.json();
+                    return data.result;
+                }
+            } catch {
+                // ignore
+            }
+            return null;
+        }
+
+        async function fetchMetadataFromGcode(fileParam) {
+            try {
+                const url = apiUrl(gcodeFilePath(fileParam));
+
+                const response = await apiFetch(url, { headers: { Range: `bytes=0-${GCODE_HEAD_BYTES - 1}` } });
+                if (!response.ok) return null;
+                const head = await response.text();
+
+                // a server that ignores Range sends the whole file; the tail is already in it
+                let tail = '';
+                if (response.status === 206) {
+                    try {
+                        const tailResponse = await apiFetch(url, { headers: { Range: `bytes=-${GCODE_TAIL_BYTES}` } });
+                        if (tailResponse.ok) tail = await tailResponse.text();
+                    } catch {
+                        // head-only metadata is still useful
+                    }
+                } else {
+                    tail = head.slice(-GCODE_TAIL_BYTES);
+                }
+
+                const metadata = parseGcodeMetadata(head.slice(0, GCODE_HEAD_BYTES), tail);
+                return metadata ? { metadata, stamp: fileStampFromResponse(response) } : null;
+            } catch {
+                return null;
+            }
+        }
+
+        return {
+            settings,
+            start,
+            stop,
+            loadThumbnail: (filename, target) => backend.loadThumbnail(filename, target),
+            cameraToken: () => backend.cameraToken(),
+            tempHistory: key => tempHistory.points(key)
+        };
+    }
+
+    // ============================================================
+    // PRINTER BACKENDS
+    // ============================================================
+
+    /*
+     * A backend talks to one kind of printer host and produces a normalized
+     * status object, so rendering never touches host-specific payloads:
+     *
+     *   {
+     *     state,            // 'printing' | 'paused' | 'standby' | 'complete' | 'cancelled' | 'error' | ...
+     *     message,          // host status/error message
+     *     filename,         // path of the active job, as the host reports it
+     *     progress,         // 0..1
+     *     layer,            // { current, total } (null when unknown)
+     *     temps,            // { hotend, bed, chamber }, each { current, target } or null; hotend is the active tool
+     *                       // tools: [{ name, label ('T0'), current, target, active }] for every extruder
+     *     printDuration,    // seconds spent actually printing
+     *     elapsed,          // seconds since the job started
+     *     remaining,        // (optional) host-provided remaining seconds
+     *     slicerTotal,      // slicer estimate for the whole job in seconds
+     *     filamentUsed,     // (optional) mm of filament extruded so far
+     *     material,         // { type, name, color, length (mm), weight (g) } or null
+     *     motion,           // { speed, extrudeFactor, nozzleDiameter } or null
+     *     fields,           // (optional) customFields with their `value`, Moonraker only
+     *     jobs,             // (set by the session) { queue: [{ id, filename, estimate }],
+     *                       //   history: [{ id, filename, result, duration, endTime }] } or null
+     *     stats,            // (set by the session) { printTime, filament (mm), jobs, longestPrint } or null
+     *     objects,          // (optional) exclude_object map: { objects: [{ name, center, polygon, excluded, current }],
+     *                       //   current, excludedCount, bed: { min: [x, y], max: [x, y] } or null, position: [x, y] or null }
+     *     debug             // backend-specific fields for the debug panel
+     *   }
+     *
+     * Backend methods:
+     *   init()               one-time discovery before the first update
+     *   fetchStatus()        one HTTP poll; resolves to a normalized status
+     *   subscribe()          (optional) push updates; falls back to polling itself
+     *   fetchJobs()          (optional) resolves to the job queue and recent history
+     *   fetchTotals()        (optional) resolves to lifetime totals for the stats panel
+     *   loadThumbnail(file, target)  resolves to an <img> src or null; target is the
+     *                        { width, height } the image is shown at, in device pixels
+     *   cameraToken()        resolves to a token for the camera URL or null
+     */
+
+    function normalizeBackendType(type) {
+        const lower = String(type || 'moonraker').trim().toLowerCase();
+        return lower === 'klipper' ? 'moonraker' : lower;
+    }
+
+    function normalizeOctoPrintStatus(job, printer) {
+        const flags = printer?.state?.flags || {};
+        const text = String(job?.state || printer?.state?.text || '').toLowerCase();
+        const file = job?.job?.file || {};
+        const completion = asNumber(job?.progress?.completion);
+        const printTime = asNumber(job?.progress?.printTime);
+        const temps = printer?.temperature || {};
+
+        let state = 'standby';
+        if (flags.error || text.startsWith('error')) state = 'error';
+        else if (flags.cancelling || text.startsWith('cancelling')) state = 'cancelled';
+        else if (flags.paused || flags.pausing || text.startsWith('paus')) state = 'paused';
+        else if (flags.printing || text.startsWith('printing') || text.startsWith('finishing')) state = 'printing';
+        else if (text.startsWith('offline') || text.includes('closed')) state = 'offline';
+        else if (completion !== null && completion >= 100 && file.name) state = 'complete';
+
+        return {
+            state,
+            message: job?.error || printer?.state?.text || '',
+            filename: file.path || file.name || '',
+            progress: completion !== null ? Math.max(0, Math.min(1, completion / 100)) : 0,
+            layer: { current: null, total: null },
+            temps: {
+                hotend: parseTempEntry(temps.tool0),
+                bed: parseTempEntry(temps.bed),
+                chamber: parseTempEntry(temps.chamber),
+                // OctoPrint doesn't report the active tool
+                tools: buildToolTemps(Object.entries(temps).filter(([name]) => /^tool\d+$/.test(name)), null)
+            },
+            printDuration: printTime,
+            elapsed: printTime,
+            slicerTotal: asNumber(job?.job?.estimatedPrintTime),
+            // OctoPrint's analysis only knows the filament length per tool
+            material: materialFromMetadata({
+                filament_total: sumList(Object.values(job?.job?.filament || {}).map(tool => tool?.length).join(','))
+            }),
+            motion: null,
+            debug: {
+                octoprintState: job?.state,
+                origin: file.origin,
+                printTimeLeft: job?.progress?.printTimeLeft
+            }
+        };
+    }
+
+    function normalizePrusaLinkStatus(statusJson, job) {
+        const printer = statusJson?.printer || {};
+        const jobStatus = statusJson?.job || {};
+        const file = job?.file || {};
+        const meta = file.meta || {};
+        const progress = asNumber(job?.progress ?? jobStatus.progress);
+        const printTime = asNumber(job?.time_printing ?? jobStatus.time_printing);
+        const remaining = asNumber(job?.time_remaining ?? jobStatus.time_remaining);
+
+        const stateMap = {
+            PRINTING: 'printing',
+            PAUSED: 'paused',
+            ATTENTION: 'paused',
+            FINISHED: 'complete',
+            STOPPED: 'cancelled',
+            ERROR: 'error'
+        };
+        const rawState = String(printer.state || job?.state || '').toUpperCase();
+        const state = stateMap[rawState] || 'standby';
+
+        // PrusaLink reports Z but not layers; derive them from the file metadata
+        const layerMeta = {
+            layer_height: asNumber(meta.layer_height),
+            first_layer_height: asNumber(meta.first_layer_height),
+            object_height: asNumber(meta.max_layer_z ?? meta.object_height)
+        };
+        const layers = computeLayerFromMetadata({ position: [0, 0, printer.axis_z] }, layerMeta.layer_height ? layerMeta : null);
+
+        const dir = file.display_path || file.path || '';
+        const name = file.display_name || file.name || '';
+
+        return {
+            state,
+            message: rawState === 'ATTENTION' ? 'Attention required' : '',
+            filename: name ? `${dir.replace(/\/+$/, '')}/${name}`.replace(/^\/+/, '') : '',
+            progress: progress !== null ? Math.max(0, Math.min(1, progress / 100)) : 0,
+            layer: layers,
+            temps: {
+                hotend: parseTempEntry({ temperature: printer.temp_nozzle, target: printer.target_nozzle }),
+                bed: parseTempEntry({ temperature: printer.temp_bed, target: printer.target_bed }),
+                chamber: null
+            },
+            printDuration: printTime,
+            elapsed: printTime,
+            remaining,
+            slicerTotal: parseSlicerDuration(meta['estimated printing time (normal mode)']) ?? (printTime !== null && remaining !== null ? printTime + remaining : null),
+            material: materialFromMetadata({
+                filament_type: meta.filament_type,
+                filament_total: meta['filament used [mm]'],
+                filament_weight_total: meta['filament used [g]']
+            }),
+            motion: null,
+            debug: {
+                prusalinkState: rawState,
+                axisZ: printer.axis_z,
+                speedFactor: printer.speed,
+                flowFactor: printer.flow
+            }
+        };
+    }
+
+    // ============================================================
+    // DIGEST AUTH (PrusaLink)
+    // ============================================================
+
+    /**
+     * Parse `WWW-Authenticate: Digest realm="...", nonce="...", qop="auth"`.
+     * Returns null for non-digest challenges.
+     */
+    function parseDigestChallenge(header) {
+        if (!header || !/^\s*digest\s/i.test(header)) return null;
+        const challenge = {};
+        const regex = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+        let match;
+        while ((match = regex.exec(header)) !== null) {
+            challenge[match[1].toLowerCase()] = match[2] ?? match[3];
+        }
+        return challenge.nonce ? challenge : null;
+    }
+
+    function buildDigestAuthorization(challenge, username, password, method, uri, count) {
+        const nc = count.toString(16).padStart(8, '0');
+        const cnonce = Math.random().toString(16).slice(2, 18);
+        const qop = challenge.qop ? challenge.qop.split(',').map(q => q.trim()).find(q => q === 'auth') : null;
+
+        const ha1 = md5(`${username}:${challenge.realm}:${password}`);
+        const ha2 = md5(`${method}:${uri}`);
+        const response = qop
+            ? md5(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : md5(`${ha1}:${challenge.nonce}:${ha2}`);
+
+        const parts = [
+            `username="${username}"`,
+            `realm="${challenge.realm}"`,
+            `nonce="${challenge.nonce}"`,
+            `uri="${uri}"`,
+            `response="${response}"`
+        ];
+        if (challenge.opaque) parts.push(`opaque="${challenge.opaque}"`);
+        if (challenge.algorithm) parts.push(`algorithm=${challenge.algorithm}`);
+        if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+        return `Digest ${parts.join(', ')}`;
+    }
+
+    /**
+     * MD5 hex digest of a UTF-8 string (RFC 1321). Web Crypto has no MD5,
+     * and digest auth needs it.
+     */
+    function md5(str) {
+        const bytes = new TextEncoder().encode(str);
+        const words = new Array(((bytes.length + 8) >> 6) * 16 + 16).fill(0);
+        for (let i = 0; i < bytes.length; i++) words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+        words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8);
+        words[words.length - 2] = bytes.length * 8;
+
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = [];
+        for (let i = 0; i < 64; i++) constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+
+        let a0 = 0x67452301, b0 = 0xefcdab89 | 0, c0 = 0x98badcfe | 0, d0 = 0x10325476;
+        for (let block = 0; block < words.length; block += 16) {
+            let a = a0, b = b0, c = c0, d = d0;
+            for (let i = 0; i < 64; i++) {
+                const round = i >> 4;
+                let f, g;
+                if (round === 0) { f = (b & c) | (~b & d); g = i; }
+                else if (round === 1) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+                else if (round === 2) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+                else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+
+                const shift = shifts[round * 4 + (i % 4)];
+                const sum = (a + f + constants[i] + words[block + g]) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+            a0 = (a0 + a) | 0;
+            b0 = (b0 + b) | 0;
+            c0 = (c0 + c) | 0;
+            d0 = (d0 + d) | 0;
+        }
+
+        return [a0, b0, c0, d0]
+            .map(n => [0, 8, 16, 24].map(s => ((n >>> s) & 0xff).toString(16).padStart(2, '0')).join(''))
+            .join('');
+    }
+
+    // ============================================================
+    // THUMBNAIL DECODING
+    // ============================================================
+
+    /**
+     * Find the thumbnail blocks slicers embed in the G-code header:
+     * "; thumbnail begin 300x300 12345", "; thumbnail_JPG begin ...",
+     * "; thumbnail_QOI begin ...". The last number is the base64 length.
+     * `data` is null for a block cut off by the end of `text`.
+     */
+    function parseThumbnailBlocks(text) {
+        const blocks = [];
+        const regex = /; thumbnail(?:_(PNG|JPG|QOI))? begin (\d+)x(\d+) (\d+)/g;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const body = match.index + match[0].length;
+            const endIndex = text.indexOf(`; thumbnail${match[1] ? `_${match[1]}` : ''} end`, body);
+            blocks.push({
+                format: match[1] || 'PNG',
+                width: Number(match[2]),
+                height: Number(match[3]),
+                length: Number(match[4]),
+                start: match.index,
+                data: endIndex === -1 ? null : text.slice(body, endIndex)
+                    .split(/\r?\n/)
+                    .map(line => line.trim().replace(/^;/, '').trim())
+                    .join('')
+            });
+        }
+        return blocks;
+    }
+
+    /**
+     * Smallest thumbnail that covers the target box, else the largest one.
+     * Works for parsed blocks and Moonraker's metadata thumbnails alike.
+     */
+    function pickThumbnail(thumbnails, target) {
+        if (!thumbnails || !thumbnails.length) return null;
+        const width = target?.width || 150;
+        const height = target?.height || 180;
+        const bySize = [...thumbnails].sort((a, b) => (a.width * a.height) - (b.width * b.height));
+        return bySize.find(thumb => thumb.width >= width && thumb.height >= height) || bySize[bySize.length - 1];
+    }
+
+    function thumbnailBlockToSrc(block) {
+        if (!block.data || block.data.length < 100) return null;
+        if (block.format === 'JPG') return `data:image/jpeg;base64,${block.data}`;
+        if (block.format === 'QOI') return qoiToDataUrl(decodeQoi(base64ToBytes(block.data)));
+        return `data:image/png;base64,${block.data}`;
+    }
+
+    function base64ToBytes(b64) {
+        const binary = atob(b64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Decode a QOI image (https://qoiformat.org) to RGBA pixels. Browsers
+     * can't display QOI, which PrusaSlicer uses for some printers' thumbnails.
+     */
+    function decodeQoi(bytes) {
+        if (bytes.length < 22 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'qoif') return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const width = view.getUint32(4);
+        const height = view.getUint32(8);
+        if (!width || !height || width > 4096 || height > 4096) return null;
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        const index = new Uint8Array(64 * 4);
+        const end = bytes.length - 8;  // 8-byte end marker
+        let r = 0, g = 0, b = 0, a = 255;
+        let pos = 14;
+        let run = 0;
+
+        for (let px = 0; px < pixels.length; px += 4) {
+            if (run > 0) {
+                run--;
+            } else if (pos < end) {
+                const b1 = bytes[pos++];
+                if (b1 === 0xfe) {
+                    r = bytes[pos++]; g = bytes[pos++]; b = bytes[pos++];
+                } else if (b1 === 0xff) {
+                    r = bytes[pos++]; g = bytes[pos++]; b = bytes[pos++]; a = bytes[pos++];
+                } else if ((b1 & 0xc0) === 0x00) {
+                    const i = b1 * 4;
+                    r = index[i]; g = index[i + 1]; b = index[i + 2]; a = index[i + 3];
+                } else if ((b1 & 0xc0) === 0x40) {
+                    r = (r + ((b1 >> 4) & 0x03) - 2) & 0xff;
+                    g = (g + ((b1 >> 2) & 0x03) - 2) & 0xff;
+                    b = (b + (b1 & 0x03) - 2) & 0xff;
+                } else if ((b1 & 0xc0) === 0x80) {
+                    const b2 = bytes[pos++];
+                    const dg = (b1 & 0x3f) - 32;
+                    r = (r + dg - 8 + ((b2 >> 4) & 0x0f)) & 0xff;
+                    g = (g + dg) & 0xff;
+                    b = (b + dg - 8 + (b2 & 0x0f)) & 0xff;
+                } else {
+                    run = b1 & 0x3f;
+                }
+                const hash = ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4;
+                index[hash] = r; index[hash + 1] = g; index[hash + 2] = b; index[hash + 3] = a;
+            }
+            pixels[px] = r; pixels[px + 1] = g; pixels[px + 2] = b; pixels[px + 3] = a;
+        }
+
+        return { width, height, pixels };
+    }
+
+    function qoiToDataUrl(image) {
+        if (!image) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        ctx.putImageData(new ImageData(image.pixels, image.width, image.height), 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    // Size the thumbnail is displayed at, in device pixels (CSS size works while hidden)
+    function thumbnailTarget(thumbEl) {
+        const style = window.getComputedStyle ? window.getComputedStyle(thumbEl) : null;
+        const scale = window.devicePixelRatio || 1;
+        return {
+            width: Math.round((parseFloat(style?.width) || 150) * scale),
+            height: Math.round((parseFloat(style?.height) || 180) * scale)
+        };
+    }
+
+    // ============================================================
+    // RENDERING
+    // ============================================================
+
+    /**
+     * Render a normalized printer status (from any backend, polled or subscribed).
+     * See "PRINTER BACKENDS" for the shape of the status object.
+     */
+    async function renderStatus(view, session, status) {
+        const settings = session.settings;
+        const state = status.state || 'standby';
+        const temps = status.temps || {};
+
+        // temps
+        setTempValue(view, settings, 'hotendTemp', temps.hotend);
+        setTempValue(view, settings, 'bedTemp', temps.bed);
+        updateToolChips(view, settings, temps.tools);
+        updateCustomFields(view, settings, status.fields);
+        updateJobPanel(view, session, status.jobs);
+        updatePrinterStats(view, settings, status.stats, state);
+        updateObjectMap(view, settings, presentState(state).job ? status.objects : null);
+
+        // OPTIONAL: speed/flow (safe if the backend doesn't report motion)
+        updateMotionStats(view, settings, status.motion);
+
+        updateChamber(view, settings, temps.chamber);
+        updateSparklines(view, session);
+        updateMaterial(view, settings, presentState(state).job ? status.material : null);
+
+        // state (data-state lets themes and farm cards style by printer state)
+        const presentation = presentState(state);
+        view.root.dataset.state = state;
+        const statusElement = view.el('status');
+        if (statusElement) {
+            statusElement.textContent = formatState(settings.locale, state);
+            statusElement.className = `status-pill ${presentation.pill}`;
+        }
+        updateStatusMessage(view, presentation.message ? status.message : '');
+
+        if (!presentation.job) {
+            const bar = view.el('progressBar');
+            const pct = view.el('percentage');
+            if (bar) bar.style.width = '0%';
+            if (pct) pct.textContent = '0%';
+
+            setTimeValue(view, settings, 'timeEstimate', null);
+            setEtaValue(view, settings, null);
+            setTimeValue(view, settings, 'timeSlicer', status.slicerTotal ?? null);
+            setTimeValue(view, settings, 'timeTotal', null);
+
+            const layerEl = view.el('layerInfo');
+            const fileEl = view.el('filename');
+            if (layerEl) layerEl.textContent = '--';
+            if (fileEl) fileEl.textContent = '--';
+            hideThumbnail(view);
+            return;
+        }
+
+        // a job is on screen: printing, paused, or the outcome of the last one
+        const { progress, currentLayer, totalLayer } = jobProgress(presentation, status);
+        const percentage = Math.round(progress * 100);
+
+        const bar = view.el('progressBar');
+        const pct = view.el('percentage');
+        if (bar) bar.style.width = percentage + '%';
+        if (pct) pct.textContent = percentage + '%';
+
+        const layerEl = view.el('layerInfo');
+        if (layerEl) layerEl.textContent = formatLayerInfo(currentLayer, totalLayer);
+
+        const remainingStrategy = settings.remainingStrategy;
+        const remainingEstimates = computeRemainingEstimates({ ...status, progress });
+        const estimateRemaining = presentation.remaining ? selectRemaining(remainingEstimates, remainingStrategy, progress) : null;
+
+        const slicerTotal = status.slicerTotal ?? null;
+        const slicerRemaining = presentation.remaining ? remainingEstimates.slicer : slicerTotal;
+
+        // the final print time once the job ended
+        const elapsedTime = status.elapsed ?? null;
+
+        setTimeValue(view, settings, 'timeEstimate', estimateRemaining);
+        setEtaValue(view, settings, presentation.eta ? estimateRemaining : null);
+        setTimeValue(view, settings, 'timeSlicer', slicerRemaining);
+        setTimeValue(view, settings, 'timeTotal', elapsedTime);
+
+        updateDebug(view, settings, {
+            ...status.debug,
+            state,
+            progress,
+            filename: status.filename,
+            currentLayer,
+            totalLayer,
+            estimateRemaining,
+            remainingStrategy,
+            remainingEstimates,
+            slicerRemaining,
+            slicerTotal,
+            elapsedTime
+        });
+
+        const fileEl = view.el('filename');
+        if (fileEl) fileEl.textContent = formatFilename(status.filename) || translate(settings.locale, 'file.unknown');
+
+        updateThumbnail(view, session, status.filename);
+    }
+
+    // Presentation of a printer state (STATE_PRESENTATION); unknown states look like standby
+    function presentState(state) {
+        return STATE_PRESENTATION[state] || STATE_PRESENTATION.standby;
+    }
+
+    // A complete job shows 100% and its last layer; the others where they are (or stopped)
+    function jobProgress(presentation, status) {
+        const progress = presentation.progress === 'full' ? 1 : Math.max(0, Math.min(1, Number(status.progress) || 0));
+        const totalLayer = status.layer?.total ?? null;
+        const currentLayer = presentation.progress === 'full' && totalLayer ? totalLayer : status.layer?.current ?? null;
+        return { progress, currentLayer, totalLayer };
+    }
+
+    /**
+     * OPTIONAL #statusMessage: the host's reason for an error or a
+     * cancelled print (print_stats.message). Also the status pill's tooltip.
+     */
+    function updateStatusMessage(view, message) {
+        const text = String(message || '').trim();
+        const el = view.el('statusMessage');
+        if (el) {
+            el.textContent = text;
+            el.classList.toggle('hidden', !text);
+        }
+        const statusElement = view.el('status');
+        if (statusElement) statusElement.title = text;
+    }
+
+    // Load the job's thumbnail once per file; kept while the job is on screen
+    function updateThumbnail(view, session, filename) {
+        const thumbEl = view.el("thumbnail");
+        const previewContainer = view.el("previewFloating");
+        if (!thumbEl) return;
+
+        const normalized = normalizeFilename(filename);
+        const loadedFor = thumbEl.dataset.loadedFor || "";
+        if (!normalized || loadedFor === normalized) return;
+
+        thumbEl.dataset.loadedFor = normalized;
+        thumbEl.style.display = "none";
+        if (previewContainer) previewContainer.classList.remove('loaded');
+
+        session.loadThumbnail(normalized, thumbnailTarget(thumbEl)).then(src => {
+            // the view moved on (new file or carousel switch) while loading
+            if (thumbEl.dataset.loadedFor !== normalized) return;
+            if (src) {
+                thumbEl.src = src;
+                thumbEl.style.display = "block";
+                if (previewContainer) previewContainer.classList.add('loaded');
+
+                const fileLabel = view.el("thumbnailFilename");
+                if (fileLabel) fileLabel.textContent = filename || "--";
+            } else {
+                hideThumbnail(view);
+            }
+        }).catch(err => {
+            console.error("Thumbnail load error:", err);
+            hideThumbnail(view);
+        });
+    }
+
+    function setTempValue(view, settings, elementId, temps) {
+        if (!temps) return;
+        const el = view.el(elementId);
+        if (el) el.textContent = formatTemps(temps, settings);
+    }
+
+    /**
+     * OPTIONAL motion: updates #print-speed and #print-flow if present
+     * Safe if the backend doesn't report motion (it will silently do nothing).
+     */
+    function updateMotionStats(view, settings, motion) {
+        const speedEl = view.el("print-speed");
+        const flowEl = view.el("print-flow");
+        if (!speedEl && !flowEl) return;
+        if (!motion || motion.speed === undefined || motion.speed === null) return;
+
+        const speedMmS = Math.round(motion.speed);
+
+        if (speedEl) speedEl.textContent = formatSpeed(motion.speed, settings);
+
+        if (flowEl) {
+            const extrudeFactor = motion.extrudeFactor ?? 1.0;
+            const nozzleDiameter = motion.nozzleDiameter ?? 0.4;
+
+            const nozzleArea = Math.PI * Math.pow(nozzleDiameter / 2, 2);
+            const flow = speedMmS * nozzleArea * extrudeFactor;
+
+            flowEl.textContent = `${formatNumber(settings.locale, flow, 1)} mm³/s`;
+        }
+    }
+
+    /**
+     * Show a failed poll: the retry counter while the scheduler is still
+     * retrying a network error, otherwise the kind of failure.
+     */
+    function renderError(view, session, error, retry) {
+        const locale = session.settings.locale;
+        view.root.dataset.state = 'error';
+        const statusEl = view.el('status');
+        if (statusEl) {
+            statusEl.className = 'status-pill error';
+
+            if (retry.retrying) {
+                statusEl.textContent = translate(locale, 'status.retrying', { count: retry.count, max: retry.max });
+                return;
+            }
+
+            if (error.message?.includes('HTTP 401') || error.message?.includes('HTTP 403')) {
+                statusEl.textContent = translate(locale, 'status.authError');
+            } else if (error.message?.includes('HTTP 404')) {
+                statusEl.textContent = translate(locale, 'status.apiNotFound');
+            } else {
+                statusEl.textContent = translate(locale, 'status.unreachable', { host: session.settings.ip });
+            }
+        }
+        if (retry.retrying) return;
+
+        updateDebug(view, session.settings, { error: error?.message || String(error), retries: retry.count });
+        updateStatusMessage(view, '');
+        hideThumbnail(view);
+    }
+
+    // Blank the view while a printer has not reported yet (carousel switch)
+    function renderConnecting(view, settings) {
+        view.root.dataset.state = 'connecting';
+        const statusEl = view.el('status');
+        if (statusEl) {
+            statusEl.textContent = translate(settings.locale, 'status.connecting');
+            statusEl.className = 'status-pill idle';
+        }
+        updateStatusMessage(view, '');
+
+        const bar = view.el('progressBar');
+        const pct = view.el('percentage');
+        if (bar) bar.style.width = '0%';
+        if (pct) pct.textContent = '0%';
+
+        ['layerInfo', 'filename', 'hotendTemp', 'bedTemp', 'chamberTemp'].forEach(id => {
+            const el = view.el(id);
+            if (el) el.textContent = '--';
+        });
+        setTimeValue(view, settings, 'timeEstimate', null);
+        setTimeValue(view, settings, 'timeSlicer', null);
+        setTimeValue(view, settings, 'timeTotal', null);
+        setEtaValue(view, settings, null);
+        updateMaterial(view, settings, null);
+        ['hotendSpark', 'bedSpark', 'chamberSpark'].forEach(id => view.el(id)?.classList.add('hidden'));
+        updateToolChips(view, settings, null);
+        updateCustomFields(view, settings, null);
+        updateJobPanel(view, null, null);
+        updatePrinterStats(view, settings, null, null);
+        updateObjectMap(view, settings, null);
+    }
+
+    function hideThumbnail(view) {
+        const thumbEl = view.el("thumbnail");
+        const fileLabel = view.el("thumbnailFilename");
+        if (thumbEl) {
+            thumbEl.src = "";
+            thumbEl.style.display = "none";
+            thumbEl.removeAttribute("data-loaded-for");
+        }
+        if (fileLabel) fileLabel.textContent = "--";
+    }
+
+    // ============================================================
+    // CONFIG ERROR DISPLAY
+    // ============================================================
+
+    /**
+     * Show a configuration problem in a view (the page by default). Farm
+     * cards have no debug panel, so there it goes to the status message.
+     */
+    function showConfigError(msg, view = createPageView(), locale = null) {
+        console.error(msg);
+        view.root.dataset.state = 'error';
+        const statusElement = view.el('status');
+        if (statusElement) {
+            // no printer settings yet, so only ?locale= can pick the language
+            const lang = locale || resolveLocale(parseQueryConfig(new URLSearchParams(window.location.search)).locale);
+            statusElement.textContent = translate(lang, 'status.configError');
             statusElement.className = 'status-pill error';
         }
-        const debugEl = document.getElementById('debugInfo');
+        const debugEl = view.el('debugInfo');
         if (debugEl) {
             debugEl.textContent = msg;
             debugEl.classList.remove('hidden');
+        } else {
+            updateStatusMessage(view, msg);
+        }
+    }
+
+    // ============================================================
+    // LOCALIZATION
+    // ============================================================
+
+    /**
+     * Canonical BCP 47 tag for a "locale" setting: "auto" follows the
+     * browser, a region ("de-AT") only changes number and date formatting.
+     * Unusable values fall back to English.
+     */
+    function resolveLocale(value) {
+        const raw = String(value || 'en').trim();
+        const tag = raw.toLowerCase() === 'auto' ? (navigator.language || 'en') : raw;
+        try {
+            return Intl.getCanonicalLocales(tag)[0] || 'en';
+        } catch {
+            return 'en';
+        }
+    }
+
+    // "de-AT" -> "de"
+    function localeLanguage(locale) {
+        return String(locale || 'en').split(/[-_]/)[0].toLowerCase();
+    }
+
+    // String `key` for the locale's language (English when missing) with {placeholders} filled in
+    function translate(locale, key, vars = {}) {
+        const table = STRINGS[localeLanguage(locale)] || STRINGS.en;
+        const template = table[key] ?? STRINGS.en[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+    }
+
+    // Printer state for the status pill; states without a string are capitalized as reported
+    function formatState(locale, state) {
+        const key = `state.${state}`;
+        if (STRINGS.en[key]) return translate(locale, key);
+        return state.charAt(0).toUpperCase() + state.slice(1);
+    }
+
+    function formatNumber(locale, value, fractionDigits = 0) {
+        return new Intl.NumberFormat(locale, {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }).format(value);
+    }
+
+    // "215°C / 215°C", or "419°F / 419°F" with units: "imperial"; an off heater's target is 0 in either unit, not 32°F
+    function formatTemps(temps, settings) {
+        const target = temps.target > 0
+            ? formatTemp(temps.target, settings)
+            : `${formatNumber(settings?.locale, 0)}${settings?.units === 'imperial' ? '\u00B0F' : '\u00B0C'}`;
+        return `${formatTemp(temps.current, settings)} / ${target}`;
+    }
+
+    // "215°C", or "419°F" with units: "imperial"
+    function formatTemp(celsius, settings) {
+        const imperial = settings?.units === 'imperial';
+        const value = imperial ? (celsius * 9 / 5) + 32 : celsius;
+        return `${formatNumber(settings?.locale, Math.round(value))}${imperial ? '\u00B0F' : '\u00B0C'}`;
+    }
+
+    // "120 mm/s", or "4.7 in/s" with units: "imperial"
+    function formatSpeed(mmPerSecond, settings) {
+        if (settings?.units === 'imperial') return `${formatNumber(settings.locale, mmPerSecond / 25.4, 1)} in/s`;
+        return `${formatNumber(settings?.locale, Math.round(mmPerSecond))} mm/s`;
+    }
+
+    /**
+     * Translate the view's static labels (elements with data-i18n) and
+     * placeholders for the printer it now shows.
+     */
+    function localizeView(view, settings) {
+        view.root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = translate(settings.locale, el.dataset.i18n);
+        });
+
+        const speedEl = view.el('print-speed');
+        if (speedEl) speedEl.textContent = `-- ${settings.units === 'imperial' ? 'in/s' : 'mm/s'}`;
+    }
+
+    // ============================================================
+    // MATERIAL
+    // ============================================================
+
+    /**
+     * OPTIONAL material chip: updates #materialChip/#materialInfo (and the
+     * #materialSwatch colour dot) if present. Hidden when the file has no
+     * filament details.
+     */
+    function updateMaterial(view, settings, material) {
+        const chip = view.el('materialChip');
+        if (!chip) return;
+
+        if (!material) {
+            chip.classList.add('hidden');
+            return;
+        }
+
+        const infoEl = view.el('materialInfo');
+        if (infoEl) infoEl.textContent = formatMaterial(material, settings.locale);
+
+        const swatch = view.el('materialSwatch');
+        if (swatch) {
+            swatch.style.background = material.color || '';
+            swatch.classList.toggle('hidden', !material.color);
         }
+        chip.classList.remove('hidden');
+    }
+
+    // "PLA · 3.2 m · 9.6 g"
+    function formatMaterial(material, locale) {
+        const parts = [];
+        const label = material.type || material.name;
+        if (label) parts.push(label);
+        if (material.length > 0) parts.push(`${formatNumber(locale, material.length / 1000, 1)} m`);
+        if (material.weight > 0) parts.push(`${formatNumber(locale, material.weight, material.weight >= 100 ? 0 : 1)} g`);
+        return parts.join(' \u00B7 ') || '--';
     }
 
     // ============================================================
     // CHAMBER TEMP
     // ============================================================
 
-    async function updateChamber() {
-        const chamberChip = document.getElementById('chamberChip');
+    function updateChamber(view, settings, temps) {
+        const chamberChip = view.el('chamberChip');
         if (!chamberChip) return;
 
-        const temps = await fetchChamberTemp();
-        const chamberTempEl = document.getElementById('chamberTemp');
+        const chamberTempEl = view.el('chamberTemp');
 
         if (temps) {
             chamberChip.classList.remove('hidden');
-            if (chamberTempEl) chamberTempEl.textContent = `${temps.current}\u00B0C / ${temps.target}\u00B0C`;
-        } else if (SHOW_CHAMBER) {
+            if (chamberTempEl) chamberTempEl.textContent = formatTemps(temps, settings);
+        } else if (settings.showChamber) {
             chamberChip.classList.remove('hidden');
             if (chamberTempEl) chamberTempEl.textContent = '--';
         } else {
@@ -768,84 +3407,713 @@
         }
     }
 
-    async function fetchChamberTemp() {
-        const objName = await getChamberObjectName();
-        if (objName) {
-            const data = await querySingleObject(objName);
-            const parsed = parseTempEntry(data);
-            if (parsed) return parsed;
+    function parseTempEntry(entry) {
+        if (!entry) return null;
+        const current = Math.round(entry.temperature ?? entry.temp ?? entry.current ?? entry.actual ?? entry.temper);
+        const targetRaw = entry.target ?? entry.target_temp ?? entry.target_temperature;
+        const target = targetRaw !== undefined && targetRaw !== null
+            ? Math.round(targetRaw)
+            : Math.round(entry.temperature ?? entry.temp ?? 0);
+        if (!Number.isFinite(current)) return null;
+        return { current, target: Number.isFinite(target) ? target : current };
+    }
+
+    // ============================================================
+    // TOOLS (multi-extruder)
+    // ============================================================
+
+    /**
+     * Per-tool temperatures from [name, entry] pairs: Klipper "extruder",
+     * "extruder1".. or OctoPrint "tool0", "tool1".. in tool order. `active`
+     * is true/false when the host names the tool in use (activeName), null
+     * when it doesn't.
+     */
+    function buildToolTemps(entries, activeName) {
+        return entries
+            .map(([name, entry]) => {
+                const temps = parseTempEntry(entry);
+                if (!temps) return null;
+                return { name, label: `T${toolIndex(name)}`, ...temps, active: activeName ? name === activeName : null };
+            })
+            .filter(Boolean)
+            .sort((a, b) => toolIndex(a.name) - toolIndex(b.name));
+    }
+
+    function isExtruderObject(name) {
+        return /^extruder\d*$/.test(name);
+    }
+
+    // "extruder" -> 0, "extruder3" -> 3, "tool1" -> 1
+    function toolIndex(name) {
+        const match = /(\d+)$/.exec(name);
+        return match ? Number(match[1]) : 0;
+    }
+
+    /**
+     * OPTIONAL tool chips: with more than one tool, #toolChips gets a chip
+     * per tool (the active one highlighted, the others dimmed) in place of
+     * #hotendChip. Five or more tools switch to a compact two-column grid.
+     */
+    function updateToolChips(view, settings, tools) {
+        const container = view.el('toolChips');
+        if (!container) return;
+
+        const multiple = Array.isArray(tools) && tools.length > 1;
+        container.classList.toggle('hidden', !multiple);
+        view.el('hotendChip')?.classList.toggle('hidden', multiple);
+        if (!multiple) return;
+
+        // rebuild only when the set of tools changes (carousel switch, tool added)
+        const names = tools.map(tool => tool.name).join(',');
+        if (container.dataset.tools !== names) {
+            container.replaceChildren(...tools.map(createToolChip));
+            container.dataset.tools = names;
+        }
+        container.classList.toggle('many', tools.length > 4);
+
+        tools.forEach((tool, index) => {
+            const chip = container.children[index];
+            if (!chip) return;
+            chip.classList.toggle('active', tool.active === true);
+            // parked tools on a toolchanger, or unheated ones when the host doesn't say which is active
+            chip.classList.toggle('idle', tool.active === false || (tool.active === null && !(tool.target > 0)));
+            const value = chip.querySelector('.value');
+            if (value) value.textContent = formatTemps(tool, settings);
+        });
+    }
+
+    function createToolChip(tool) {
+        const chip = document.createElement('div');
+        chip.className = 'info-chip tool-chip';
+        chip.dataset.tool = tool.name;
+
+        const label = document.createElement('span');
+        label.className = 'label';
+        label.textContent = tool.label;
+
+        const value = document.createElement('span');
+        value.className = 'value';
+        value.textContent = '--';
+
+        chip.append(label, value);
+        return chip;
+    }
+
+    // ============================================================
+    // CUSTOM FIELDS
+    // ============================================================
+
+    /**
+     * Compile a printer's customFields: each entry is a path string or
+     * { path, label, format, unit, decimals, warn, critical }. The path is
+     * a Klipper object and attribute, split at the first dot
+     * ("fan.speed", "gcode_macro _STATUS.stage"); a bare object path reads
+     * it as a temperature. Invalid entries are reported in `errors` and skipped.
+     */
+    function compileCustomFields(list) {
+        const fields = [];
+        const errors = [];
+
+        if (!Array.isArray(list)) {
+            return { fields, errors: ['customFields must be an array of fields'] };
         }
 
-        for (const obj of chamberCandidates) {
-            const data = await querySingleObject(obj);
-            const parsed = parseTempEntry(data);
-            if (parsed) {
-                chamberObjectName = obj;
-                return parsed;
+        list.forEach((entry, index) => {
+            const spec = typeof entry === 'string' ? { path: entry } : (entry || {});
+            const path = parseFieldPath(spec.path);
+            if (!path) {
+                errors.push(`customFields[${index}] needs a "path" like "fan.speed" or "gcode_macro _STATUS.stage"`);
+                return;
+            }
+
+            const name = `customFields[${index}] (${spec.path})`;
+            const format = String(spec.format || (path.attribute.length ? 'number' : 'temp')).toLowerCase();
+            if (!CUSTOM_FIELD_FORMATS.includes(format)) {
+                errors.push(`${name} format must be ${CUSTOM_FIELD_FORMATS.join(', ')}`);
+                return;
+            }
+            if (!path.attribute.length && format !== 'temp') {
+                errors.push(`${name} needs an attribute, e.g. "${path.object}.value"`);
+                return;
+            }
+
+            const decimals = spec.decimals === undefined ? 0 : Number(spec.decimals);
+            if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) {
+                errors.push(`${name} decimals must be 0 to 4`);
+                return;
+            }
+
+            const invalid = ['warn', 'critical'].filter(key => spec[key] !== undefined && !Number.isFinite(Number(spec[key])));
+            if (invalid.length) {
+                errors.push(`${name} ${invalid.join(' and ')} must be a number`);
+                return;
             }
+
+            fields.push({
+                key: String(spec.path).trim(),
+                label: String(spec.label || path.attribute[path.attribute.length - 1] || path.object.split(' ').pop()),
+                object: path.object,
+                attribute: path.attribute,
+                format,
+                unit: spec.unit ? String(spec.unit) : '',
+                decimals,
+                warn: spec.warn !== undefined ? Number(spec.warn) : null,
+                critical: spec.critical !== undefined ? Number(spec.critical) : null
+            });
+        });
+
+        return { fields, errors };
+    }
+
+    // "temperature_fan exhaust.speed" -> { object: 'temperature_fan exhaust', attribute: ['speed'] }
+    function parseFieldPath(path) {
+        if (typeof path !== 'string') return null;
+        const [object, ...attribute] = path.trim().split('.');
+        if (!object.trim() || attribute.some(part => !part)) return null;
+        return { object: object.trim(), attribute };
+    }
+
+    // Each field with its current `value` from a raw Klipper status (null when missing)
+    function readCustomFields(raw, fields) {
+        return (fields || []).map(field => ({ ...field, value: customFieldValue(raw?.[field.object], field) }));
+    }
+
+    function customFieldValue(entry, field) {
+        if (!entry) return null;
+
+        if (!field.attribute.length) {
+            const temps = parseTempEntry(entry);
+            // plain sensors have no target; heaters and temperature_fan do
+            return temps ? { ...temps, heater: entry.target !== undefined } : null;
         }
-        return null;
+
+        const value = field.attribute.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), entry);
+        if (value === undefined || value === null) return null;
+        if (field.format === 'temp') {
+            return Number.isFinite(Number(value)) ? { current: Math.round(Number(value)), target: null, heater: false } : null;
+        }
+        return value;
     }
 
-    async function getChamberObjectName() {
-        if (chamberObjectName) return chamberObjectName;
-        const objects = await fetchObjectList();
-        if (!objects) return null;
+    // "45%", "12.3 W", "48°C", "48°C / 50°C"
+    function formatCustomField(field, value, settings) {
+        if (value === null || value === undefined) return '--';
+        const locale = settings?.locale;
+        const number = Number(value);
+
+        switch (field.format) {
+            case 'temp':
+                return value.heater ? formatTemps(value, settings) : formatTemp(value.current, settings);
+            case 'percent':
+                return Number.isFinite(number) ? `${formatNumber(locale, number * 100, field.decimals)}%` : String(value);
+            case 'text':
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            default:
+                if (typeof value === 'boolean' || !Number.isFinite(number)) return String(value);
+                return `${formatNumber(locale, number, field.decimals)}${field.unit ? ` ${field.unit}` : ''}`;
+        }
+    }
 
-        const lower = objects.map(o => o.toLowerCase());
-        for (const candidate of chamberCandidates) {
-            const idx = lower.indexOf(candidate.toLowerCase());
-            if (idx !== -1) {
-                chamberObjectName = objects[idx];
-                return chamberObjectName;
-            }
+    /**
+     * 'critical' or 'warn' once the value reaches that threshold, else ''.
+     * Thresholds use the shown scale: percent as 0-100, temperatures in
+     * \u00B0C whatever the display units.
+     */
+    function customFieldLevel(field, value) {
+        if (value === null || value === undefined) return '';
+        const number = field.format === 'temp' ? value.current
+            : field.format === 'percent' ? Number(value) * 100
+            : typeof value === 'boolean' ? NaN : Number(value);
+        if (!Number.isFinite(number)) return '';
+        if (field.critical !== null && number >= field.critical) return 'critical';
+        if (field.warn !== null && number >= field.warn) return 'warn';
+        return '';
+    }
+
+    /**
+     * OPTIONAL custom field chips: #customFields gets a chip per configured
+     * field, tinted when a warn/critical threshold is reached. Hidden when
+     * the printer has no customFields (or its backend can't read them).
+     */
+    function updateCustomFields(view, settings, fields) {
+        const container = view.el('customFields');
+        if (!container) return;
+
+        const shown = Array.isArray(fields) && fields.length > 0;
+        container.classList.toggle('hidden', !shown);
+        if (!shown) return;
+
+        // rebuild only when the field list changes (carousel switch)
+        const keys = fields.map(field => field.key).join('\n');
+        if (container.dataset.fields !== keys) {
+            container.replaceChildren(...fields.map(createCustomFieldChip));
+            container.dataset.fields = keys;
         }
-        return null;
+
+        fields.forEach((field, index) => {
+            const chip = container.children[index];
+            if (!chip) return;
+            const level = customFieldLevel(field, field.value);
+            chip.classList.toggle('warn', level === 'warn');
+            chip.classList.toggle('critical', level === 'critical');
+            const value = chip.querySelector('.value');
+            if (value) value.textContent = formatCustomField(field, field.value, settings);
+        });
     }
 
-    async function fetchObjectList() {
-        const now = Date.now();
-        if (objectListCache && now - objectListFetchedAt < 30000) return objectListCache;
+    function createCustomFieldChip(field) {
+        const chip = document.createElement('div');
+        chip.className = 'info-chip custom-field';
+        chip.dataset.customField = field.key;
 
-        try {
-            const resp = await fetch(`http://${PRINTER_IP}/printer/objects/list`);
-            if (!resp.ok) return null;
-            const json = await resp.json();
-            const list = json.result?.objects;
-            if (Array.isArray(list)) {
-                objectListCache = list;
-                objectListFetchedAt = now;
-                return list;
+        const label = document.createElement('span');
+        label.className = 'label';
+        label.textContent = field.label;
+
+        const value = document.createElement('span');
+        value.className = 'value';
+        value.textContent = '--';
+
+        chip.append(label, value);
+        return chip;
+    }
+
+    // ============================================================
+    // JOB PANEL (queue + history)
+    // ============================================================
+
+    // "jobQueue" / "jobHistory" count; anything invalid falls back to the default
+    function jobPanelSize(value) {
+        const count = Number(value);
+        if (value === undefined || !Number.isInteger(count) || count < 0 || count > JOB_PANEL_MAX) return DEFAULT_JOB_PANEL_SIZE;
+        return count;
+    }
+
+    // Moonraker history status -> printer state; shutdowns, disconnects and server exits count as errors
+    function historyResult(status) {
+        if (status === 'completed') return 'complete';
+        if (status === 'cancelled') return 'cancelled';
+        return 'error';
+    }
+
+    // Moonraker history list (newest first) -> the last `count` finished jobs
+    function historyJobs(list, count) {
+        return list
+            .filter(job => job.status !== 'in_progress')
+            .slice(0, count)
+            .map(job => ({
+                id: job.job_id,
+                filename: job.filename,
+                result: historyResult(job.status),
+                duration: asNumber(job.print_duration),
+                endTime: asNumber(job.end_time)
+            }));
+    }
+
+    /**
+     * OPTIONAL job panel: #jobPanel lists the next queued jobs in #jobQueue
+     * (thumbnail, slicer estimate) and the last finished ones in #jobHistory
+     * (result, print time). A list's .job-section is hidden while it's
+     * empty, the whole panel while both are.
+     */
+    function updateJobPanel(view, session, jobs) {
+        const panel = view.el('jobPanel');
+        if (!panel) return;
+
+        const queue = jobs?.queue || [];
+        const history = jobs?.history || [];
+        panel.classList.toggle('hidden', !queue.length && !history.length);
+
+        const settings = session?.settings;
+        const queueList = view.el('jobQueue');
+        if (updateJobList(queueList, queue, job => createJobRow(job, settings))) loadJobThumbnails(queueList, session);
+        updateJobList(view.el('jobHistory'), history, job => createJobRow(job, settings));
+    }
+
+    // Rebuild a list when its jobs changed; true when it did
+    function updateJobList(list, jobs, createRow) {
+        if (!list) return false;
+        list.closest('.job-section')?.classList.toggle('hidden', !jobs.length);
+
+        const keys = jobs.map(job => `${job.id}:${job.result || job.estimate}`).join(',');
+        if (list.dataset.jobs === keys) return false;
+        list.dataset.jobs = keys;
+        list.replaceChildren(...jobs.map(createRow));
+        return true;
+    }
+
+    // Queued jobs get a thumbnail, finished ones their result
+    function createJobRow(job, settings) {
+        const row = document.createElement('li');
+        row.className = job.result ? `job job-${job.result}` : 'job job-queued';
+
+        if (job.result) {
+            const result = document.createElement('span');
+            result.className = 'job-result';
+            result.textContent = formatState(settings?.locale, job.result);
+            row.append(result);
+        } else {
+            const thumb = document.createElement('img');
+            thumb.className = 'job-thumb hidden';
+            thumb.alt = '';
+            thumb.dataset.file = normalizeFilename(job.filename) || '';
+            row.append(thumb);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'job-name';
+        name.textContent = formatFilename(job.filename) || '--';
+        name.title = job.filename || '';
+
+        const time = document.createElement('span');
+        time.className = 'job-time';
+        time.textContent = formatTime(job.result ? job.duration : job.estimate, settings?.locale);
+
+        row.append(name, time);
+        return row;
+    }
+
+    // Thumbnails through the session's thumbnail loader (persistent cache, metadata, G-code)
+    function loadJobThumbnails(list, session) {
+        if (!session) return;
+        list.querySelectorAll('img.job-thumb').forEach(thumb => {
+            if (!thumb.dataset.file) return;
+            session.loadThumbnail(thumb.dataset.file, thumbnailTarget(thumb)).then(src => {
+                if (!src) return;
+                thumb.src = src;
+                thumb.classList.remove('hidden');
+            }).catch(err => {
+                if (session.settings.debug) console.warn('[OBS Print Progress] Queued job thumbnail unavailable:', err);
+            });
+        });
+    }
+
+    // ============================================================
+    // PRINTER STATS (lifetime totals)
+    // ============================================================
+
+    // Moonraker job_totals -> { printTime, filament, jobs, longestPrint }
+    function normalizeHistoryTotals(totals) {
+        if (!totals) return null;
+        return {
+            printTime: asNumber(totals.total_print_time),
+            filament: asNumber(totals.total_filament_used),
+            jobs: asNumber(totals.total_jobs),
+            longestPrint: asNumber(totals.longest_print)
+        };
+    }
+
+    /**
+     * OPTIONAL #printerStats: total print hours, filament, job count and the
+     * longest print. With data-show="idle" (the built-in layouts) it only
+     * appears while no job is on screen; the stats widget always shows it.
+     */
+    function updatePrinterStats(view, settings, stats, state) {
+        const panel = view.el('printerStats');
+        if (!panel) return;
+
+        const idleOnly = panel.dataset.show === 'idle';
+        panel.classList.toggle('hidden', !stats || (idleOnly && presentState(state).job));
+        if (!stats) return;
+
+        const locale = settings?.locale;
+        const set = (id, text) => {
+            const el = view.el(id);
+            if (el) el.textContent = text;
+        };
+        set('statPrintTime', formatPrintHours(stats.printTime, locale));
+        set('statFilament', formatFilamentTotal(stats.filament, locale));
+        set('statJobs', stats.jobs !== null ? formatNumber(locale, stats.jobs) : '--');
+        set('statLongest', formatTime(stats.longestPrint, locale));
+    }
+
+    // "1,234 h", or "7.5 h" below ten hours
+    function formatPrintHours(seconds, locale) {
+        if (!(seconds > 0)) return '--';
+        const hours = seconds / 3600;
+        return `${formatNumber(locale, hours, hours < 10 ? 1 : 0)} h`;
+    }
+
+    // mm of filament -> "850 m", or "12.3 km" from a kilometre on
+    function formatFilamentTotal(mm, locale) {
+        if (!(mm > 0)) return '--';
+        const meters = mm / 1000;
+        if (meters >= 1000) return `${formatNumber(locale, meters / 1000, 1)} km`;
+        return `${formatNumber(locale, meters)} m`;
+    }
+
+    // ============================================================
+    // OBJECT MAP (exclude_object)
+    // ============================================================
+
+    /**
+     * Klipper's exclude_object status plus the toolhead -> the object map.
+     * Null while the print defines no objects (the slicer's "label objects"
+     * option is off, or nothing is printing).
+     */
+    function buildObjectMap(excludeObject, toolhead) {
+        const defined = Array.isArray(excludeObject?.objects) ? excludeObject.objects : [];
+        if (!defined.length) return null;
+
+        const excluded = new Set(excludeObject.excluded_objects || []);
+        const current = excludeObject.current_object || null;
+        const objects = defined
+            .filter(object => object?.name)
+            .map(object => ({
+                name: object.name,
+                center: xyPoint(object.center),
+                polygon: (object.polygon || []).map(xyPoint).filter(Boolean),
+                excluded: excluded.has(object.name),
+                current: object.name === current
+            }));
+
+        const min = xyPoint(toolhead?.axis_minimum);
+        const max = xyPoint(toolhead?.axis_maximum);
+        return {
+            objects,
+            current,
+            excludedCount: objects.filter(object => object.excluded).length,
+            bed: min && max && max[0] > min[0] && max[1] > min[1] ? { min, max } : null,
+            position: xyPoint(toolhead?.position)
+        };
+    }
+
+    function xyPoint(value) {
+        if (!Array.isArray(value)) return null;
+        const x = Number(value[0]);
+        const y = Number(value[1]);
+        return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+    }
+
+    /**
+     * SVG geometry of the map in millimetres, Y flipped so the back of the
+     * bed is at the top (as in Mainsail/Fluidd). Without axis limits the
+     * view fits the objects with a margin. Objects that only have a centre
+     * become small circles.
+     */
+    function objectMapShapes(map) {
+        const points = map.objects.flatMap(object => (object.polygon.length ? object.polygon : [object.center])).filter(Boolean);
+        let bed = map.bed;
+        if (!bed) {
+            if (!points.length) return null;
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const margin = Math.max(10, (Math.max(...xs) - Math.min(...xs)) * 0.1, (Math.max(...ys) - Math.min(...ys)) * 0.1);
+            bed = { min: [Math.min(...xs) - margin, Math.min(...ys) - margin], max: [Math.max(...xs) + margin, Math.max(...ys) + margin] };
+        }
+
+        const width = bed.max[0] - bed.min[0];
+        const height = bed.max[1] - bed.min[1];
+        const toSvg = ([x, y]) => [round2(x - bed.min[0]), round2(bed.max[1] - y)];
+        const radius = round2(Math.max(width, height) * OBJECT_MAP_MARKER);
+
+        const shapes = map.objects.map(object => {
+            const shape = { name: object.name, excluded: object.excluded, current: object.current };
+            if (object.polygon.length >= 3) return { ...shape, points: object.polygon.map(point => toSvg(point).join(',')).join(' ') };
+            if (object.center) {
+                const [cx, cy] = toSvg(object.center);
+                return { ...shape, cx, cy, r: radius };
             }
-        } catch {
-            // ignore
+            return null;
+        }).filter(Boolean);
+
+        const inside = map.position && map.position[0] >= bed.min[0] && map.position[0] <= bed.max[0] &&
+            map.position[1] >= bed.min[1] && map.position[1] <= bed.max[1];
+        return {
+            viewBox: `0 0 ${round2(width)} ${round2(height)}`,
+            width: round2(width),
+            height: round2(height),
+            shapes,
+            dot: inside ? toSvg(map.position) : null,
+            dotRadius: radius
+        };
+    }
+
+    function round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * OPTIONAL object map: #currentObject names the object being printed
+     * (and how many were excluded); #objectMap is an <svg> with a .map-bed
+     * rect, a .map-objects group and a .map-toolhead circle. Excluded
+     * objects get the class "excluded", the one printing "current".
+     */
+    function updateObjectMap(view, settings, map) {
+        const chip = view.el('currentObjectChip');
+        const nameEl = view.el('currentObject');
+        if (chip) chip.classList.toggle('hidden', !map);
+        if (nameEl) {
+            const parts = [];
+            if (map) parts.push(map.current || '--');
+            if (map?.excludedCount) parts.push(translate(settings.locale, 'objects.excluded', { count: map.excludedCount }));
+            nameEl.textContent = parts.join(' \u00B7 ') || '--';
+        }
+
+        const svg = view.el('objectMap');
+        if (!svg) return;
+        const shapes = map ? objectMapShapes(map) : null;
+        svg.classList.toggle('hidden', !shapes);
+        if (!shapes) return;
+
+        svg.setAttribute('viewBox', shapes.viewBox);
+        const bedEl = svg.querySelector('.map-bed');
+        if (bedEl) {
+            bedEl.setAttribute('width', shapes.width);
+            bedEl.setAttribute('height', shapes.height);
+        }
+
+        // rebuild the shapes only when the print's object list changes
+        const group = svg.querySelector('.map-objects');
+        const key = shapes.shapes.map(shape => shape.name).join('\n') + `|${shapes.viewBox}`;
+        if (group && group.dataset.objects !== key) {
+            group.replaceChildren(...shapes.shapes.map(createObjectShape));
+            group.dataset.objects = key;
+        }
+        shapes.shapes.forEach((shape, index) => {
+            const el = group?.children[index];
+            if (!el) return;
+            el.classList.toggle('excluded', shape.excluded);
+            el.classList.toggle('current', shape.current);
+        });
+
+        const dot = svg.querySelector('.map-toolhead');
+        if (dot) {
+            dot.classList.toggle('hidden', !shapes.dot);
+            if (shapes.dot) {
+                dot.setAttribute('cx', shapes.dot[0]);
+                dot.setAttribute('cy', shapes.dot[1]);
+                dot.setAttribute('r', shapes.dotRadius);
+            }
+        }
+    }
+
+    function createObjectShape(shape) {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', shape.points ? 'polygon' : 'circle');
+        if (shape.points) {
+            el.setAttribute('points', shape.points);
+        } else {
+            el.setAttribute('cx', shape.cx);
+            el.setAttribute('cy', shape.cy);
+            el.setAttribute('r', shape.r);
+        }
+        el.setAttribute('class', 'map-object');
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = shape.name;
+        el.appendChild(title);
+        return el;
+    }
+
+    // ============================================================
+    // TEMPERATURE SPARKLINES
+    // ============================================================
+
+    /**
+     * OPTIONAL sparklines: draws #hotendSpark, #bedSpark and #chamberSpark
+     * (an <svg> with .spark-current and dashed .spark-target paths) from the
+     * session's temperature history. Hidden until there are two samples.
+     */
+    function updateSparklines(view, session) {
+        const windowMs = session.settings.tempHistory * 60000;
+        [['hotend', 'hotendSpark'], ['bed', 'bedSpark'], ['chamber', 'chamberSpark']].forEach(([key, id]) => {
+            const svg = view.el(id);
+            if (!svg) return;
+
+            const paths = windowMs > 0 ? sparklinePaths(session.tempHistory(key), windowMs) : null;
+            svg.classList.toggle('hidden', !paths);
+            if (!paths) return;
+            svg.querySelector('.spark-current')?.setAttribute('d', paths.current);
+            svg.querySelector('.spark-target')?.setAttribute('d', paths.target);
+        });
+    }
+
+    /**
+     * Rolling { time, current, target } samples per heater key, at most one
+     * per TEMP_HISTORY_SAMPLE_MS and none older than `windowMs`.
+     */
+    function createTempHistory(windowMs) {
+        const series = new Map();
+
+        function prune(samples, now) {
+            const oldest = now - windowMs;
+            while (samples.length && samples[0].time < oldest) samples.shift();
+            return samples;
+        }
+
+        function add(key, time, current, target) {
+            if (!Number.isFinite(current)) return;
+            const samples = series.get(key) || [];
+            const last = samples[samples.length - 1];
+            if (last && time - last.time < TEMP_HISTORY_SAMPLE_MS) return;
+            samples.push({ time, current, target: Number.isFinite(target) ? target : 0 });
+            series.set(key, prune(samples, time));
+        }
+
+        // Older samples (temperature_store) in front of what was recorded live
+        function backfill(key, older) {
+            const samples = series.get(key) || [];
+            const first = samples[0]?.time ?? Infinity;
+            const merged = older.filter(sample => sample.time < first - TEMP_HISTORY_SAMPLE_MS / 2).concat(samples);
+            series.set(key, prune(merged, Date.now()));
         }
-        return null;
-    }
 
-    async function querySingleObject(objName) {
-        try {
-            const resp = await fetch(`http://${PRINTER_IP}/printer/objects/query?${encodeURIComponent(objName)}`);
-            if (!resp.ok) return null;
-            const json = await resp.json();
-            const status = json.result?.status;
-            if (!status) return null;
-            const key = Object.keys(status)[0];
-            return status[key] || null;
-        } catch {
-            return null;
+        function points(key, now = Date.now()) {
+            return prune(series.get(key) || [], now);
         }
+
+        return { add, backfill, points };
     }
 
-    function parseTempEntry(entry) {
-        if (!entry) return null;
-        const current = Math.round(entry.temperature ?? entry.temp ?? entry.current ?? entry.temper);
-        const targetRaw = entry.target ?? entry.target_temp ?? entry.target_temperature;
-        const target = targetRaw !== undefined && targetRaw !== null
-            ? Math.round(targetRaw)
-            : Math.round(entry.temperature ?? entry.temp ?? 0);
-        if (!Number.isFinite(current)) return null;
-        return { current, target: Number.isFinite(target) ? target : current };
+    // Moonraker temperature_store entry ({ temperatures, targets }, one per second, newest last) -> samples
+    function temperatureStoreSamples(entry, now) {
+        const temperatures = Array.isArray(entry?.temperatures) ? entry.temperatures : [];
+        const targets = Array.isArray(entry?.targets) ? entry.targets : [];
+        const last = temperatures.length - 1;
+        return temperatures.map((temperature, index) => ({
+            time: now - ((last - index) * 1000),
+            current: Math.round(temperature),
+            target: Math.round(targets[index] ?? 0)
+        })).filter(sample => Number.isFinite(sample.current));
+    }
+
+    /**
+     * SVG path data for a sparkline 100 wide and SPARKLINE_HEIGHT tall:
+     * time runs over the last `windowMs`, the target path skips samples
+     * with the heater off. Null when there is nothing to draw.
+     */
+    function sparklinePaths(samples, windowMs, now = Date.now()) {
+        if (!samples || samples.length < 2) return null;
+
+        const values = samples.flatMap(sample => (sample.target > 0 ? [sample.current, sample.target] : [sample.current]));
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < SPARKLINE_MIN_SPAN) {
+            const middle = (max + min) / 2;
+            min = middle - (SPARKLINE_MIN_SPAN / 2);
+            max = middle + (SPARKLINE_MIN_SPAN / 2);
+        }
+
+        const x = time => (((time - (now - windowMs)) / windowMs) * 100).toFixed(1);
+        const y = value => (SPARKLINE_HEIGHT - 1 - (((value - min) / (max - min)) * (SPARKLINE_HEIGHT - 2))).toFixed(1);
+        const path = pick => {
+            let d = '';
+            let drawing = false;
+            samples.forEach(sample => {
+                const value = pick(sample);
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                d += `${drawing ? 'L' : 'M'}${x(sample.time)} ${y(value)} `;
+                drawing = true;
+            });
+            return d.trim();
+        };
+
+        return {
+            current: path(sample => sample.current),
+            target: path(sample => (sample.target > 0 ? sample.target : null))
+        };
     }
 
     // ============================================================
@@ -862,25 +4130,82 @@
         return `-- / ${total}`;
     }
 
-    function formatTime(seconds) {
+    function formatTime(seconds, locale) {
         if (!seconds || seconds < 0) return '--';
 
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
         const secs = Math.floor(seconds % 60);
+        const number = value => formatNumber(locale, value);
 
-        if (hours > 0) return `${hours}h ${minutes}m`;
-        if (minutes > 0) return `${minutes}m ${secs}s`;
-        return `${secs}s`;
+        if (hours > 0) return `${number(hours)}h ${number(minutes)}m`;
+        if (minutes > 0) return `${number(minutes)}m ${number(secs)}s`;
+        return `${number(secs)}s`;
     }
 
-    function setTimeValue(elementId, seconds) {
-        const el = document.getElementById(elementId);
+    function setTimeValue(view, settings, elementId, seconds) {
+        const el = view.el(elementId);
         if (!el) return;
         if (seconds === null || seconds === undefined || seconds < 0 || !Number.isFinite(seconds)) {
             el.textContent = '--';
         } else {
-            el.textContent = formatTime(seconds);
+            el.textContent = formatTime(seconds, settings?.locale);
+        }
+    }
+
+    function setEtaValue(view, settings, remainingSeconds) {
+        const el = view.el('timeEta');
+        if (!el) return;
+        el.textContent = formatEta(remainingSeconds, settings) ?? '--';
+    }
+
+    /**
+     * Wall-clock finish time: "21:47" today, "Tomorrow 06:10", then the
+     * weekday ("Sat 06:10") or date. Uses settings.timeZone (IANA, default
+     * the browser's), settings.clock (ETA_CLOCKS) and settings.etaDate:
+     *   relative  Tomorrow / weekday within a week / short date
+     *   date      short date for any other day ("Jun 3 06:10")
+     *   iso       "2026-06-03 06:10"
+     */
+    function formatEta(remainingSeconds, settings, now = new Date()) {
+        if (remainingSeconds === null || remainingSeconds === undefined || !Number.isFinite(remainingSeconds) || remainingSeconds < 0) {
+            return null;
+        }
+
+        const finish = new Date(now.getTime() + (remainingSeconds * 1000));
+        const locale = settings?.locale;
+        const timeZone = settings?.timeZone || undefined;
+        // hourCycle rather than hour12: hour12=false renders midnight as "24:00" in some engines
+        const hourCycle = settings?.clock === '12h' ? 'h12' : settings?.clock === '24h' ? 'h23' : undefined;
+        const time = new Intl.DateTimeFormat(locale, {
+            timeZone,
+            hour: hourCycle === 'h23' ? '2-digit' : 'numeric',
+            minute: '2-digit',
+            hourCycle
+        }).format(finish);
+
+        // calendar days between now and the finish in that zone
+        const dayKey = date => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+        const finishDay = dayKey(finish);
+        const days = Math.round((Date.parse(finishDay) - Date.parse(dayKey(now))) / 86400000);
+        if (days <= 0) return time;
+
+        const style = settings?.etaDate || 'relative';
+        if (style === 'iso') return `${finishDay} ${time}`;
+        if (style === 'relative' && days === 1) return `${translate(locale, 'eta.tomorrow')} ${time}`;
+        if (style === 'relative' && days < 7) {
+            return `${new Intl.DateTimeFormat(locale, { timeZone, weekday: 'short' }).format(finish)} ${time}`;
+        }
+        return `${new Intl.DateTimeFormat(locale, { timeZone, month: 'short', day: 'numeric' }).format(finish)} ${time}`;
+    }
+
+    function isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat(undefined, { timeZone });
+            return true;
+        } catch {
+            return false;
         }
     }
 
@@ -892,6 +4217,60 @@
         return null;
     }
 
+    /**
+     * Remaining-time estimates in seconds, each null when its inputs are
+     * missing (as in Mainsail):
+     *   host      the printer's own estimate (PrusaLink)
+     *   file      extrapolated from progress through the file
+     *   filament  extrapolated from filament used vs the file's filament total
+     *   slicer    slicer total minus print time
+     */
+    function computeRemainingEstimates(status) {
+        const printDuration = status.printDuration || 0;
+        const filamentTotal = status.material?.length;
+        const filamentUsed = status.filamentUsed;
+
+        return {
+            host: status.remaining ?? null,
+            file: computeRemainingFromProgress(status.progress, printDuration),
+            filament: filamentTotal > 0 && filamentUsed > 0
+                ? computeRemainingFromProgress(filamentUsed / filamentTotal, printDuration)
+                : null,
+            slicer: status.slicerTotal != null ? Math.max(0, status.slicerTotal - printDuration) : null
+        };
+    }
+
+    /**
+     * Pick the estimate for a remainingStrategy:
+     *   auto      host estimate, else file (the default)
+     *   file / filament / slicer   that estimate, else file, else host
+     *   average   mean of the file, filament and slicer estimates available
+     *   blend     slicer weighted by what's left to print, live file rate by
+     *             progress: trusts the slicer early and the print itself late
+     */
+    function selectRemaining(estimates, strategy, progress) {
+        const { host, file, filament, slicer } = estimates;
+
+        switch (strategy) {
+            case 'file':
+            case 'filament':
+            case 'slicer':
+                return firstNonNull(estimates[strategy], file, host);
+            case 'average': {
+                const available = [file, filament, slicer].filter(value => value !== null);
+                return available.length ? available.reduce((sum, value) => sum + value, 0) / available.length : host;
+            }
+            case 'blend': {
+                const live = firstNonNull(file, host);
+                if (slicer === null || live === null) return firstNonNull(live, slicer);
+                const weight = Math.max(0, Math.min(1, progress || 0));
+                return (slicer * (1 - weight)) + (live * weight);
+            }
+            default:
+                return firstNonNull(host, file);
+        }
+    }
+
     function getSlicerTotalSeconds(metadata, slicerInfo) {
         const candidates = [
             metadata?.estimated_time,
@@ -920,7 +4299,108 @@
         return totalDuration ?? printDuration ?? null;
     }
 
-    function getLayerInfo(printStats, displayStatus, toolhead) {
+    /**
+     * Smooths toolhead Z into the Z of the layer being printed. Z-hops and
+     * travel lifts are short rises, so the settled Z is the lowest Z among
+     * the samples of the last LAYER_Z_WINDOW_MS (and at least the last
+     * three): a new layer only counts once every recent sample reached it.
+     */
+    function createLayerTracker() {
+        let samples = [];
+        let settledZ = null;
+        const rises = [];  // recent layer-to-layer steps of the settled Z
+
+        return {
+            update(z, now = Date.now()) {
+                if (typeof z !== 'number' || !Number.isFinite(z)) return settledZ;
+
+                samples.push({ z, time: now });
+                samples = samples.filter((sample, i) => now - sample.time <= LAYER_Z_WINDOW_MS || i >= samples.length - 3);
+
+                const lowest = Math.min(...samples.map(sample => sample.z));
+                if (settledZ !== null && lowest - settledZ > LAYER_Z_TOLERANCE * 2) {
+                    rises.push(lowest - settledZ);
+                    if (rises.length > 20) rises.shift();
+                }
+                settledZ = lowest;
+                return settledZ;
+            },
+
+            settled() {
+                return settledZ;
+            },
+
+            // Median step between layers once a few were seen (stands in for a missing layer_height)
+            layerHeight() {
+                if (rises.length < 3) return null;
+                const sorted = [...rises].sort((a, b) => a - b);
+                return sorted[Math.floor(sorted.length / 2)];
+            },
+
+            reset() {
+                samples = [];
+                settledZ = null;
+                rises.length = 0;
+            }
+        };
+    }
+
+    /**
+     * Collects layer Z heights from layer change markers while G-code is fed
+     * in chunks: ";Z:0.4" (PrusaSlicer, SuperSlicer, OrcaSlicer), "; Z_HEIGHT:
+     * 0.4" (OrcaSlicer, Bambu Studio), "; layer 2, Z = 0.400" (Simplify3D) and
+     * Cura's ";LAYER:1" followed by the first move with a Z.
+     */
+    function createLayerZScanner() {
+        const heights = new Set();
+        const markerRegex = /^(?:;Z:|; Z_HEIGHT: ?|; layer \d+, Z = )(-?[\d.]+)|^;LAYER:\d+|^G[01] [^;\n]*?Z(-?[\d.]+)/gm;
+        let carry = '';
+        let curaLayerPending = false;
+
+        function add(value) {
+            const z = Math.round(Number(value) * 1000) / 1000;
+            if (z > 0) heights.add(z);
+        }
+
+        function scan(text) {
+            markerRegex.lastIndex = 0;
+            let match;
+            while ((match = markerRegex.exec(text)) !== null) {
+                if (match[1] !== undefined) {
+                    add(match[1]);
+                } else if (match[0].startsWith(';LAYER:')) {
+                    curaLayerPending = true;
+                } else if (curaLayerPending) {
+                    add(match[2]);
+                    curaLayerPending = false;
+                }
+            }
+        }
+
+        return {
+            push(chunk) {
+                // scan whole lines only; the partial last line waits for the next chunk
+                const text = carry + chunk;
+                const end = text.lastIndexOf('\n');
+                carry = end === -1 ? text : text.slice(end + 1);
+                if (end !== -1) scan(text.slice(0, end));
+            },
+
+            finish() {
+                if (carry) scan(carry);
+                carry = '';
+                return [...heights].sort((a, b) => a - b);
+            }
+        };
+    }
+
+    /**
+     * Current/total layer, from the first source that knows: the slicer's
+     * SET_PRINT_STATS_INFO, the G-code's layer Z heights, metadata layer
+     * height, progress, or Z alone. `tracking` (optional) carries the layer
+     * tracker's settled Z, its observed layer height and the G-code heights.
+     */
+    function getLayerInfo(printStats, displayStatus, toolhead, metadata, tracking = {}) {
         const slicerInfo = printStats.info || {};
         const slicerCurrent = asNumber(
             slicerInfo.current_layer ??
@@ -936,21 +4416,40 @@
             slicerInfo.totalLayers
         );
 
-        const metadataLayer = computeLayerFromMetadata(toolhead, metadataCache.data);
-        const progressLayer = computeLayerFromProgress(displayStatus, metadataCache.data);
+        // the tracker's Z ignores Z-hops; raw toolhead Z is used without it
+        const currentZ = tracking.z ?? toolhead?.position?.[2];
+        const zToolhead = tracking.z !== undefined && tracking.z !== null ? { position: [0, 0, tracking.z] } : toolhead;
+
+        const gcodeLayer = computeLayerFromHeights(currentZ, tracking.layerHeights);
+        const metadataLayer = computeLayerFromMetadata(zToolhead, metadata);
+        const progressLayer = computeLayerFromProgress(displayStatus, metadata);
 
         let fallbackCurrent = null;
-        const currentZ = toolhead?.position?.[2];
         if (currentZ !== undefined && currentZ !== null && currentZ > 0 && !metadataLayer.current) {
-            fallbackCurrent = Math.max(1, Math.floor(currentZ / 0.2));
+            const layerHeight = tracking.observedLayerHeight || 0.2;
+            fallbackCurrent = Math.max(1, Math.floor((currentZ + LAYER_Z_TOLERANCE) / layerHeight));
         }
 
         return {
-            currentLayer: firstNonNull(slicerCurrent, metadataLayer.current, progressLayer.current, fallbackCurrent),
-            totalLayer: firstNonNull(slicerTotal, metadataLayer.total, progressLayer.total)
+            currentLayer: firstNonNull(slicerCurrent, gcodeLayer.current, metadataLayer.current, progressLayer.current, fallbackCurrent),
+            totalLayer: firstNonNull(slicerTotal, gcodeLayer.total, metadataLayer.total, progressLayer.total)
         };
     }
 
+    function hasSlicerLayers(info) {
+        return asNumber(info?.current_layer ?? info?.currentLayer ?? info?.layer_current ?? info?.layer) !== null;
+    }
+
+    // Layer index of a Z in the G-code's sorted layer heights (variable/adaptive layers included)
+    function computeLayerFromHeights(z, heights) {
+        if (!heights?.length) return { current: null, total: null };
+        if (z === undefined || z === null) return { current: null, total: heights.length };
+
+        let current = 0;
+        while (current < heights.length && heights[current] <= z + LAYER_Z_TOLERANCE) current++;
+        return { current: Math.max(1, current), total: heights.length };
+    }
+
     function computeLayerFromMetadata(toolhead, metadata) {
         if (!metadata) return { current: null, total: null };
 
@@ -967,7 +4466,8 @@
 
         let current = null;
         if (layerHeight && currentZ !== undefined && currentZ !== null) {
-            const calc = Math.floor(((currentZ - firstLayerHeight) / layerHeight) + 1);
+            // the tolerance keeps 0.6 - 0.2 = 0.39999... on layer 3, not 2
+            const calc = Math.floor(((currentZ - firstLayerHeight + LAYER_Z_TOLERANCE) / layerHeight) + 1);
             current = Math.max(1, calc);
             if (total) current = Math.min(total, current);
         }
@@ -1005,91 +4505,176 @@
     // METADATA
     // ============================================================
 
-    async function ensureMetadataLoaded(filename, state) {
-        if (state !== 'printing' || !filename) return;
-        if (metadataCache.filename === filename && metadataCache.data) return;
-
-        metadataCache.filename = filename;
-        const metaResult = await fetchMetadata(filename);
-        metadataCache.data = metaResult?.data || null;
-        metadataCache.source = metaResult?.source || null;
-
-        if (metadataCache.data && !metadataCache.data.layer_height) {
-            const filenameMatch = filename.match(/[_\s\.]0\.(\d+)(?:[_\s\.]|mm|$)/i);
-            if (filenameMatch) {
-                const inferredHeight = Number(`0.${filenameMatch[1]}`);
-                if (inferredHeight >= 0.05 && inferredHeight <= 0.5) {
-                    metadataCache.data.layer_height = inferredHeight;
-                    if (metadataCache.data.object_height && !metadataCache.data.layer_count) {
-                        const firstLayer = metadataCache.data.first_layer_height || inferredHeight;
-                        metadataCache.data.layer_count = Math.max(
-                            1,
-                            Math.round(((metadataCache.data.object_height - firstLayer) / inferredHeight) + 1)
-                        );
-                    }
-                }
-            }
+    /*
+     * G-code metadata parsing (used when Moonraker's metadata API has nothing).
+     * The head holds the slicer banner (and the Orca/Bambu header block), the
+     * tail holds the filament summary and the slicer's configuration block.
+     * Results use Moonraker's metadata key names so both sources render alike.
+     */
+
+    function parseGcodeMetadata(head, tail = '') {
+        if (!head && !tail) return null;
+
+        const slicer = detectSlicer(head || '');
+        let meta;
+        switch (slicer?.family) {
+            case 'prusaslicer':
+                meta = parsePrusaSlicerMetadata(head, tail);
+                break;
+            case 'cura':
+                meta = parseCuraMetadata(head, tail);
+                break;
+            case 'simplify3d':
+                meta = parseSimplify3dMetadata(head, tail);
+                break;
+            default:
+                meta = parseGcodeHeader(head);
         }
+        if (!meta) return null;
 
-        if (metadataCache.data && !metadataCache.data.estimated_time) {
-            const timeMatch = filename.match(/(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?/i);
-            if (timeMatch && (timeMatch[1] || timeMatch[2] || timeMatch[3])) {
-                let seconds = 0;
-                if (timeMatch[1]) seconds += parseInt(timeMatch[1], 10) * 86400;
-                if (timeMatch[2]) seconds += parseInt(timeMatch[2], 10) * 3600;
-                if (timeMatch[3]) seconds += parseInt(timeMatch[3], 10) * 60;
-                if (seconds > 0) metadataCache.data.estimated_time = seconds;
-            }
+        if (slicer) {
+            meta.slicer = slicer.name;
+            if (slicer.version) meta.slicer_version = slicer.version;
         }
-    }
 
-    async function fetchMetadata(filename) {
-        try {
-            const fileParam = normalizeFilename(filename);
-            if (!fileParam) return null;
+        if (!meta.object_height && meta.layer_height && meta.layer_count) {
+            meta.object_height = meta.layer_height * meta.layer_count;
+        }
+        if (meta.object_height && meta.layer_height && !meta.layer_count) {
+            const firstLayer = meta.first_layer_height || meta.layer_height;
+            meta.layer_count = Math.max(1, Math.round(((meta.object_height - firstLayer) / meta.layer_height) + 1));
+        }
 
-            const apiMeta = await fetchMetadataFromApi(fileParam);
-            if (apiMeta) return { data: apiMeta, source: 'api' };
+        const keys = Object.keys(meta).filter(key => meta[key] !== null && meta[key] !== undefined);
+        return keys.some(key => key !== 'slicer' && key !== 'slicer_version') ? meta : null;
+    }
 
-            const headerMeta = await fetchMetadataFromGcode(fileParam);
-            if (headerMeta) return { data: headerMeta, source: 'gcode-header' };
+    /**
+     * Identify the slicer from the banner in the first lines of the file.
+     * PrusaSlicer, SuperSlicer, OrcaSlicer and Bambu Studio share one
+     * comment format (family "prusaslicer").
+     */
+    function detectSlicer(head) {
+        const banner = head.split(/\r?\n/).slice(0, 40).join('\n');
+        const patterns = [
+            { regex: /generated by (SuperSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /generated by (OrcaSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /generated by (PrusaSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /(BambuStudio)\s+([\d.]+)?/i, family: 'prusaslicer' },
+            { regex: /Generated with (Cura)_SteamEngine\s+([\w.+-]+)?/i, family: 'cura' },
+            { regex: /generated by (Simplify3D)\(R\)(?:\s+Version\s+([\w.]+))?/i, family: 'simplify3d' }
+        ];
 
-            return null;
-        } catch (err) {
-            console.error('Error fetching metadata:', err);
-            return null;
+        for (const { regex, family } of patterns) {
+            const match = banner.match(regex);
+            if (match) return { name: match[1], version: match[2] || null, family };
         }
+        if (/^;FLAVOR:/m.test(banner)) return { name: 'Cura', version: null, family: 'cura' };
+        return null;
     }
 
-    async function fetchMetadataFromApi(fileParam) {
-        try {
-            const url = `http://${PRINTER_IP}/server/files/metadata?filename=${encodeURIComponent(fileParam)}`;
-            const response = await fetch(url, { method: 'GET', cache: 'no-cache' });
-            if (response.ok) {
-                const data = await response.json();
-                return data.result;
-            }
-        } catch {
-            // ignore
+    /**
+     * Collect `; key = value` (and Orca's `; key: value`) comment pairs.
+     * Later values win, so the config block at the end overrides the head.
+     */
+    function readCommentValues(text) {
+        const values = {};
+        for (const rawLine of String(text || '').split(/\r?\n/)) {
+            const match = rawLine.match(/^;\s*([^=:;]+?)\s*[=:]\s*(.*?)\s*$/);
+            if (match) values[match[1].toLowerCase()] = match[2];
         }
-        return null;
+        return values;
     }
 
-    async function fetchMetadataFromGcode(fileParam) {
-        try {
-            const safePath = encodeURI(fileParam);
-            const url = `http://${PRINTER_IP}/server/files/${safePath}`;
+    function parsePrusaSlicerMetadata(head, tail) {
+        const values = readCommentValues(`${head}\n${tail}`);
+        const headerTime = `${head}\n${tail}`.match(/total estimated time:\s*([^;\r\n]+)/i);
 
-            const response = await fetch(url, { headers: { Range: 'bytes=0-65535' } });
-            if (!response.ok) return null;
+        const layerHeight = listNumber(values.layer_height);
+        return {
+            layer_height: layerHeight,
+            first_layer_height: parseFirstLayerHeight(values.first_layer_height ?? values.initial_layer_print_height, layerHeight),
+            layer_count: listNumber(values['total layer number'] ?? values['total layers count']),
+            object_height: listNumber(values.max_layer_z ?? values.max_z_height),
+            estimated_time: parseSlicerDuration(values['estimated printing time (normal mode)'] ?? headerTime?.[1]),
+            nozzle_diameter: listNumber(values.nozzle_diameter),
+            filament_type: values.filament_type || null,
+            filament_name: firstListValue(values.filament_settings_id),
+            filament_colors: String(values.filament_colour || '').split(/[;,]/).map(c => c.trim()).filter(c => /^#[0-9a-f]{6}$/i.test(c)),
+            filament_total: values['total filament length [mm]'] !== undefined
+                ? listNumber(values['total filament length [mm]'])
+                : sumList(values['filament used [mm]']),
+            filament_weight_total: listNumber(values['total filament used [g]'] ?? values['total filament weight [g]']) ?? sumList(values['filament used [g]'])
+        };
+    }
 
-            const text = await response.text();
-            return parseGcodeHeader(text);
-        } catch {
-            return null;
-        }
+    function parseCuraMetadata(head, tail) {
+        const text = `${head}\n${tail}`;
+        const headerValue = (key) => {
+            const match = text.match(new RegExp(`^;${key.replace(/\./g, '\\.')}:\\s*(.+?)\\s*$`, 'im'));
+            return match ? match[1] : null;
+        };
+        // profile settings are serialized into ;SETTING_3 lines with escaped newlines
+        const setting = (key) => {
+            const match = text.match(new RegExp(`\\\\+n${key} = ([\\d.]+)`));
+            return match ? Number(match[1]) : null;
+        };
+
+        const filamentMeters = sumList(String(headerValue('Filament used') || '').replace(/m/gi, ''));
+        const layerHeight = listNumber(headerValue('Layer height')) ?? setting('layer_height');
+
+        return {
+            layer_height: layerHeight,
+            first_layer_height: setting('layer_height_0'),
+            layer_count: listNumber(headerValue('LAYER_COUNT')),
+            object_height: listNumber(headerValue('MAXZ') ?? headerValue('PRINT.SIZE.MAX.Z')),
+            estimated_time: listNumber(headerValue('TIME') ?? headerValue('PRINT.TIME')),
+            nozzle_diameter: listNumber(headerValue('EXTRUDER_TRAIN.0.NOZZLE.DIAMETER')) ?? setting('machine_nozzle_size'),
+            filament_type: null,
+            filament_name: null,
+            filament_colors: [],
+            filament_total: filamentMeters !== null ? filamentMeters * 1000 : null,
+            filament_weight_total: null
+        };
+    }
+
+    function parseSimplify3dMetadata(head, tail) {
+        const text = `${head}\n${tail}`;
+        // settings look like ";   layerHeight,0.2"
+        const setting = (key) => {
+            const match = text.match(new RegExp(`^;\\s*${key},(.+?)\\s*$`, 'm'));
+            return match ? match[1] : null;
+        };
+        const summary = (label) => {
+            const match = text.match(new RegExp(`^;\\s*${label}:\\s*(.+?)\\s*$`, 'im'));
+            return match ? match[1] : null;
+        };
+
+        // the last "; layer 120, Z = 24.000" marker gives the layer count and height
+        let lastLayer = null;
+        const layerRegex = /^; layer (\d+), Z = ([\d.]+)/gm;
+        let match;
+        while ((match = layerRegex.exec(tail)) !== null) lastLayer = match;
+
+        const layerHeight = listNumber(setting('layerHeight'));
+        const firstLayerPercent = listNumber(setting('firstLayerHeightPercentage'));
+
+        return {
+            layer_height: layerHeight,
+            first_layer_height: layerHeight && firstLayerPercent ? layerHeight * firstLayerPercent / 100 : null,
+            layer_count: lastLayer ? Number(lastLayer[1]) : null,
+            object_height: lastLayer ? Number(lastLayer[2]) : null,
+            estimated_time: parseSlicerDuration(summary('Build time')),
+            nozzle_diameter: listNumber(setting('extruderDiameter')),
+            filament_type: firstListValue(setting('printMaterial')),
+            filament_name: null,
+            filament_colors: [],
+            filament_total: listNumber(summary('Filament length')),
+            filament_weight_total: listNumber(summary('Plastic weight'))
+        };
     }
 
+    // Generic sweep for unknown slicers
     function parseGcodeHeader(text) {
         if (!text) return null;
 
@@ -1108,11 +4693,10 @@
 
             const lower = line.toLowerCase();
 
-            meta.layer_height = meta.layer_height ?? numberFromLine(lower, /layer[_ ]?height[:=\s]\s*([\d.]+)/i);
-            meta.layer_height = meta.layer_height ?? numberFromLine(lower, /;\s*layer_height\s*=\s*([\d.]+)/i);
-
-            meta.first_layer_height = meta.first_layer_height ?? numberFromLine(lower, /first[_ ]?layer[_ ]?height[:=\s]\s*([\d.]+)/i);
-            meta.first_layer_height = meta.first_layer_height ?? numberFromLine(lower, /initial[_ ]?layer[_ ]?height[:=\s]\s*([\d.]+)/i);
+            meta.first_layer_height = meta.first_layer_height ?? numberFromLine(lower, /(?:first|initial)[_ ]?layer[_ ]?height[:=\s]\s*([\d.]+)/i);
+            if (!/(?:first|initial)[_ ]?layer/.test(lower)) {
+                meta.layer_height = meta.layer_height ?? numberFromLine(lower, /layer[_ ]?height[:=\s]\s*([\d.]+)/i);
+            }
 
             meta.layer_count = meta.layer_count ?? numberFromLine(lower, /layer[_ ]?(?:count|total|totals?)[:=\s]\s*([\d]+)/i);
             meta.layer_count = meta.layer_count ?? numberFromLine(lower, /total[_ ]?layers?[:=\s]\s*([\d]+)/i);
@@ -1120,23 +4704,179 @@
 
             meta.estimated_time = meta.estimated_time ?? numberFromLine(lower, /(?:estimated[_ ]?time|estimated[_ ]?print[_ ]?time|print[_ ]?time)[:=\s]\s*([\d.]+)/i);
             meta.estimated_time = meta.estimated_time ?? numberFromLine(lower, /;time[:=\s]\s*([\d.]+)/i);
-            meta.estimated_time = meta.estimated_time ?? numberFromLine(lower, /;\s*estimated_printing_time\(normal\)\s*=\s*([\d.]+)/i);
 
-            const heightVal = numberFromLine(lower, /(?:maxz|max_z|height|object[_ ]?height)[:=\s]\s*([\d.]+)/i);
-            if (heightVal !== null) meta.object_height = meta.object_height ?? heightVal;
+            // only explicit max-Z/object height keys; a bare "height" also matches layer/bed heights
+            meta.object_height = meta.object_height ?? numberFromLine(lower, /(?:max[_ ]?z|max_layer_z|max_z_height|object[_ ]?height)[:=\s]\s*([\d.]+)/i);
         }
 
-        if (!meta.object_height && meta.layer_height && meta.layer_count) {
-            meta.object_height = meta.layer_height * meta.layer_count;
+        if (meta.layer_height || meta.first_layer_height || meta.layer_count || meta.object_height) return meta;
+        return null;
+    }
+
+    // ============================================================
+    // FILENAME PATTERNS
+    // ============================================================
+
+    /**
+     * Compile a printer's filenamePatterns: each entry is a regex string or
+     * { name, pattern, flags } whose named groups (FILENAME_PATTERN_GROUPS)
+     * become metadata. Invalid entries are reported in `errors` and skipped.
+     */
+    function compileFilenamePatterns(list) {
+        const patterns = [];
+        const errors = [];
+
+        if (!Array.isArray(list)) {
+            return { patterns, errors: ['filenamePatterns must be an array of patterns'] };
         }
 
-        if (meta.object_height && meta.layer_height && !meta.layer_count) {
-            const firstLayer = meta.first_layer_height || meta.layer_height;
-            meta.layer_count = Math.max(1, Math.round(((meta.object_height - firstLayer) / meta.layer_height) + 1));
+        list.forEach((entry, index) => {
+            const spec = typeof entry === 'string' ? { pattern: entry } : (entry || {});
+            const name = spec.name || `pattern ${index + 1}`;
+            if (typeof spec.pattern !== 'string' || !spec.pattern) {
+                errors.push(`filenamePatterns[${index}] needs a "pattern" string`);
+                return;
+            }
+
+            let regex;
+            try {
+                regex = new RegExp(spec.pattern, spec.flags ?? 'i');
+            } catch (err) {
+                errors.push(`filenamePatterns[${index}] (${name}) is not a valid regex: ${err.message}`);
+                return;
+            }
+
+            const groups = [...spec.pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(match => match[1]);
+            const unknown = groups.filter(group => !FILENAME_PATTERN_GROUPS.includes(group));
+            if (!groups.length || unknown.length) {
+                errors.push(`filenamePatterns[${index}] (${name}) needs named groups from: ${FILENAME_PATTERN_GROUPS.join(', ')}` +
+                    (unknown.length ? ` (unknown: ${unknown.join(', ')})` : ''));
+                return;
+            }
+
+            patterns.push({ name, regex });
+        });
+
+        return { patterns, errors };
+    }
+
+    /**
+     * Run the patterns against the file's base name. The first pattern that
+     * yields a usable value for a group wins; `matched` lists the patterns
+     * that contributed, for the debug panel.
+     */
+    function matchFilenamePatterns(filename, patterns) {
+        const values = {};
+        const matched = [];
+        const baseName = String(filename || '').split('/').pop();
+
+        for (const { name, regex } of patterns || []) {
+            const groups = baseName.match(regex)?.groups;
+            if (!groups) continue;
+
+            let used = false;
+            for (const [key, raw] of Object.entries(groups)) {
+                if (raw === undefined || values[key] !== undefined) continue;
+                const value = filenameGroupValue(key, raw);
+                if (value === null) continue;
+                values[key] = value;
+                used = true;
+            }
+            if (used) matched.push(name);
         }
 
-        if (meta.layer_height || meta.first_layer_height || meta.layer_count || meta.object_height) return meta;
-        return null;
+        return { values, matched };
+    }
+
+    function filenameGroupValue(key, raw) {
+        const text = String(raw).trim();
+        if (!text) return null;
+
+        if (key === 'layer_height') {
+            const height = Number(text.replace(',', '.'));
+            return height >= 0.01 && height <= 1.2 ? height : null;
+        }
+        if (key === 'nozzle_diameter') {
+            const nozzle = Number(text.replace(',', '.'));
+            return nozzle >= 0.1 && nozzle <= 2 ? nozzle : null;
+        }
+        if (key === 'estimated_time') {
+            const seconds = parseSlicerDuration(text);
+            return seconds > 0 ? seconds : null;
+        }
+        return text;  // material, object
+    }
+
+    /**
+     * Slicer durations to seconds: "1d 2h 3m 4s", "2h 30m", "1 hours 23 minutes"
+     * or plain seconds.
+     */
+    function parseSlicerDuration(value) {
+        if (value === null || value === undefined) return null;
+        const str = String(value).trim().toLowerCase();
+        if (!str) return null;
+        if (/^\d+(?:\.\d+)?$/.test(str)) return Number(str);
+
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        const regex = /(\d+(?:\.\d+)?)\s*([dhms])[a-z]*/g;
+        let seconds = 0;
+        let matched = false;
+        let match;
+        while ((match = regex.exec(str)) !== null) {
+            seconds += Number(match[1]) * units[match[2]];
+            matched = true;
+        }
+        return matched ? seconds : null;
+    }
+
+    function parseFirstLayerHeight(value, layerHeight) {
+        if (value === undefined || value === null) return null;
+        const str = String(value).trim();
+        if (str.endsWith('%')) {
+            const percent = asNumber(str.slice(0, -1));
+            return percent !== null && layerHeight ? layerHeight * percent / 100 : null;
+        }
+        return listNumber(str);
+    }
+
+    // "0.4,0.4" -> 0.4 (first extruder)
+    function listNumber(value) {
+        if (value === undefined || value === null) return null;
+        const match = String(value).match(/-?\d+(?:\.\d+)?/);
+        return match ? Number(match[0]) : null;
+    }
+
+    // "1234.5, 20.1" -> 1254.6 (all extruders)
+    function sumList(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const nums = String(value).split(/[,;]/).map(part => asNumber(part.trim())).filter(num => num !== null);
+        return nums.length ? nums.reduce((sum, num) => sum + num, 0) : null;
+    }
+
+    // '"Prusament PLA";"Generic PETG"' -> 'Prusament PLA'
+    function firstListValue(value) {
+        if (value === undefined || value === null) return null;
+        const first = String(value).split(';')[0].trim().replace(/^"|"$/g, '');
+        return first || null;
+    }
+
+    /**
+     * Material chip data from file metadata (Moonraker API or parsed G-code).
+     * Returns null when the file says nothing about its filament.
+     */
+    function materialFromMetadata(meta) {
+        if (!meta) return null;
+        const types = String(meta.filament_type || '').split(';').map(type => type.trim()).filter(Boolean);
+        const colors = Array.isArray(meta.filament_colors) ? meta.filament_colors : [];
+
+        const material = {
+            type: [...new Set(types)].join(' / ') || null,
+            name: firstListValue(meta.filament_name),
+            color: colors.find(color => /^#[0-9a-f]{6}$/i.test(color)) || null,
+            length: asNumber(meta.filament_total),
+            weight: asNumber(meta.filament_weight_total)
+        };
+        return material.type || material.name || material.length || material.weight ? material : null;
     }
 
     function normalizeFilename(filename) {
@@ -1144,19 +4884,158 @@
         return filename;
     }
 
+    // Moonraker serves file contents from the "gcodes" root; print_stats.filename is relative to it
+    function gcodeFilePath(filename) {
+        return `/server/files/gcodes/${encodeURI(filename)}`;
+    }
+
     function formatFilename(filename) {
         if (!filename) return null;
         const normalized = filename.split('/').pop();
-        return normalized.replace(/\.gcode$/i, '');
+        return normalized.replace(/\.b?gcode$/i, '');
+    }
+
+    // ============================================================
+    // PERSISTENT CACHE
+    // ============================================================
+
+    /**
+     * Least-recently-used store of JSON entries in localStorage. An index
+     * entry keeps the keys oldest first with their sizes; the oldest entries
+     * are dropped past maxChars or maxEntries, or when the browser's quota
+     * runs out. Without storage every call is a no-op.
+     */
+    function createPersistentCache(storage, { prefix, maxChars, maxEntries }) {
+        const indexKey = `${prefix}index`;
+
+        function readIndex() {
+            try {
+                const index = JSON.parse(storage.getItem(indexKey));
+                return Array.isArray(index) ? index : [];
+            } catch {
+                return [];
+            }
+        }
+
+        function writeIndex(index) {
+            try {
+                storage.setItem(indexKey, JSON.stringify(index));
+            } catch {
+                // the entries are still readable; the index is rebuilt as they are used
+            }
+        }
+
+        function dropOldest(index) {
+            const oldest = index.shift();
+            if (oldest) storage.removeItem(prefix + oldest.key);
+        }
+
+        // Entries another overlay wrote without getting to update the index would never be evicted
+        if (storage) {
+            const known = new Set(readIndex().map(item => prefix + item.key));
+            for (let i = storage.length - 1; i >= 0; i--) {
+                const key = storage.key(i);
+                if (key && key.startsWith(prefix) && key !== indexKey && !known.has(key)) storage.removeItem(key);
+            }
+        }
+
+        return {
+            get(key) {
+                if (!storage) return null;
+                try {
+                    const raw = storage.getItem(prefix + key);
+                    const index = readIndex().filter(item => item.key !== key);
+                    if (raw !== null) index.push({ key, size: raw.length });
+                    writeIndex(index);
+                    return raw === null ? null : JSON.parse(raw);
+                } catch {
+                    return null;
+                }
+            },
+
+            // Returns false when the entry is too large to keep (an older value stays)
+            set(key, value) {
+                if (!storage) return false;
+                const raw = JSON.stringify(value);
+                if (raw.length > maxChars / 4) return false;
+
+                const index = readIndex().filter(item => item.key !== key);
+                let total = index.reduce((sum, item) => sum + (item.size || 0), raw.length);
+                while (index.length && (total > maxChars || index.length >= maxEntries)) {
+                    total -= index[0].size || 0;
+                    dropOldest(index);
+                }
+
+                for (;;) {
+                    try {
+                        storage.setItem(prefix + key, raw);
+                        break;
+                    } catch {
+                        if (!index.length) {
+                            writeIndex(index);
+                            return false;
+                        }
+                        dropOldest(index);
+                    }
+                }
+                index.push({ key, size: raw.length });
+                writeIndex(index);
+                return true;
+            },
+
+            remove(key) {
+                if (!storage) return;
+                storage.removeItem(prefix + key);
+                writeIndex(readIndex().filter(item => item.key !== key));
+            }
+        };
+    }
+
+    function openLocalStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = `${CACHE_PREFIX}probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch {
+            return null;  // disabled, or a sandboxed/file:// page without storage
+        }
+    }
+
+    // Version of a file: Moonraker's metadata modified/size, or the HTTP headers of a G-code read
+    function fileStampFromMetadata(meta) {
+        if (meta?.modified === undefined || meta?.size === undefined) return null;
+        return { modified: meta.modified, size: meta.size };
+    }
+
+    function fileStampFromResponse(response) {
+        const range = response.headers.get('content-range');  // "bytes 0-65535/1234567"
+        const size = Number(range ? range.split('/')[1] : response.headers.get('content-length'));
+        const modified = response.headers.get('last-modified');
+        return modified && size ? { modified, size } : null;
+    }
+
+    function sameFileStamp(a, b) {
+        return !!a && !!b && String(a.modified) === String(b.modified) && Number(a.size) === Number(b.size);
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
     }
 
     // ============================================================
     // DEBUG
     // ============================================================
 
-    function updateDebug(info) {
-        if (!DEBUG) return;
-        const el = document.getElementById('debugInfo');
+    function updateDebug(view, settings, info) {
+        if (!settings.debug) return;
+        const el = view.el('debugInfo');
         if (!el) return;
 
         if (info?.error) {
@@ -1169,7 +5048,7 @@
         lines.push(`state=${info.state}`);
         lines.push(`progress=${(info.progress ?? 0) * 100}%`);
         lines.push(`filename=${info.filename}`);
-        lines.push(`toolheadZ=${info.toolheadZ}`);
+        lines.push(`toolheadZ=${info.toolheadZ} layerZ=${info.layerZ ?? 'null'} gcodeLayers=${info.gcodeLayers ?? 'none'}`);
 
         const slicerInfo = info.slicerInfo || {};
         lines.push(`slicer: current=${slicerInfo.current_layer ?? slicerInfo.currentLayer ?? slicerInfo.layer_current ?? slicerInfo.layer ?? 'null'} total=${slicerInfo.total_layer ?? slicerInfo.totalLayer ?? slicerInfo.layer_count ?? slicerInfo.layerTotal ?? slicerInfo.totalLayers ?? 'null'}`);
@@ -1177,6 +5056,7 @@
         const meta = info.metadata || {};
         const metaKeys = meta.data ? Object.keys(meta.data).filter(k => !k.startsWith('_')).join(',') : 'none';
         lines.push(`metadata: source=${meta.source || 'none'} filename=${meta.filename || 'n/a'} keys=${metaKeys}`);
+        lines.push(`filenamePatterns: matched=${meta.filenamePatterns?.length ? meta.filenamePatterns.join(', ') : 'none'}`);
 
         const mLayer = info.metadataLayer || {};
         lines.push(`metadataLayer: current=${mLayer.current ?? 'null'} total=${mLayer.total ?? 'null'}`);
@@ -1185,7 +5065,9 @@
         lines.push(`progressLayer: current=${pLayer.current ?? 'null'} total=${pLayer.total ?? 'null'}`);
 
         lines.push(`chosen: current=${info.currentLayer ?? 'null'} total=${info.totalLayer ?? 'null'}`);
-        lines.push(`estimateRemaining=${info.estimateRemaining ?? 'null'}`);
+        lines.push(`estimateRemaining=${info.estimateRemaining ?? 'null'} strategy=${info.remainingStrategy || 'auto'}`);
+        const estimates = info.remainingEstimates || {};
+        lines.push(`estimates: file=${estimates.file ?? 'null'} filament=${estimates.filament ?? 'null'} slicer=${estimates.slicer ?? 'null'} host=${estimates.host ?? 'null'}`);
         lines.push(`slicerRemaining=${info.slicerRemaining ?? 'null'} total=${info.slicerTotal ?? 'null'}`);
 
         el.textContent = lines.join('\n');
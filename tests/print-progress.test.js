@@ -653,15 +653,15 @@ function test_gcode_file_url_construction() {
     const printerIp = "192.168.1.100";
     const filename = "test_print.gcode";
     
-    // Act - This is how we construct the gcode file URL
+    // Act - This is how we construct the gcode file URL (Moonraker's gcodes root)
     const safePath = encodeURI(filename);
-    const url = `http://${printerIp}/server/files/${safePath}`;
+    const url = `http://${printerIp}/server/files/gcodes/${safePath}`;
     
     // Assert
     assertEqual(
         url,
-        "http://192.168.1.100/server/files/test_print.gcode",
-        'Should construct URL with filename directly'
+        "http://192.168.1.100/server/files/gcodes/test_print.gcode",
+        'Should construct URL with filename directly under gcodes/'
     );
     console.log('✓ PASS\n');
 }
@@ -724,6 +724,3618 @@ function test_thumbnail_url_encoding() {
     console.log('✓ PASS\n');
 }
 
+/**
+ * Test: Header/tail metadata reads, layer scans and thumbnails share the gcodes/ root
+ */
+function test_gcode_metadata_read_url() {
+    console.log('TEST: G-code file URL uses the gcodes root');
+    
+    // Arrange - gcodeFilePath() and the session's apiUrl(), copied from print-progress.js
+    function gcodeFilePath(filename) {
+        return `/server/files/gcodes/${encodeURI(filename)}`;
+    }
+    const settings = { baseUrl: 'https://farm.example.com/printer2' };
+    function apiUrl(path) {
+        return `${settings.baseUrl}${path}`;
+    }
+    
+    // Act
+    const plain = apiUrl(gcodeFilePath('benchy.gcode'));
+    const nested = apiUrl(gcodeFilePath('parts/my print.gcode'));
+    
+    // Assert
+    assertEqual(plain, 'https://farm.example.com/printer2/server/files/gcodes/benchy.gcode', 'File contents must be read under /server/files/gcodes/');
+    assertEqual(nested, 'https://farm.example.com/printer2/server/files/gcodes/parts/my%20print.gcode', 'Subfolders stay as path segments, spaces are encoded');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// WEBSOCKET SUBSCRIPTION TESTS
+// ============================================================================
+
+/**
+ * Test: notify_status_update deltas merge into the last known status
+ */
+function test_websocket_delta_merge() {
+    console.log('TEST: WebSocket status deltas merge per object');
+    
+    // Arrange - Klipper only sends changed fields; mergeStatus() copied from print-progress.js
+    let printerStatus = {
+        extruder: { temperature: 210.1, target: 215 },
+        print_stats: { state: 'printing', filename: 'benchy.gcode' }
+    };
+    function mergeStatus(delta) {
+        if (!delta) return;
+        for (const [obj, fields] of Object.entries(delta)) {
+            printerStatus[obj] = { ...(printerStatus[obj] || {}), ...fields };
+        }
+    }
+    const delta = { extruder: { temperature: 212.4 }, virtual_sdcard: { progress: 0.42 } };
+    
+    // Act
+    mergeStatus(delta);
+    mergeStatus(null);
+    
+    // Assert
+    assertEqual(printerStatus.extruder.temperature, 212.4, 'Should update changed field');
+    assertEqual(printerStatus.extruder.target, 215, 'Should keep unchanged field');
+    assertEqual(printerStatus.print_stats.filename, 'benchy.gcode', 'Should keep untouched objects');
+    assertEqual(printerStatus.virtual_sdcard.progress, 0.42, 'Should add newly reported objects');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Subscribe request includes the detected chamber object
+ */
+function test_websocket_subscribe_payload() {
+    console.log('TEST: WebSocket subscribe payload includes chamber object');
+    
+    // Arrange - subscribeStatus() copied from print-progress.js, the socket replaced by a recorder
+    const subscribedObjects = [
+        'print_stats',
+        'virtual_sdcard',
+        'display_status',
+        'extruder',
+        'heater_bed',
+        'toolhead',
+        'motion_report'
+    ];
+    const extruderObjects = ['extruder1'];
+    const chamberObjectName = 'temperature_sensor chamber';
+    const customObjects = ['fan'];
+    const customObjectsChecked = true;
+    const hooks = { customFields: true };
+    const settings = { customFields: [{ object: 'fan' }] };
+    const detectCustomObjects = () => {};
+    const stopped = false;
+    const excludeObject = false;
+    let subscribeRequestId = null;
+    let request = null;
+    const sendSocketRequest = (method, params) => {
+        request = JSON.parse(JSON.stringify({ jsonrpc: '2.0', method, params, id: 1 }));
+        return 1;
+    };
+    // on every (re)connect and notify_klippy_ready; a customFields probe nobody answered is repeated first
+    async function subscribeStatus() {
+        if (!customObjectsChecked && hooks.customFields && settings.customFields.length) await detectCustomObjects();
+        if (stopped) return;
+
+        const objects = {};
+        subscribedObjects.forEach(obj => { objects[obj] = null; });
+        extruderObjects.forEach(obj => { objects[obj] = null; });
+        if (chamberObjectName) objects[chamberObjectName] = null;
+        customObjects.forEach(obj => { objects[obj] = null; });
+        if (excludeObject) objects.exclude_object = null;
+        subscribeRequestId = sendSocketRequest('printer.objects.subscribe', { objects });
+    }
+    
+    // Act
+    subscribeStatus();
+    
+    // Assert
+    assertEqual(request.method, 'printer.objects.subscribe', 'Should call printer.objects.subscribe');
+    assertEqual(Object.keys(request.params.objects).length, 10, 'Should subscribe to 7 core objects, extra tools, chamber and custom fields');
+    assertEqual(request.params.objects['temperature_sensor chamber'], null, 'Null requests all fields of the object');
+    assertEqual(subscribeRequestId, 1, 'Should remember the request id to match the reply');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// AUTHENTICATION TESTS
+// ============================================================================
+
+/**
+ * Test: Moonraker requests carry X-Api-Key when an apiKey is configured
+ */
+function test_api_key_header_added() {
+    console.log('TEST: API key is sent as X-Api-Key header');
+    
+    // Arrange - apiFetch() copied from print-progress.js; fetchWithTimeout() returns what it was given
+    const settings = { apiKey: 'abc123' };
+    const fetchWithTimeout = (url, options) => ({ url, options });
+    function apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (settings.apiKey) headers['X-Api-Key'] = settings.apiKey;
+        return fetchWithTimeout(url, { ...options, headers });
+    }
+    
+    // Act
+    const { options } = apiFetch('http://192.168.1.100/server/info', { headers: { Range: 'bytes=0-65535' }, timeout: 1000 });
+    
+    // Assert
+    assertEqual(options.headers['X-Api-Key'], 'abc123', 'Should add X-Api-Key header');
+    assertEqual(options.headers.Range, 'bytes=0-65535', 'Should keep existing headers');
+    assertEqual(options.timeout, 1000, 'Should keep other options');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: One-shot token is appended to URLs that can't send headers
+ */
+function test_oneshot_token_appended_to_url() {
+    console.log('TEST: One-shot token appended to camera/WebSocket URLs');
+    
+    // Arrange - withToken() copied from print-progress.js
+    function withToken(url, token) {
+        if (!token) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+    }
+    
+    // Act
+    const camera = withToken('http://192.168.1.100/webcam/?action=stream', 'TOKEN1');
+    const socket = withToken('ws://192.168.1.100/websocket', 'TOKEN2');
+    const noKey = withToken('ws://192.168.1.100/websocket', null);
+    
+    // Assert
+    assertEqual(camera, 'http://192.168.1.100/webcam/?action=stream&token=TOKEN1', 'Should append with & when URL has a query');
+    assertEqual(socket, 'ws://192.168.1.100/websocket?token=TOKEN2', 'Should append with ? when URL has no query');
+    assertEqual(noKey, 'ws://192.168.1.100/websocket', 'Should leave URL unchanged without a token');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Config logs never show the apiKey or PrusaLink password itself
+ */
+function test_config_log_redacts_secrets() {
+    console.log('TEST: Config logs show the apiKey and password as (set)/(none)');
+    
+    // Arrange - redactConfig() copied from print-progress.js
+    const SECRET_CONFIG_KEYS = ['apiKey', 'password'];  // Logged as (set)/(none), like resolveSettings() does
+    function redactConfig(config) {
+        if (!config || typeof config !== 'object') return config;
+        const redacted = { ...config };
+        SECRET_CONFIG_KEYS.forEach(name => {
+            if (name in redacted) redacted[name] = redacted[name] ? '(set)' : '(none)';
+        });
+        return redacted;
+    }
+    const config = { id: 'voron', ip: '192.168.1.100', apiKey: 'abc123' };
+    
+    // Act
+    const logged = redactConfig(config);
+    const empty = redactConfig({ ip: '192.168.1.100', apiKey: '' });
+    const none = redactConfig({ ip: '192.168.1.100' });
+    const prusa = redactConfig({ type: 'prusalink', username: 'maker', password: 'hunter2' });
+    
+    // Assert
+    assertEqual(logged.apiKey, '(set)', 'Should hide a configured apiKey');
+    assertEqual(logged.ip, '192.168.1.100', 'Should keep the other settings');
+    assertEqual(config.apiKey, 'abc123', 'Should not change the config itself');
+    assertEqual(empty.apiKey, '(none)', 'Should show an empty apiKey as (none)');
+    assertEqual('apiKey' in none, false, 'Should not add an apiKey that was not configured');
+    assertEqual(prusa.password, '(set)', 'Should hide the PrusaLink password');
+    assertEqual(prusa.username, 'maker', 'Should keep the user name, like the settings log');
+    assertEqual(redactConfig(null), null, 'Should pass a missing config through');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// BASE URL TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function buildBaseUrl(config) {
+    if (config.baseUrl) {
+        const raw = String(config.baseUrl).trim();
+        const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`;
+        return withScheme.replace(/\/+$/, '');
+    }
+
+    const host = config.ip || config.host || 'localhost';
+    const scheme = String(config.scheme || 'http').replace(/:?\/*$/, '').toLowerCase();
+    const port = config.port ? `:${config.port}` : '';
+    return `${scheme}://${host}${port}${normalizePathPrefix(config.pathPrefix)}`;
+}
+
+function parseBaseUrl(baseUrl) {
+    try {
+        return new URL(baseUrl);
+    } catch {
+        throw new Error(`Printer address "${baseUrl}" is not a valid URL (check ip, port and pathPrefix)`);
+    }
+}
+
+function normalizePathPrefix(prefix) {
+    if (!prefix) return '';
+    const trimmed = String(prefix).trim().replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}` : '';
+}
+
+function buildDefaultCameraUrl(baseUrl) {
+    const url = new URL(baseUrl);
+    if (url.port === '7125') url.port = '';
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}/webcam/?action=stream`;
+}
+
+/**
+ * Test: Base URL built from ip/scheme/port/pathPrefix
+ */
+function test_base_url_from_parts() {
+    console.log('TEST: Base URL built from separate fields');
+    
+    // Arrange
+    const plain = { ip: '192.168.1.100' };
+    const direct = { ip: '192.168.1.100', port: 7125 };
+    const proxied = { ip: 'farm.example.com', scheme: 'https', pathPrefix: '/printer2/' };
+    
+    // Act & Assert
+    assertEqual(buildBaseUrl(plain), 'http://192.168.1.100', 'Should default to http without port');
+    assertEqual(buildBaseUrl(direct), 'http://192.168.1.100:7125', 'Should append port');
+    assertEqual(buildBaseUrl(proxied), 'https://farm.example.com/printer2', 'Should use scheme and normalized prefix');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Explicit baseUrl wins and is normalized
+ */
+function test_base_url_explicit() {
+    console.log('TEST: Explicit baseUrl is normalized');
+    
+    // Arrange
+    const withSlash = { baseUrl: 'https://farm.example.com/printer2/', ip: 'ignored' };
+    const noScheme = { baseUrl: 'printer1.local:7125' };
+    
+    // Act
+    const url1 = buildBaseUrl(withSlash);
+    const url2 = buildBaseUrl(noScheme);
+    
+    // Assert
+    assertEqual(url1, 'https://farm.example.com/printer2', 'Should strip trailing slash and ignore ip');
+    assertEqual(url2, 'http://printer1.local:7125', 'Should default scheme to http');
+    assertEqual(`${url1.replace(/^http/i, 'ws')}/websocket`, 'wss://farm.example.com/printer2/websocket', 'WebSocket should follow the scheme');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: ip/port/pathPrefix that don't form a URL are config errors, not crashes
+ */
+function test_base_url_invalid_address() {
+    console.log('TEST: Invalid printer address is reported');
+    
+    // Arrange - Same check as validateConfig()
+    const addressError = config => {
+        try {
+            parseBaseUrl(buildBaseUrl(config));
+            return '';
+        } catch (err) {
+            return err.message;
+        }
+    };
+    
+    // Act & Assert
+    assertEqual(addressError({ ip: '192.168.1.100', port: 7125 }), '', 'A plain address should be valid');
+    assertEqual(addressError({ ip: 'printer 1' }), 'Printer address "http://printer 1" is not a valid URL (check ip, port and pathPrefix)', 'Spaces should be rejected');
+    assertEqual(addressError({ ip: 'host:99999' }), 'Printer address "http://host:99999" is not a valid URL (check ip, port and pathPrefix)', 'An out-of-range port in ip should be rejected');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Auto camera URL drops Moonraker's direct port
+ */
+function test_default_camera_url_from_base() {
+    console.log('TEST: Default camera URL built from base URL');
+    
+    // Act & Assert
+    assertEqual(buildDefaultCameraUrl('http://192.168.1.100:7125'), 'http://192.168.1.100/webcam/?action=stream', 'Should drop :7125');
+    assertEqual(buildDefaultCameraUrl('https://farm.example.com/printer2'), 'https://farm.example.com/printer2/webcam/?action=stream', 'Should keep scheme and prefix');
+    assertEqual(buildDefaultCameraUrl('http://192.168.1.100:8080'), 'http://192.168.1.100:8080/webcam/?action=stream', 'Should keep other ports');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// BACKEND TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function asNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+function parseTempEntry(entry) {
+    if (!entry) return null;
+    const current = Math.round(entry.temperature ?? entry.temp ?? entry.current ?? entry.actual ?? entry.temper);
+    const targetRaw = entry.target ?? entry.target_temp ?? entry.target_temperature;
+    const target = targetRaw !== undefined && targetRaw !== null
+        ? Math.round(targetRaw)
+        : Math.round(entry.temperature ?? entry.temp ?? 0);
+    if (!Number.isFinite(current)) return null;
+    return { current, target: Number.isFinite(target) ? target : current };
+}
+
+function toolIndex(name) {
+    const match = /(\d+)$/.exec(name);
+    return match ? Number(match[1]) : 0;
+}
+
+function buildToolTemps(entries, activeName) {
+    return entries
+        .map(([name, entry]) => {
+            const temps = parseTempEntry(entry);
+            if (!temps) return null;
+            return { name, label: `T${toolIndex(name)}`, ...temps, active: activeName ? name === activeName : null };
+        })
+        .filter(Boolean)
+        .sort((a, b) => toolIndex(a.name) - toolIndex(b.name));
+}
+
+function sumList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const nums = String(value).split(/[,;]/).map(part => asNumber(part.trim())).filter(num => num !== null);
+    return nums.length ? nums.reduce((sum, num) => sum + num, 0) : null;
+}
+
+function firstListValue(value) {
+    if (value === undefined || value === null) return null;
+    const first = String(value).split(';')[0].trim().replace(/^"|"$/g, '');
+    return first || null;
+}
+
+function materialFromMetadata(meta) {
+    if (!meta) return null;
+    const types = String(meta.filament_type || '').split(';').map(type => type.trim()).filter(Boolean);
+    const colors = Array.isArray(meta.filament_colors) ? meta.filament_colors : [];
+
+    const material = {
+        type: [...new Set(types)].join(' / ') || null,
+        name: firstListValue(meta.filament_name),
+        color: colors.find(color => /^#[0-9a-f]{6}$/i.test(color)) || null,
+        length: asNumber(meta.filament_total),
+        weight: asNumber(meta.filament_weight_total)
+    };
+    return material.type || material.name || material.length || material.weight ? material : null;
+}
+
+function normalizeOctoPrintStatus(job, printer) {
+    const flags = printer?.state?.flags || {};
+    const text = String(job?.state || printer?.state?.text || '').toLowerCase();
+    const file = job?.job?.file || {};
+    const completion = asNumber(job?.progress?.completion);
+    const printTime = asNumber(job?.progress?.printTime);
+    const temps = printer?.temperature || {};
+
+    let state = 'standby';
+    if (flags.error || text.startsWith('error')) state = 'error';
+    else if (flags.cancelling || text.startsWith('cancelling')) state = 'cancelled';
+    else if (flags.paused || flags.pausing || text.startsWith('paus')) state = 'paused';
+    else if (flags.printing || text.startsWith('printing') || text.startsWith('finishing')) state = 'printing';
+    else if (text.startsWith('offline') || text.includes('closed')) state = 'offline';
+    else if (completion !== null && completion >= 100 && file.name) state = 'complete';
+
+    return {
+        state,
+        message: job?.error || printer?.state?.text || '',
+        filename: file.path || file.name || '',
+        progress: completion !== null ? Math.max(0, Math.min(1, completion / 100)) : 0,
+        layer: { current: null, total: null },
+        temps: {
+            hotend: parseTempEntry(temps.tool0),
+            bed: parseTempEntry(temps.bed),
+            chamber: parseTempEntry(temps.chamber),
+            // OctoPrint doesn't report the active tool
+            tools: buildToolTemps(Object.entries(temps).filter(([name]) => /^tool\d+$/.test(name)), null)
+        },
+        printDuration: printTime,
+        elapsed: printTime,
+        slicerTotal: asNumber(job?.job?.estimatedPrintTime),
+        // OctoPrint's analysis only knows the filament length per tool
+        material: materialFromMetadata({
+            filament_total: sumList(Object.values(job?.job?.filament || {}).map(tool => tool?.length).join(','))
+        }),
+        motion: null,
+        debug: {
+            octoprintState: job?.state,
+            origin: file.origin,
+            printTimeLeft: job?.progress?.printTimeLeft
+        }
+    };
+}
+
+/**
+ * Test: OctoPrint job/printer state maps to Klipper-style state names
+ */
+function test_octoprint_state_mapping() {
+    console.log('TEST: OctoPrint states map to normalized states');
+    
+    // Arrange
+    const finishedJob = { state: 'Operational', job: { file: { name: 'a.gcode' } }, progress: { completion: 100 } };
+    const pausing = { state: { text: 'Pausing', flags: { pausing: true } } };
+    
+    // Act & Assert
+    assertEqual(normalizeOctoPrintStatus({ state: 'Printing from SD' }, null).state, 'printing', 'Should treat "Printing from SD" as printing');
+    assertEqual(normalizeOctoPrintStatus(null, pausing).state, 'paused', 'Should treat pausing as paused');
+    assertEqual(normalizeOctoPrintStatus(finishedJob, null).state, 'complete', 'Should report finished job as complete');
+    assertEqual(normalizeOctoPrintStatus({ state: 'Operational' }, null).state, 'standby', 'Should report idle printer as standby');
+    assertEqual(normalizeOctoPrintStatus({ state: 'Offline after error' }, null).state, 'offline', 'Should report disconnected printer as offline');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: OctoPrint progress and temperatures normalize like Moonraker's
+ */
+function test_octoprint_status_normalization() {
+    console.log('TEST: OctoPrint progress/temps normalize');
+    
+    // Arrange
+    const job = { job: { file: { path: 'dir/b.gcode' }, estimatedPrintTime: 3600 }, progress: { completion: 40.6, printTime: 1200 } };
+    const printer = { temperature: { tool0: { actual: 205.4, target: 205 }, bed: { actual: 59.6, target: 60 } } };
+    
+    // Act
+    const status = normalizeOctoPrintStatus(job, printer);
+    
+    // Assert
+    assertEqual(Math.round(status.progress * 100), 41, 'Should convert completion percent to 0..1 progress');
+    assertEqual(`${status.temps.hotend.current}/${status.temps.hotend.target}`, '205/205', 'Should read tool0 actual/target');
+    assertEqual(`${status.temps.bed.current}/${status.temps.bed.target}`, '60/60', 'Should round bed temps');
+    assertEqual(status.filename, 'dir/b.gcode', 'Should use the file path');
+    assertEqual(status.slicerTotal, 3600, 'Should use the estimated print time');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// PRUSALINK TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+const LAYER_Z_TOLERANCE = 0.01;
+
+function computeLayerFromMetadata(toolhead, metadata) {
+    if (!metadata) return { current: null, total: null };
+
+    const layerHeight = metadata.layer_height;
+    const firstLayerHeight = metadata.first_layer_height || layerHeight;
+    const objectHeight = metadata.object_height;
+    const layerCount = asNumber(metadata.layer_count ?? metadata.total_layer ?? metadata.total_layers);
+    const currentZ = toolhead?.position?.[2];
+
+    let total = layerCount || null;
+    if (!total && layerHeight && objectHeight) {
+        total = Math.max(1, Math.round(((objectHeight - firstLayerHeight) / layerHeight) + 1));
+    }
+
+    let current = null;
+    if (layerHeight && currentZ !== undefined && currentZ !== null) {
+        // the tolerance keeps 0.6 - 0.2 = 0.39999... on layer 3, not 2
+        const calc = Math.floor(((currentZ - firstLayerHeight + LAYER_Z_TOLERANCE) / layerHeight) + 1);
+        current = Math.max(1, calc);
+        if (total) current = Math.min(total, current);
+    }
+
+    return { current, total };
+}
+
+function parseSlicerDuration(value) {
+    if (value === null || value === undefined) return null;
+    const str = String(value).trim().toLowerCase();
+    if (!str) return null;
+    if (/^\d+(?:\.\d+)?$/.test(str)) return Number(str);
+
+    const units = { d: 86400, h: 3600, m: 60, s: 1 };
+    const regex = /(\d+(?:\.\d+)?)\s*([dhms])[a-z]*/g;
+    let seconds = 0;
+    let matched = false;
+    let match;
+    while ((match = regex.exec(str)) !== null) {
+        seconds += Number(match[1]) * units[match[2]];
+        matched = true;
+    }
+    return matched ? seconds : null;
+}
+
+function normalizePrusaLinkStatus(statusJson, job) {
+    const printer = statusJson?.printer || {};
+    const jobStatus = statusJson?.job || {};
+    const file = job?.file || {};
+    const meta = file.meta || {};
+    const progress = asNumber(job?.progress ?? jobStatus.progress);
+    const printTime = asNumber(job?.time_printing ?? jobStatus.time_printing);
+    const remaining = asNumber(job?.time_remaining ?? jobStatus.time_remaining);
+
+    const stateMap = {
+        PRINTING: 'printing',
+        PAUSED: 'paused',
+        ATTENTION: 'paused',
+        FINISHED: 'complete',
+        STOPPED: 'cancelled',
+        ERROR: 'error'
+    };
+    const rawState = String(printer.state || job?.state || '').toUpperCase();
+    const state = stateMap[rawState] || 'standby';
+
+    // PrusaLink reports Z but not layers; derive them from the file metadata
+    const layerMeta = {
+        layer_height: asNumber(meta.layer_height),
+        first_layer_height: asNumber(meta.first_layer_height),
+        object_height: asNumber(meta.max_layer_z ?? meta.object_height)
+    };
+    const layers = computeLayerFromMetadata({ position: [0, 0, printer.axis_z] }, layerMeta.layer_height ? layerMeta : null);
+
+    const dir = file.display_path || file.path || '';
+    const name = file.display_name || file.name || '';
+
+    return {
+        state,
+        message: rawState === 'ATTENTION' ? 'Attention required' : '',
+        filename: name ? `${dir.replace(/\/+$/, '')}/${name}`.replace(/^\/+/, '') : '',
+        progress: progress !== null ? Math.max(0, Math.min(1, progress / 100)) : 0,
+        layer: layers,
+        temps: {
+            hotend: parseTempEntry({ temperature: printer.temp_nozzle, target: printer.target_nozzle }),
+            bed: parseTempEntry({ temperature: printer.temp_bed, target: printer.target_bed }),
+            chamber: null
+        },
+        printDuration: printTime,
+        elapsed: printTime,
+        remaining,
+        slicerTotal: parseSlicerDuration(meta['estimated printing time (normal mode)']) ?? (printTime !== null && remaining !== null ? printTime + remaining : null),
+        material: materialFromMetadata({
+            filament_type: meta.filament_type,
+            filament_total: meta['filament used [mm]'],
+            filament_weight_total: meta['filament used [g]']
+        }),
+        motion: null,
+        debug: {
+            prusalinkState: rawState,
+            axisZ: printer.axis_z,
+            speedFactor: printer.speed,
+            flowFactor: printer.flow
+        }
+    };
+}
+
+/**
+ * Test: Digest challenge header parsing
+ */
+function test_digest_challenge_parsing() {
+    console.log('TEST: Digest WWW-Authenticate challenge parsing');
+    
+    // Arrange
+    const header = 'Digest realm="Printer API", nonce="dcd98b7102dd2f0e", qop="auth", algorithm=MD5';
+    function parseDigestChallenge(header) {
+        if (!header || !/^\s*digest\s/i.test(header)) return null;
+        const challenge = {};
+        const regex = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+        let match;
+        while ((match = regex.exec(header)) !== null) {
+            challenge[match[1].toLowerCase()] = match[2] ?? match[3];
+        }
+        return challenge.nonce ? challenge : null;
+    }
+    
+    // Act
+    const challenge = parseDigestChallenge(header);
+    
+    // Assert
+    assertEqual(challenge.realm, 'Printer API', 'Should read quoted realm with spaces');
+    assertEqual(challenge.nonce, 'dcd98b7102dd2f0e', 'Should read nonce');
+    assertEqual(challenge.qop, 'auth', 'Should read qop');
+    assertEqual(challenge.algorithm, 'MD5', 'Should read unquoted values');
+    assertEqual(parseDigestChallenge('Basic realm="x"'), null, 'Should ignore non-digest challenges');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Digest response matches the RFC 2617 example
+ */
+function test_digest_response_rfc2617() {
+    console.log('TEST: Digest response matches RFC 2617 example');
+    
+    // Arrange - RFC 2617 section 3.5 example values
+    const challenge = { realm: 'testrealm@host.com', nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093', qop: 'auth,auth-int' };
+    function md5(str) {
+        const bytes = new TextEncoder().encode(str);
+        const words = new Array(((bytes.length + 8) >> 6) * 16 + 16).fill(0);
+        for (let i = 0; i < bytes.length; i++) words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+        words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8);
+        words[words.length - 2] = bytes.length * 8;
+
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = [];
+        for (let i = 0; i < 64; i++) constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+
+        let a0 = 0x67452301, b0 = 0xefcdab89 | 0, c0 = 0x98badcfe | 0, d0 = 0x10325476;
+        for (let block = 0; block < words.length; block += 16) {
+            let a = a0, b = b0, c = c0, d = d0;
+            for (let i = 0; i < 64; i++) {
+                const round = i >> 4;
+                let f, g;
+                if (round === 0) { f = (b & c) | (~b & d); g = i; }
+                else if (round === 1) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+                else if (round === 2) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+                else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+
+                const shift = shifts[round * 4 + (i % 4)];
+                const sum = (a + f + constants[i] + words[block + g]) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+            a0 = (a0 + a) | 0;
+            b0 = (b0 + b) | 0;
+            c0 = (c0 + c) | 0;
+            d0 = (d0 + d) | 0;
+        }
+
+        return [a0, b0, c0, d0]
+            .map(n => [0, 8, 16, 24].map(s => ((n >>> s) & 0xff).toString(16).padStart(2, '0')).join(''))
+            .join('');
+    }
+
+    function buildDigestAuthorization(challenge, username, password, method, uri, count) {
+        const nc = count.toString(16).padStart(8, '0');
+        const cnonce = Math.random().toString(16).slice(2, 18);
+        const qop = challenge.qop ? challenge.qop.split(',').map(q => q.trim()).find(q => q === 'auth') : null;
+
+        const ha1 = md5(`${username}:${challenge.realm}:${password}`);
+        const ha2 = md5(`${method}:${uri}`);
+        const response = qop
+            ? md5(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : md5(`${ha1}:${challenge.nonce}:${ha2}`);
+
+        const parts = [
+            `username="${username}"`,
+            `realm="${challenge.realm}"`,
+            `nonce="${challenge.nonce}"`,
+            `uri="${uri}"`,
+            `response="${response}"`
+        ];
+        if (challenge.opaque) parts.push(`opaque="${challenge.opaque}"`);
+        if (challenge.algorithm) parts.push(`algorithm=${challenge.algorithm}`);
+        if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+        return `Digest ${parts.join(', ')}`;
+    }
+    
+    // Act
+    const ha1 = md5(`Mufasa:${challenge.realm}:Circle Of Life`);
+    const ha2 = md5('GET:/dir/index.html');
+    const header = buildDigestAuthorization(challenge, 'Mufasa', 'Circle Of Life', 'GET', '/dir/index.html', 1);
+    const field = (name) => header.match(new RegExp(`${name}="?([^",]*)`))[1];
+    
+    // Assert
+    assertEqual(md5(`${ha1}:${challenge.nonce}:00000001:0a4f113b:auth:${ha2}`), '6629fae49393a05397450978507c4ef1', 'Should match the RFC 2617 response');
+    assertEqual(field('nc'), '00000001', 'Should zero-pad nonce count to 8 hex digits');
+    assertEqual(field('qop'), 'auth', 'Should pick auth from the offered qop list');
+    assertEqual(field('response'), md5(`${ha1}:${challenge.nonce}:00000001:${field('cnonce')}:auth:${ha2}`), 'Should sign with the sent cnonce');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: PrusaLink printer states map to normalized states
+ */
+function test_prusalink_state_mapping() {
+    console.log('TEST: PrusaLink states map to normalized states');
+    
+    // Arrange
+    const mapState = (raw) => normalizePrusaLinkStatus({ printer: { state: raw } }, null).state;
+    
+    // Act & Assert
+    assertEqual(mapState('PRINTING'), 'printing', 'PRINTING → printing');
+    assertEqual(mapState('FINISHED'), 'complete', 'FINISHED → complete');
+    assertEqual(mapState('STOPPED'), 'cancelled', 'STOPPED → cancelled');
+    assertEqual(mapState('IDLE'), 'standby', 'IDLE → standby');
+    assertEqual(mapState(undefined), 'standby', 'Missing state → standby');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// POLL SCHEDULER TESTS
+// ============================================================================
+
+/**
+ * Test: Poll delay adapts to printer state and backs off on failures
+ */
+function test_poll_delay_adaptive() {
+    console.log('TEST: Poll delay adapts to state and failures');
+    
+    // Arrange
+    const settings = { printingInterval: 750, idleInterval: 5000 };
+    let apiRetryCount = 0;
+    let lastPolledState = null;
+    function nextPollDelay() {
+        if (apiRetryCount > 0) return Math.min(2000 * Math.pow(2, apiRetryCount - 1), 30000);
+        return lastPolledState === 'printing' || lastPolledState === 'paused' ? settings.printingInterval : settings.idleInterval;
+    }
+    const delay = (state, retries) => {
+        lastPolledState = state;
+        apiRetryCount = retries;
+        return nextPollDelay();
+    };
+    
+    // Act & Assert
+    assertEqual(delay('printing', 0), 750, 'Should poll fast while printing');
+    assertEqual(delay('paused', 0), 750, 'Should poll fast while paused');
+    assertEqual(delay('standby', 0), 5000, 'Should poll slowly while idle');
+    assertEqual(delay('printing', 1), 2000, 'Should back off to 2s after first failure');
+    assertEqual(delay('printing', 4), 16000, 'Should double on each failure');
+    assertEqual(delay('printing', 5), 30000, 'Should cap backoff at 30s');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Single-flight guard never runs overlapping polls
+ */
+function test_poll_single_flight() {
+    console.log('TEST: Poll loop never overlaps requests');
+    
+    // Arrange - A status fetch that stays in flight until finish() is called
+    let pollActive = true;
+    let pollInFlight = false;
+    let pollTimer = null;
+    let started = 0;
+    let finish = null;
+    const fetchPrintStatus = () => {
+        started++;
+        return new Promise(resolve => { finish = resolve; });
+    };
+    const nextPollDelay = () => 750;
+    const setTimeout = () => 'timer';
+    async function runPoll() {
+        pollTimer = null;
+        if (!pollActive || pollInFlight) return;
+
+        pollInFlight = true;
+        try {
+            await fetchPrintStatus();
+        } finally {
+            pollInFlight = false;
+        }
+
+        if (pollActive && !pollTimer) pollTimer = setTimeout(runPoll, nextPollDelay());
+    }
+    
+    // Act - Timer ticks while the first poll is still waiting on the printer
+    runPoll();
+    runPoll();
+    runPoll();
+    const inFlight = pollInFlight;
+    finish();
+    pollActive = false;
+    pollInFlight = false;
+    runPoll();
+    
+    // Assert
+    assertEqual(started, 1, 'Should skip ticks while a poll is in flight');
+    assertEqual(inFlight, true, 'Should mark the poll as in flight');
+    assertEqual(pollTimer, null, 'Should not schedule the next poll before the fetch settled');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// FARM DASHBOARD TESTS
+// ============================================================================
+
+/**
+ * Test: Printer sessions key shared cache entries by their own printer
+ */
+function test_printer_sessions_isolated() {
+    console.log('TEST: Printer sessions do not share cache entries');
+    
+    // Arrange - fileCacheKey() lives in each createPrinterSession() closure
+    const createSession = (settings) => {
+        function fileCacheKey(filename) {
+            return `${settings.baseUrl}|${normalizeFilename(filename)}`;
+        }
+
+        function normalizeFilename(filename) {
+            if (!filename) return null;
+            return filename;
+        }
+        return { fileCacheKey };
+    };
+    const a = createSession({ baseUrl: 'http://voron.local' });
+    const b = createSession({ baseUrl: 'http://ender.local' });
+    
+    // Act
+    const keyA = a.fileCacheKey('benchy.gcode');
+    const keyB = b.fileCacheKey('benchy.gcode');
+    
+    // Assert
+    assertEqual(keyA, 'http://voron.local|benchy.gcode', 'Should key the file by printer A');
+    assertEqual(keyA === keyB, false, 'Should keep the same file on printer B apart');
+    console.log('✓ PASS\n');
+}
+
+// Copied from print-progress.js
+function parsePrinterKeys(value) {
+    return String(value || '')
+        .split(',')
+        .map(key => key.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Test: ?printers= limits and orders farm cards
+ */
+function test_farm_printer_selection() {
+    console.log('TEST: Farm ?printers= selects and orders printers');
+    
+    // Arrange
+    const list = [{ id: 'voron' }, { id: 'ender' }, { name: 'MK4' }];
+    function selectConfig(list, key) {
+        if (!key) return null;
+        const lowerKey = key.toLowerCase();
+        return list.find(cfg => {
+            const id = String(cfg.id || cfg.name || cfg.label || '').toLowerCase();
+            return id === lowerKey;
+        }) || null;
+    }
+
+    function selectPrinters(list, keys) {
+        if (!keys.length) return list;
+        return keys.map(key => selectConfig(list, key)).filter(Boolean);
+    }
+    const select = (param) => selectPrinters(list, parsePrinterKeys(param));
+    
+    // Act & Assert
+    assertEqual(select('').length, 3, 'Should show every printer without ?printers=');
+    assertEqual(select('mk4, Voron').map(c => c.id || c.name).join(','), 'MK4,voron', 'Should keep the requested order');
+    assertEqual(select('mk4,missing').length, 1, 'Should skip unknown printer ids');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Farm cards look up elements by data-field instead of id
+ */
+function test_card_view_lookup() {
+    console.log('TEST: Card view resolves data-field selectors');
+    
+    // Arrange
+    const selectors = [];
+    const card = { querySelector: (sel) => { selectors.push(sel); return { sel }; } };
+    function createCardView(card) {
+        return {
+            root: card,
+            el: id => card.querySelector(`[data-field="${id}"]`)
+        };
+    }
+    const view = createCardView(card);
+    
+    // Act
+    const el = view.el('hotendTemp');
+    
+    // Assert
+    assertEqual(el.sel, '[data-field="hotendTemp"]', 'Should query the card by data-field');
+    assertEqual(selectors.length, 1, 'Should only search inside the card');
+    assertEqual(view.root, card, 'Should keep the card as the view root');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// CAROUSEL TESTS
+// ============================================================================
+
+/**
+ * Test: Carousel rotates through printing printers first
+ */
+function test_carousel_printing_priority() {
+    console.log('TEST: Carousel prefers printers that are printing');
+    
+    // Arrange
+    function nextCarouselIndex(states, current) {
+        const all = states.map((_, index) => index);
+        const printing = all.filter(index => states[index] === 'printing');
+        const pool = printing.length ? printing : all;
+        return pool.find(index => index > current) ?? pool[0];
+    }
+    
+    // Act & Assert
+    assertEqual(nextCarouselIndex(['standby', 'printing', 'standby', 'printing'], 1), 3, 'Should skip idle printers');
+    assertEqual(nextCarouselIndex(['standby', 'printing', 'standby', 'printing'], 3), 1, 'Should wrap around to the first printing printer');
+    assertEqual(nextCarouselIndex(['standby', 'printing', 'complete'], 2), 1, 'Should leave a finished printer for a printing one');
+    assertEqual(nextCarouselIndex(['standby', 'printing', 'standby'], 1), 1, 'Should stay on the only printing printer');
+    assertEqual(nextCarouselIndex(['standby', 'standby', 'standby'], 2), 0, 'Should cycle through all printers when none print');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Carousel jumps to printers that just finished or errored
+ */
+function test_carousel_jump_on_state_change() {
+    console.log('TEST: Carousel jumps to finished or errored printers');
+    
+    // Arrange
+    const CAROUSEL_JUMP_STATES = ['complete', 'error'];
+
+    function shouldJumpToPrinter(previous, state) {
+        return Boolean(previous) && previous !== state && CAROUSEL_JUMP_STATES.includes(state);
+    }
+    
+    // Act & Assert
+    assertEqual(shouldJumpToPrinter('printing', 'complete'), true, 'Should jump when a print finishes');
+    assertEqual(shouldJumpToPrinter('printing', 'error'), true, 'Should jump when a printer errors');
+    assertEqual(shouldJumpToPrinter('complete', 'complete'), false, 'Should not jump again while still complete');
+    assertEqual(shouldJumpToPrinter(null, 'complete'), false, 'Should not jump on the first status after loading');
+    assertEqual(shouldJumpToPrinter('standby', 'printing'), false, 'Should not jump when a print starts');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: ?printers= list parsing
+ */
+function test_parse_printer_keys() {
+    console.log('TEST: ?printers= is split into lowercase ids');
+    
+    // Act & Assert
+    assertEqual(parsePrinterKeys('Voron, mk4,,ender').join('|'), 'voron|mk4|ender', 'Should trim, lowercase and drop empty ids');
+    assertEqual(parsePrinterKeys(null).length, 0, 'Should handle a missing parameter');
+    assertEqual(parsePrinterKeys('voron').length, 1, 'Should keep a single id (normal overlay)');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// SLICER METADATA TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function listNumber(value) {
+    if (value === undefined || value === null) return null;
+    const match = String(value).match(/-?\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+function parseFirstLayerHeight(value, layerHeight) {
+    if (value === undefined || value === null) return null;
+    const str = String(value).trim();
+    if (str.endsWith('%')) {
+        const percent = asNumber(str.slice(0, -1));
+        return percent !== null && layerHeight ? layerHeight * percent / 100 : null;
+    }
+    return listNumber(str);
+}
+
+function readCommentValues(text) {
+    const values = {};
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const match = rawLine.match(/^;\s*([^=:;]+?)\s*[=:]\s*(.*?)\s*$/);
+        if (match) values[match[1].toLowerCase()] = match[2];
+    }
+    return values;
+}
+
+function parsePrusaSlicerMetadata(head, tail) {
+    const values = readCommentValues(`${head}\n${tail}`);
+    const headerTime = `${head}\n${tail}`.match(/total estimated time:\s*([^;\r\n]+)/i);
+
+    const layerHeight = listNumber(values.layer_height);
+    return {
+        layer_height: layerHeight,
+        first_layer_height: parseFirstLayerHeight(values.first_layer_height ?? values.initial_layer_print_height, layerHeight),
+        layer_count: listNumber(values['total layer number'] ?? values['total layers count']),
+        object_height: listNumber(values.max_layer_z ?? values.max_z_height),
+        estimated_time: parseSlicerDuration(values['estimated printing time (normal mode)'] ?? headerTime?.[1]),
+        nozzle_diameter: listNumber(values.nozzle_diameter),
+        filament_type: values.filament_type || null,
+        filament_name: firstListValue(values.filament_settings_id),
+        filament_colors: String(values.filament_colour || '').split(/[;,]/).map(c => c.trim()).filter(c => /^#[0-9a-f]{6}$/i.test(c)),
+        filament_total: values['total filament length [mm]'] !== undefined
+            ? listNumber(values['total filament length [mm]'])
+            : sumList(values['filament used [mm]']),
+        filament_weight_total: listNumber(values['total filament used [g]'] ?? values['total filament weight [g]']) ?? sumList(values['filament used [g]'])
+    };
+}
+
+function formatNumber(locale, value, fractionDigits = 0) {
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+/**
+ * Test: Slicer is detected from the G-code banner
+ */
+function test_detect_slicer_banner() {
+    console.log('TEST: Detect slicer from G-code banner');
+    
+    // Arrange
+    function detectSlicer(head) {
+        const banner = head.split(/\r?\n/).slice(0, 40).join('\n');
+        const patterns = [
+            { regex: /generated by (SuperSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /generated by (OrcaSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /generated by (PrusaSlicer)\s+([\w.+-]+)?/i, family: 'prusaslicer' },
+            { regex: /(BambuStudio)\s+([\d.]+)?/i, family: 'prusaslicer' },
+            { regex: /Generated with (Cura)_SteamEngine\s+([\w.+-]+)?/i, family: 'cura' },
+            { regex: /generated by (Simplify3D)\(R\)(?:\s+Version\s+([\w.]+))?/i, family: 'simplify3d' }
+        ];
+
+        for (const { regex, family } of patterns) {
+            const match = banner.match(regex);
+            if (match) return { name: match[1], version: match[2] || null, family };
+        }
+        if (/^;FLAVOR:/m.test(banner)) return { name: 'Cura', version: null, family: 'cura' };
+        return null;
+    }
+    const detect = (head) => {
+        const slicer = detectSlicer(head);
+        return slicer && `${slicer.name}|${slicer.version || ''}|${slicer.family}`;
+    };
+    
+    // Act & Assert
+    assertEqual(detect('; generated by PrusaSlicer 2.6.1+win64 on 2023-10-01'), 'PrusaSlicer|2.6.1+win64|prusaslicer', 'Should detect PrusaSlicer');
+    assertEqual(detect('; generated by OrcaSlicer 2.0.0 on 2024-05-01'), 'OrcaSlicer|2.0.0|prusaslicer', 'Should detect OrcaSlicer');
+    assertEqual(detect('; HEADER_BLOCK_START\n; BambuStudio 01.08.00.57'), 'BambuStudio|01.08.00.57|prusaslicer', 'Should detect Bambu Studio');
+    assertEqual(detect(';FLAVOR:Marlin\n;Generated with Cura_SteamEngine 5.4.0'), 'Cura|5.4.0|cura', 'Should detect Cura');
+    assertEqual(detect('; G-Code generated by Simplify3D(R) Version 4.1.2'), 'Simplify3D|4.1.2|simplify3d', 'Should detect Simplify3D');
+    assertEqual(detect('; some other slicer'), null, 'Should fall back to the generic parser');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Slicer durations are converted to seconds
+ */
+function test_parse_slicer_duration() {
+    console.log('TEST: Parse slicer-specific duration formats');
+    
+    // Act & Assert
+    assertEqual(parseSlicerDuration('1d 2h 3m 4s'), 93784, 'Should parse PrusaSlicer days');
+    assertEqual(parseSlicerDuration('1h 10m 5s'), 4205, 'Should parse Orca header time');
+    assertEqual(parseSlicerDuration('1 hours 23 minutes'), 4980, 'Should parse Simplify3D build time');
+    assertEqual(parseSlicerDuration('6523'), 6523, 'Should keep Cura seconds');
+    assertEqual(parseSlicerDuration('n/a'), null, 'Should return null for unknown formats');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Config block at the end of the file overrides the head
+ */
+function test_prusaslicer_tail_config() {
+    console.log('TEST: PrusaSlicer config block is read from the file tail');
+    
+    // Arrange
+    const head = '; generated by PrusaSlicer 2.6.1\n; layer_height = 0.3\nG28';
+    const tail = '; filament used [mm] = 3210.55\n; total filament used [g] = 9.57\n; prusaslicer_config = begin\n; layer_height = 0.15\n; filament_type = PETG\n; filament_colour = #FF8000\n; prusaslicer_config = end';
+    function formatMaterial(material, locale) {
+        const parts = [];
+        const label = material.type || material.name;
+        if (label) parts.push(label);
+        if (material.length > 0) parts.push(`${formatNumber(locale, material.length / 1000, 1)} m`);
+        if (material.weight > 0) parts.push(`${formatNumber(locale, material.weight, material.weight >= 100 ? 0 : 1)} g`);
+        return parts.join(' \u00B7 ') || '--';
+    }
+    
+    // Act
+    const meta = parsePrusaSlicerMetadata(head, tail);
+    const material = materialFromMetadata(meta);
+    
+    // Assert
+    assertEqual(meta.layer_height, 0.15, 'Should prefer the config block value');
+    assertEqual(material.color, '#FF8000', 'Should read the filament colour');
+    assertEqual(formatMaterial(material, 'en-US'), 'PETG · 3.2 m · 9.6 g', 'Should format the material chip');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// THUMBNAIL TESTS
+// ============================================================================
+
+/**
+ * Test: Smallest thumbnail that covers the display size wins
+ */
+function test_pick_thumbnail_best_fit() {
+    console.log('TEST: Pick best-fitting thumbnail for the display size');
+    
+    // Arrange
+    function pickThumbnail(thumbnails, target) {
+        if (!thumbnails || !thumbnails.length) return null;
+        const width = target?.width || 150;
+        const height = target?.height || 180;
+        const bySize = [...thumbnails].sort((a, b) => (a.width * a.height) - (b.width * b.height));
+        return bySize.find(thumb => thumb.width >= width && thumb.height >= height) || bySize[bySize.length - 1];
+    }
+    const thumbnails = [
+        { width: 600, height: 600 },
+        { width: 32, height: 32 },
+        { width: 300, height: 300 }
+    ];
+    
+    // Act & Assert
+    assertEqual(pickThumbnail(thumbnails, { width: 150, height: 180 }).width, 300, 'Should pick the smallest covering thumbnail');
+    assertEqual(pickThumbnail(thumbnails, { width: 300, height: 360 }).width, 600, 'Should step up for high-DPI displays');
+    assertEqual(pickThumbnail(thumbnails, { width: 2000, height: 2000 }).width, 600, 'Should fall back to the largest');
+    assertEqual(pickThumbnail([], { width: 150, height: 180 }), null, 'Should return null without thumbnails');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: PNG, JPG and QOI thumbnail blocks are found; cut-off blocks have no data
+ */
+function test_parse_thumbnail_blocks() {
+    console.log('TEST: Parse embedded thumbnail blocks by format');
+    
+    // Arrange
+    const text = [
+        '; thumbnail begin 16x16 8', '; AAAA', '; BBBB', '; thumbnail end', ';',
+        '; thumbnail_QOI begin 300x300 4', '; QQQQ', '; thumbnail_QOI end', ';',
+        '; thumbnail_JPG begin 400x300 99999', '; JJJJ'
+    ].join('\n');
+    function parseThumbnailBlocks(text) {
+        const blocks = [];
+        const regex = /; thumbnail(?:_(PNG|JPG|QOI))? begin (\d+)x(\d+) (\d+)/g;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const body = match.index + match[0].length;
+            const endIndex = text.indexOf(`; thumbnail${match[1] ? `_${match[1]}` : ''} end`, body);
+            blocks.push({
+                format: match[1] || 'PNG',
+                width: Number(match[2]),
+                height: Number(match[3]),
+                length: Number(match[4]),
+                start: match.index,
+                data: endIndex === -1 ? null : text.slice(body, endIndex)
+                    .split(/\r?\n/)
+                    .map(line => line.trim().replace(/^;/, '').trim())
+                    .join('')
+            });
+        }
+        return blocks;
+    }
+    
+    // Act
+    const blocks = parseThumbnailBlocks(text);
+    
+    // Assert
+    assertEqual(blocks.length, 3, 'Should find all three blocks');
+    assertEqual(blocks[0].format + ':' + blocks[0].data, 'PNG:AAAABBBB', 'Should join the PNG base64 lines');
+    assertEqual(blocks[1].format + ':' + blocks[1].data, 'QOI:QQQQ', 'Should match the QOI end tag');
+    assertEqual(blocks[2].data, null, 'Should mark a block cut off by the range read');
+    assertEqual(blocks[2].length, 99999, 'Should keep the length for the follow-up read');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: QOI thumbnails decode to RGBA pixels
+ */
+function test_decode_qoi() {
+    console.log('TEST: Decode QOI thumbnail pixels');
+    
+    // Arrange - 3x1 image: RGBA op, RUN of 1, DIFF (+1,-1,+0)
+    const bytes = Uint8Array.from([
+        0x71, 0x6f, 0x69, 0x66, 0, 0, 0, 3, 0, 0, 0, 1, 4, 0,
+        0xff, 10, 20, 30, 255,
+        0xc0,
+        0x40 | (3 << 4) | (1 << 2) | 2,
+        0, 0, 0, 0, 0, 0, 0, 1
+    ]);
+    function decodeQoi(bytes) {
+        if (bytes.length < 22 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'qoif') return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const width = view.getUint32(4);
+        const height = view.getUint32(8);
+        if (!width || !height || width > 4096 || height > 4096) return null;
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        const index = new Uint8Array(64 * 4);
+        const end = bytes.length - 8;  // 8-byte end marker
+        let r = 0, g = 0, b = 0, a = 255;
+        let pos = 14;
+        let run = 0;
+
+        for (let px = 0; px < pixels.length; px += 4) {
+            if (run > 0) {
+                run--;
+            } else if (pos < end) {
+                const b1 = bytes[pos++];
+                if (b1 === 0xfe) {
+                    r = bytes[pos++]; g = bytes[pos++]; b = bytes[pos++];
+                } else if (b1 === 0xff) {
+                    r = bytes[pos++]; g = bytes[pos++]; b = bytes[pos++]; a = bytes[pos++];
+                } else if ((b1 & 0xc0) === 0x00) {
+                    const i = b1 * 4;
+                    r = index[i]; g = index[i + 1]; b = index[i + 2]; a = index[i + 3];
+                } else if ((b1 & 0xc0) === 0x40) {
+                    r = (r + ((b1 >> 4) & 0x03) - 2) & 0xff;
+                    g = (g + ((b1 >> 2) & 0x03) - 2) & 0xff;
+                    b = (b + (b1 & 0x03) - 2) & 0xff;
+                } else if ((b1 & 0xc0) === 0x80) {
+                    const b2 = bytes[pos++];
+                    const dg = (b1 & 0x3f) - 32;
+                    r = (r + dg - 8 + ((b2 >> 4) & 0x0f)) & 0xff;
+                    g = (g + dg) & 0xff;
+                    b = (b + dg - 8 + (b2 & 0x0f)) & 0xff;
+                } else {
+                    run = b1 & 0x3f;
+                }
+                const hash = ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4;
+                index[hash] = r; index[hash + 1] = g; index[hash + 2] = b; index[hash + 3] = a;
+            }
+            pixels[px] = r; pixels[px + 1] = g; pixels[px + 2] = b; pixels[px + 3] = a;
+        }
+
+        return { width, height, pixels };
+    }
+    
+    // Act
+    const image = decodeQoi(bytes);
+    const pixels = [];
+    for (let px = 0; px < image.pixels.length; px += 4) pixels.push(image.pixels.slice(px, px + 4).join(','));
+    
+    // Assert
+    assertEqual(image.width, 3, 'Should read the big-endian width');
+    assertEqual(pixels.join(' '), '10,20,30,255 10,20,30,255 11,19,30,255', 'Should decode RGBA, RUN and DIFF ops');
+    assertEqual(decodeQoi(bytes.slice(0, 20)), null, 'Should reject a truncated file');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// PERSISTENT CACHE TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function createPersistentCache(storage, { prefix, maxChars, maxEntries }) {
+    const indexKey = `${prefix}index`;
+
+    function readIndex() {
+        try {
+            const index = JSON.parse(storage.getItem(indexKey));
+            return Array.isArray(index) ? index : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function writeIndex(index) {
+        try {
+            storage.setItem(indexKey, JSON.stringify(index));
+        } catch {
+            // the entries are still readable; the index is rebuilt as they are used
+        }
+    }
+
+    function dropOldest(index) {
+        const oldest = index.shift();
+        if (oldest) storage.removeItem(prefix + oldest.key);
+    }
+
+    // Entries another overlay wrote without getting to update the index would never be evicted
+    if (storage) {
+        const known = new Set(readIndex().map(item => prefix + item.key));
+        for (let i = storage.length - 1; i >= 0; i--) {
+            const key = storage.key(i);
+            if (key && key.startsWith(prefix) && key !== indexKey && !known.has(key)) storage.removeItem(key);
+        }
+    }
+
+    return {
+        get(key) {
+            if (!storage) return null;
+            try {
+                const raw = storage.getItem(prefix + key);
+                const index = readIndex().filter(item => item.key !== key);
+                if (raw !== null) index.push({ key, size: raw.length });
+                writeIndex(index);
+                return raw === null ? null : JSON.parse(raw);
+            } catch {
+                return null;
+            }
+        },
+
+        // Returns false when the entry is too large to keep (an older value stays)
+        set(key, value) {
+            if (!storage) return false;
+            const raw = JSON.stringify(value);
+            if (raw.length > maxChars / 4) return false;
+
+            const index = readIndex().filter(item => item.key !== key);
+            let total = index.reduce((sum, item) => sum + (item.size || 0), raw.length);
+            while (index.length && (total > maxChars || index.length >= maxEntries)) {
+                total -= index[0].size || 0;
+                dropOldest(index);
+            }
+
+            for (;;) {
+                try {
+                    storage.setItem(prefix + key, raw);
+                    break;
+                } catch {
+                    if (!index.length) {
+                        writeIndex(index);
+                        return false;
+                    }
+                    dropOldest(index);
+                }
+            }
+            index.push({ key, size: raw.length });
+            writeIndex(index);
+            return true;
+        },
+
+        remove(key) {
+            if (!storage) return;
+            storage.removeItem(prefix + key);
+            writeIndex(readIndex().filter(item => item.key !== key));
+        }
+    };
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createTestStorage() {
+    const items = new Map();
+    return {
+        items,
+        get length() { return items.size; },
+        key: i => [...items.keys()][i] ?? null,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        entryCount: prefix => [...items.keys()].filter(key => key.startsWith(prefix) && key !== `${prefix}index`).length
+    };
+}
+
+/**
+ * Test: Least recently used entry is evicted first
+ */
+function test_cache_lru_eviction() {
+    console.log('TEST: Persistent cache evicts least recently used entry');
+    
+    // Arrange
+    const storage = createTestStorage();
+    const cache = createPersistentCache(storage, { prefix: 'test:', maxChars: 100000, maxEntries: 3 });
+    cache.set('a', { n: 1 });
+    cache.set('b', { n: 2 });
+    cache.set('c', { n: 3 });
+    
+    // Act - reading "a" makes "b" the oldest
+    cache.get('a');
+    cache.set('d', { n: 4 });
+    
+    // Assert
+    assertEqual(storage.items.has('test:b'), false, 'Should evict the least recently used entry');
+    assertEqual(cache.get('a').n, 1, 'Should keep the entry that was just read');
+    assertEqual(storage.entryCount('test:'), 3, 'Should stay within maxEntries');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Size cap evicts old entries and refuses oversized ones
+ */
+function test_cache_size_cap() {
+    console.log('TEST: Persistent cache respects the size cap');
+    
+    // Arrange
+    const storage = createTestStorage();
+    const cache = createPersistentCache(storage, { prefix: 'test:', maxChars: 1000, maxEntries: 50 });
+    const thumbnail = 'Q'.repeat(200);
+    
+    // Act - five 210-character entries don't fit in 1000
+    ['e1', 'e2', 'e3', 'e4', 'e5'].forEach(key => cache.set(key, { src: thumbnail }));
+    const stored = cache.set('huge', { src: 'Q'.repeat(300) });
+    
+    // Assert
+    assertEqual(storage.items.has('test:e1'), false, 'Should evict the oldest entry to make room');
+    assertEqual(storage.entryCount('test:'), 4, 'Should keep the newer entries');
+    assertEqual(stored, false, 'Should refuse an entry larger than a quarter of the cap');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Cached entries are only reused for the same file version
+ */
+function test_cache_file_stamp() {
+    console.log('TEST: File stamp decides whether a cache entry is still valid');
+    
+    // Arrange
+    function fileStampFromResponse(response) {
+        const range = response.headers.get('content-range');  // "bytes 0-65535/1234567"
+        const size = Number(range ? range.split('/')[1] : response.headers.get('content-length'));
+        const modified = response.headers.get('last-modified');
+        return modified && size ? { modified, size } : null;
+    }
+
+    function sameFileStamp(a, b) {
+        return !!a && !!b && String(a.modified) === String(b.modified) && Number(a.size) === Number(b.size);
+    }
+    const fromHeaders = (headers) => fileStampFromResponse({ headers: new Map(Object.entries(headers)) });
+    const cached = { modified: 1700000000.5, size: 4096 };
+    
+    // Act
+    const ranged = fromHeaders({ 'content-range': 'bytes 0-65535/1234567', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+    
+    // Assert
+    assertEqual(ranged.size, 1234567, 'Should read the full size from Content-Range');
+    assertEqual(fromHeaders({ 'content-length': '10' }), null, 'Should need Last-Modified to build a stamp');
+    assertEqual(sameFileStamp(cached, { modified: 1700000000.5, size: '4096' }), true, 'Should reuse an unchanged file');
+    assertEqual(sameFileStamp(cached, { modified: 1700000999.1, size: 4096 }), false, 'Should drop a re-uploaded file');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// FILENAME PATTERN TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+const DEFAULT_FILENAME_PATTERNS = [
+    { name: 'layer height', pattern: '[_\\s.](?<layer_height>0\\.\\d+)(?=[_\\s.]|mm|$)' },
+    { name: 'print time', pattern: '(?:^|[_\\s.-])(?<estimated_time>\\d+d(?:\\d+h)?(?:\\d+m)?|\\d+h(?:\\d+m)?|\\d+m)(?=[_\\s.-]|$)' }
+];
+
+const FILENAME_PATTERN_GROUPS = ['layer_height', 'estimated_time', 'material', 'nozzle_diameter', 'object'];
+
+function compileFilenamePatterns(list) {
+    const patterns = [];
+    const errors = [];
+
+    if (!Array.isArray(list)) {
+        return { patterns, errors: ['filenamePatterns must be an array of patterns'] };
+    }
+
+    list.forEach((entry, index) => {
+        const spec = typeof entry === 'string' ? { pattern: entry } : (entry || {});
+        const name = spec.name || `pattern ${index + 1}`;
+        if (typeof spec.pattern !== 'string' || !spec.pattern) {
+            errors.push(`filenamePatterns[${index}] needs a "pattern" string`);
+            return;
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(spec.pattern, spec.flags ?? 'i');
+        } catch (err) {
+            errors.push(`filenamePatterns[${index}] (${name}) is not a valid regex: ${err.message}`);
+            return;
+        }
+
+        const groups = [...spec.pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(match => match[1]);
+        const unknown = groups.filter(group => !FILENAME_PATTERN_GROUPS.includes(group));
+        if (!groups.length || unknown.length) {
+            errors.push(`filenamePatterns[${index}] (${name}) needs named groups from: ${FILENAME_PATTERN_GROUPS.join(', ')}` +
+                (unknown.length ? ` (unknown: ${unknown.join(', ')})` : ''));
+            return;
+        }
+
+        patterns.push({ name, regex });
+    });
+
+    return { patterns, errors };
+}
+
+function matchFilenamePatterns(filename, patterns) {
+    const values = {};
+    const matched = [];
+    const baseName = String(filename || '').split('/').pop();
+
+    for (const { name, regex } of patterns || []) {
+        const groups = baseName.match(regex)?.groups;
+        if (!groups) continue;
+
+        let used = false;
+        for (const [key, raw] of Object.entries(groups)) {
+            if (raw === undefined || values[key] !== undefined) continue;
+            const value = filenameGroupValue(key, raw);
+            if (value === null) continue;
+            values[key] = value;
+            used = true;
+        }
+        if (used) matched.push(name);
+    }
+
+    return { values, matched };
+}
+
+function filenameGroupValue(key, raw) {
+    const text = String(raw).trim();
+    if (!text) return null;
+
+    if (key === 'layer_height') {
+        const height = Number(text.replace(',', '.'));
+        return height >= 0.01 && height <= 1.2 ? height : null;
+    }
+    if (key === 'nozzle_diameter') {
+        const nozzle = Number(text.replace(',', '.'));
+        return nozzle >= 0.1 && nozzle <= 2 ? nozzle : null;
+    }
+    if (key === 'estimated_time') {
+        const seconds = parseSlicerDuration(text);
+        return seconds > 0 ? seconds : null;
+    }
+    return text;  // material, object
+}
+
+/**
+ * Test: Built-in patterns read layer height and time tokens, not words
+ */
+function test_default_filename_patterns() {
+    console.log('TEST: Default filename patterns');
+    
+    // Arrange
+    const { patterns } = compileFilenamePatterns(DEFAULT_FILENAME_PATTERNS);
+    
+    // Act
+    const tokens = matchFilenamePatterns('gcodes/cube_0.2mm_1h46m.gcode', patterns);
+    const words = matchFilenamePatterns('my_model_12mm_frame.gcode', patterns);
+    
+    // Assert
+    assertEqual(tokens.values.layer_height, 0.2, 'Should read the layer height');
+    assertEqual(tokens.values.estimated_time, 6360, 'Should read the time token after the layer height');
+    assertEqual(tokens.matched.join(','), 'layer height,print time', 'Should report both patterns');
+    assertEqual(words.values.estimated_time, undefined, 'Should not read "12mm" or words as a time');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: A slicer output template maps named groups to metadata keys
+ */
+function test_custom_filename_pattern() {
+    console.log('TEST: Custom filename pattern from printers.json');
+    
+    // Arrange - Template {material}_{nozzle}n_{layer}mm_{time}.gcode
+    const { patterns } = compileFilenamePatterns([
+        { name: 'template', pattern: '^(?<material>[^_]+)_(?<nozzle_diameter>[\\d.]+)n_(?<layer_height>[\\d.]+)mm_(?<estimated_time>[\\dhms]+)\\.gcode$' }
+    ]);
+    
+    // Act
+    const result = matchFilenamePatterns('PETG_0.6n_0.3mm_3h12m.gcode', patterns);
+    
+    // Assert
+    assertEqual(result.values.material, 'PETG', 'Should read the material');
+    assertEqual(result.values.nozzle_diameter, 0.6, 'Should read the nozzle diameter');
+    assertEqual(result.values.layer_height, 0.3, 'Should read the layer height');
+    assertEqual(result.values.estimated_time, 11520, 'Should read the print time');
+    assertEqual(result.matched.join(','), 'template', 'Should report the matching pattern by name');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Invalid patterns are reported when the config loads
+ */
+function test_filename_pattern_validation() {
+    console.log('TEST: filenamePatterns validation');
+    
+    // Arrange
+    const check = (pattern) => compileFilenamePatterns([pattern]).errors[0] || 'ok';
+    
+    // Act & Assert
+    assertEqual(check('_(?<layer_height>0\\.\\d+)mm'), 'ok', 'Should accept a known group');
+    assertEqual(check('(?<layer_height>0\\.\\d+').includes('is not a valid regex'), true, 'Should reject an unterminated group');
+    assertEqual(check('_(?<layerheight>\\d)').endsWith('(unknown: layerheight)'), true, 'Should name a misspelled group');
+    assertEqual(check('_0\\.2_').includes('needs named groups'), true, 'Should reject a pattern without named groups');
+    assertEqual(compileFilenamePatterns('_0\\.2_').errors.length, 1, 'Should reject a value that is not a list');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// LAYER TRACKING TESTS
+// ============================================================================
+
+/**
+ * Test: Short Z rises (Z-hops) don't advance the layer
+ */
+function test_layer_tracker_ignores_z_hop() {
+    console.log('TEST: Layer tracker ignores Z-hops');
+    
+    // Arrange - lowest Z of the last 5s (at least 3 samples)
+    const LAYER_Z_WINDOW_MS = 5000;
+
+    function createLayerTracker() {
+        let samples = [];
+        let settledZ = null;
+        const rises = [];  // recent layer-to-layer steps of the settled Z
+
+        return {
+            update(z, now = Date.now()) {
+                if (typeof z !== 'number' || !Number.isFinite(z)) return settledZ;
+
+                samples.push({ z, time: now });
+                samples = samples.filter((sample, i) => now - sample.time <= LAYER_Z_WINDOW_MS || i >= samples.length - 3);
+
+                const lowest = Math.min(...samples.map(sample => sample.z));
+                if (settledZ !== null && lowest - settledZ > LAYER_Z_TOLERANCE * 2) {
+                    rises.push(lowest - settledZ);
+                    if (rises.length > 20) rises.shift();
+                }
+                settledZ = lowest;
+                return settledZ;
+            },
+
+            settled() {
+                return settledZ;
+            },
+
+            // Median step between layers once a few were seen (stands in for a missing layer_height)
+            layerHeight() {
+                if (rises.length < 3) return null;
+                const sorted = [...rises].sort((a, b) => a - b);
+                return sorted[Math.floor(sorted.length / 2)];
+            },
+
+            reset() {
+                samples = [];
+                settledZ = null;
+                rises.length = 0;
+            }
+        };
+    }
+    const tracker = createLayerTracker();
+    const settled = [];
+    
+    // Act - layer at 0.4mm with a 0.6mm hop every third sample, then layer 0.6mm
+    for (let t = 1; t <= 9; t++) settled.push(tracker.update(t % 3 === 0 ? 1.0 : 0.4, t * 1000));
+    for (let t = 10; t <= 16; t++) settled.push(tracker.update(t % 3 === 0 ? 1.2 : 0.6, t * 1000));
+    const paused = tracker.settled();  // while paused the head is parked and the tracker isn't fed
+    const resumed = tracker.update(0.6, 60000);
+    
+    // Assert
+    assertEqual(settled.slice(0, 9).every(z => z === 0.4), true, 'Should stay on 0.4mm through hops');
+    assertEqual(settled[settled.length - 1], 0.6, 'Should settle on the next layer once it holds');
+    assertEqual(settled.includes(1.0) || settled.includes(1.2), false, 'Should never report a hop height');
+    assertEqual(paused, 0.6, 'Should keep the layer Z through a pause');
+    assertEqual(resumed, 0.6, 'Should continue on the same layer after resuming');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Layer change markers from different slicers are collected across chunks
+ */
+function test_layer_marker_scan() {
+    console.log('TEST: Scan G-code layer change markers');
+    
+    // Arrange
+    function createLayerZScanner() {
+        const heights = new Set();
+        const markerRegex = /^(?:;Z:|; Z_HEIGHT: ?|; layer \d+, Z = )(-?[\d.]+)|^;LAYER:\d+|^G[01] [^;\n]*?Z(-?[\d.]+)/gm;
+        let carry = '';
+        let curaLayerPending = false;
+
+        function add(value) {
+            const z = Math.round(Number(value) * 1000) / 1000;
+            if (z > 0) heights.add(z);
+        }
+
+        function scan(text) {
+            markerRegex.lastIndex = 0;
+            let match;
+            while ((match = markerRegex.exec(text)) !== null) {
+                if (match[1] !== undefined) {
+                    add(match[1]);
+                } else if (match[0].startsWith(';LAYER:')) {
+                    curaLayerPending = true;
+                } else if (curaLayerPending) {
+                    add(match[2]);
+                    curaLayerPending = false;
+                }
+            }
+        }
+
+        return {
+            push(chunk) {
+                // scan whole lines only; the partial last line waits for the next chunk
+                const text = carry + chunk;
+                const end = text.lastIndexOf('\n');
+                carry = end === -1 ? text : text.slice(end + 1);
+                if (end !== -1) scan(text.slice(0, end));
+            },
+
+            finish() {
+                if (carry) scan(carry);
+                carry = '';
+                return [...heights].sort((a, b) => a - b);
+            }
+        };
+    }
+    const scanner = createLayerZScanner();
+    const gcode = ';LAYER_CHANGE\n;Z:0.2\nG1 Z0.8 ; hop\n; Z_HEIGHT: 0.3\n; layer 3, Z = 0.450\n;LAYER:3\nG0 F600 X1 Y1 Z0.6\nG1 Z1.2\n';
+    
+    // Act - feed 5-character chunks so markers straddle chunk boundaries
+    for (let i = 0; i < gcode.length; i += 5) scanner.push(gcode.slice(i, i + 5));
+    const sorted = scanner.finish();
+    
+    // Assert
+    assertEqual(sorted.join(','), '0.2,0.3,0.45,0.6', 'Should read Prusa, Orca, Simplify3D and Cura layers but not hops');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: The layer scan only reads files of known size within LAYER_SCAN_MAX_BYTES
+ */
+function test_layer_scan_size_limit() {
+    console.log('TEST: Layer scan skips files that are too large or of unknown size');
+    
+    // Arrange - scanLayerHeights() copied from print-progress.js; apiFetch() records the request and never answers
+    const LAYER_SCAN_MAX_BYTES = 64 * 1024 * 1024;  // Largest G-code read for layer change markers
+    const LAYER_SCAN_TIMEOUT = 120000;  // ms; the scan reads the whole file
+    const settings = { debug: false };
+    const metadataCache = {};
+    const stopped = false;
+    const apiUrl = path => path;
+    const gcodeFilePath = fileParam => `/server/files/gcodes/${fileParam}`;
+    const requested = [];
+    const apiFetch = url => {
+        requested.push(url);
+        return new Promise(() => {});
+    };
+    async function scanLayerHeights(fileParam) {
+        // a file of unknown size could be any size, so it isn't read
+        const size = Number(metadataCache.stamp?.size ?? metadataCache.data?.size);
+        if (!(size > 0 && size <= LAYER_SCAN_MAX_BYTES)) return null;
+
+        try {
+            const response = await apiFetch(apiUrl(gcodeFilePath(fileParam)), { timeout: LAYER_SCAN_TIMEOUT });
+            if (!response.ok) return null;
+
+            const scanner = createLayerZScanner();
+            if (response.body?.getReader) {
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let received = 0;  // the file may have grown since its size was read
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    received += value.byteLength;
+                    if (stopped || received > LAYER_SCAN_MAX_BYTES) {
+                        reader.cancel();
+                        return null;
+                    }
+                    scanner.push(decoder.decode(value, { stream: true }));
+                }
+            } else {
+                scanner.push(await response.text());
+            }
+            return scanner.finish();
+        } catch (err) {
+            if (settings.debug) console.log('[OBS Print Progress] Layer scan failed:', err);
+            return null;
+        }
+    }
+    const scans = (stamp, data) => {
+        const before = requested.length;
+        metadataCache.stamp = stamp;
+        metadataCache.data = data;
+        scanLayerHeights('benchy.gcode');
+        return requested.length > before;
+    };
+    
+    // Act & Assert
+    assertEqual(scans({ modified: 1, size: 2500000 }, {}), true, 'Should read a file within the limit');
+    assertEqual(scans(null, { size: 2500000 }), true, 'Should use the metadata size without a file stamp');
+    assertEqual(scans({ modified: 1, size: LAYER_SCAN_MAX_BYTES + 1 }, {}), false, 'Should skip a file over the limit');
+    assertEqual(scans(null, {}), false, 'Should skip a file of unknown size');
+    assertEqual(scans({ modified: 1, size: 'n/a' }, {}), false, 'Should skip a file whose size is not a number');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Variable layer heights map Z to the right layer
+ */
+function test_layer_from_gcode_heights() {
+    console.log('TEST: Layer from G-code layer heights');
+    
+    // Arrange - adaptive layers
+    const heights = [0.2, 0.3, 0.35, 0.4, 0.5, 0.7];
+    function computeLayerFromHeights(z, heights) {
+        if (!heights?.length) return { current: null, total: null };
+        if (z === undefined || z === null) return { current: null, total: heights.length };
+
+        let current = 0;
+        while (current < heights.length && heights[current] <= z + LAYER_Z_TOLERANCE) current++;
+        return { current: Math.max(1, current), total: heights.length };
+    }
+    const layerAt = (z) => computeLayerFromHeights(z, heights).current;
+    
+    // Act & Assert
+    assertEqual(layerAt(0.2), 1, 'Should be layer 1 at the first layer Z');
+    assertEqual(layerAt(0.3499999), 3, 'Should snap float noise to the layer boundary');
+    assertEqual(layerAt(0.5), 5, 'Should count thin adaptive layers');
+    assertEqual(layerAt(0.05), 1, 'Should not report layer 0');
+    assertEqual(computeLayerFromHeights(null, heights).total, 6, 'Should use the marker count as total');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// REMAINING TIME STRATEGY TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function firstNonNull(...values) {
+    for (const value of values) {
+        if (value !== null && value !== undefined) return value;
+    }
+    return null;
+}
+
+function computeRemainingFromProgress(progress, printDuration) {
+    if (progress > 0 && progress < 1) {
+        const totalTime = printDuration / progress;
+        return totalTime - printDuration;
+    }
+    return null;
+}
+
+function computeRemainingEstimates(status) {
+    const printDuration = status.printDuration || 0;
+    const filamentTotal = status.material?.length;
+    const filamentUsed = status.filamentUsed;
+
+    return {
+        host: status.remaining ?? null,
+        file: computeRemainingFromProgress(status.progress, printDuration),
+        filament: filamentTotal > 0 && filamentUsed > 0
+            ? computeRemainingFromProgress(filamentUsed / filamentTotal, printDuration)
+            : null,
+        slicer: status.slicerTotal != null ? Math.max(0, status.slicerTotal - printDuration) : null
+    };
+}
+
+function selectRemaining(estimates, strategy, progress) {
+    const { host, file, filament, slicer } = estimates;
+
+    switch (strategy) {
+        case 'file':
+        case 'filament':
+        case 'slicer':
+            return firstNonNull(estimates[strategy], file, host);
+        case 'average': {
+            const available = [file, filament, slicer].filter(value => value !== null);
+            return available.length ? available.reduce((sum, value) => sum + value, 0) / available.length : host;
+        }
+        case 'blend': {
+            const live = firstNonNull(file, host);
+            if (slicer === null || live === null) return firstNonNull(live, slicer);
+            const weight = Math.max(0, Math.min(1, progress || 0));
+            return (slicer * (1 - weight)) + (live * weight);
+        }
+        default:
+            return firstNonNull(host, file);
+    }
+}
+
+/**
+ * Test: Filament-based estimate uses filament used vs the file's total
+ */
+function test_remaining_filament_estimate() {
+    console.log('TEST: Filament-based remaining time');
+    
+    // Arrange - 600s printed, 1000 of 5000mm extruded
+    const status = { printDuration: 600, progress: 0.1, filamentUsed: 1000, material: { length: 5000 } };
+    
+    // Act
+    const estimates = computeRemainingEstimates(status);
+    
+    // Assert
+    assertEqual(estimates.filament, 2400, 'Should extrapolate from the filament ratio');
+    assertEqual(estimates.file, 5400, 'Should extrapolate from progress through the file');
+    assertEqual(selectRemaining({ ...estimates, filament: null }, 'filament', 0.1), 5400, 'Should fall back to the file estimate without filament data');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Each strategy picks its estimate
+ */
+function test_remaining_strategies() {
+    console.log('TEST: Remaining time strategies');
+    
+    // Arrange
+    const estimates = { host: null, file: 5400, filament: 2400, slicer: 6600 };
+    
+    // Act & Assert
+    assertEqual(selectRemaining(estimates, 'auto', 0.1), 5400, 'auto should use the file estimate without a host estimate');
+    assertEqual(selectRemaining({ ...estimates, host: 3000 }, 'auto', 0.1), 3000, 'auto should prefer the printer\'s own estimate');
+    assertEqual(selectRemaining(estimates, 'slicer', 0.1), 6600, 'slicer should use the slicer estimate');
+    assertEqual(selectRemaining(estimates, 'average', 0.1), 4800, 'average should average file, filament and slicer');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Blend trusts the slicer early and the live rate late
+ */
+function test_remaining_blend() {
+    console.log('TEST: Progress-weighted blend of slicer and live estimate');
+    
+    // Arrange
+    const early = { host: null, file: 20000, filament: null, slicer: 7000 };
+    const late = { host: null, file: 300, filament: null, slicer: 900 };
+    
+    // Act
+    const earlyBlend = selectRemaining(early, 'blend', 0.02);
+    const lateBlend = selectRemaining(late, 'blend', 0.9);
+    
+    // Assert
+    assertEqual(earlyBlend, 7260, 'Should stay close to the slicer at 2%');
+    assertEqual(lateBlend, 360, 'Should follow the live rate at 90%');
+    assertEqual(selectRemaining({ ...early, slicer: null }, 'blend', 0.02), 20000, 'Should use the live estimate without a slicer estimate');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// ETA TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+const STRINGS = {
+    en: {
+        'label.layer': 'Layer',
+        'label.file': 'File',
+        'label.hotend': 'Hotend',
+        'label.bed': 'Bed',
+        'label.chamber': 'Chamber',
+        'label.material': 'Material',
+        'label.speed': 'Speed',
+        'label.flow': 'Flow',
+        'label.progress': 'Progress',
+        'label.elapsed': 'Elapsed',
+        'label.remaining': 'Remaining',
+        'label.doneAt': 'Done at',
+        'label.upNext': 'Up next',
+        'label.recent': 'Recent prints',
+        'label.printTime': 'Print time',
+        'label.filament': 'Filament',
+        'label.jobs': 'Jobs',
+        'label.longestPrint': 'Longest print',
+        'label.object': 'Object',
+        'state.printing': 'Printing',
+        'state.paused': 'Paused',
+        'state.complete': 'Complete',
+        'state.cancelled': 'Cancelled',
+        'state.error': 'Error',
+        'state.standby': 'Standby',
+        'status.connecting': 'Connecting...',
+        'status.retrying': 'Retrying... ({count}/{max})',
+        'status.authError': 'Authentication Error',
+        'status.apiNotFound': 'API Not Found',
+        'status.unreachable': 'Unreachable: {host}',
+        'status.configError': 'Config Error',
+        'file.unknown': 'Unknown',
+        'farm.summary': '{printing} / {total} printing',
+        'eta.tomorrow': 'Tomorrow',
+        'objects.excluded': '{count} excluded'
+    },
+    de: {
+        'label.layer': 'Schicht',
+        'label.file': 'Datei',
+        'label.hotend': 'Hotend',
+        'label.bed': 'Bett',
+        'label.chamber': 'Bauraum',
+        'label.material': 'Material',
+        'label.speed': 'Geschwindigkeit',
+        'label.flow': 'Fluss',
+        'label.progress': 'Fortschritt',
+        'label.elapsed': 'Verstrichen',
+        'label.remaining': 'Verbleibend',
+        'label.doneAt': 'Fertig um',
+        'label.upNext': 'Als Nächstes',
+        'label.recent': 'Letzte Drucke',
+        'label.printTime': 'Druckzeit',
+        'label.filament': 'Filament',
+        'label.jobs': 'Aufträge',
+        'label.longestPrint': 'Längster Druck',
+        'label.object': 'Objekt',
+        'state.printing': 'Druckt',
+        'state.paused': 'Pausiert',
+        'state.complete': 'Fertig',
+        'state.cancelled': 'Abgebrochen',
+        'state.error': 'Fehler',
+        'state.standby': 'Bereit',
+        'status.connecting': 'Verbinde...',
+        'status.retrying': 'Neuer Versuch... ({count}/{max})',
+        'status.authError': 'Anmeldefehler',
+        'status.apiNotFound': 'API nicht gefunden',
+        'status.unreachable': 'Nicht erreichbar: {host}',
+        'status.configError': 'Konfigurationsfehler',
+        'file.unknown': 'Unbekannt',
+        'farm.summary': '{printing} / {total} drucken',
+        'eta.tomorrow': 'Morgen',
+        'objects.excluded': '{count} ausgeschlossen'
+    },
+    es: {
+        'label.layer': 'Capa',
+        'label.file': 'Archivo',
+        'label.hotend': 'Hotend',
+        'label.bed': 'Cama',
+        'label.chamber': 'Cámara',
+        'label.material': 'Material',
+        'label.speed': 'Velocidad',
+        'label.flow': 'Flujo',
+        'label.progress': 'Progreso',
+        'label.elapsed': 'Transcurrido',
+        'label.remaining': 'Restante',
+        'label.doneAt': 'Termina',
+        'label.upNext': 'A continuación',
+        'label.recent': 'Impresiones recientes',
+        'label.printTime': 'Tiempo de impresión',
+        'label.filament': 'Filamento',
+        'label.jobs': 'Trabajos',
+        'label.longestPrint': 'Impresión más larga',
+        'label.object': 'Objeto',
+        'state.printing': 'Imprimiendo',
+        'state.paused': 'En pausa',
+        'state.complete': 'Completado',
+        'state.cancelled': 'Cancelado',
+        'state.error': 'Error',
+        'state.standby': 'En espera',
+        'status.connecting': 'Conectando...',
+        'status.retrying': 'Reintentando... ({count}/{max})',
+        'status.authError': 'Error de autenticación',
+        'status.apiNotFound': 'API no encontrada',
+        'status.unreachable': 'Sin conexión: {host}',
+        'status.configError': 'Error de configuración',
+        'file.unknown': 'Desconocido',
+        'farm.summary': '{printing} / {total} imprimiendo',
+        'eta.tomorrow': 'Mañana',
+        'objects.excluded': '{count} excluidos'
+    },
+    fr: {
+        'label.layer': 'Couche',
+        'label.file': 'Fichier',
+        'label.hotend': 'Buse',
+        'label.bed': 'Plateau',
+        'label.chamber': 'Caisson',
+        'label.material': 'Matériau',
+        'label.speed': 'Vitesse',
+        'label.flow': 'Débit',
+        'label.progress': 'Progression',
+        'label.elapsed': 'Écoulé',
+        'label.remaining': 'Restant',
+        'label.doneAt': 'Fin à',
+        'label.upNext': 'À suivre',
+        'label.recent': 'Impressions récentes',
+        'label.printTime': "Temps d'impression",
+        'label.filament': 'Filament',
+        'label.jobs': 'Impressions',
+        'label.longestPrint': 'Plus longue impression',
+        'label.object': 'Objet',
+        'state.printing': 'Impression',
+        'state.paused': 'En pause',
+        'state.complete': 'Terminé',
+        'state.cancelled': 'Annulé',
+        'state.error': 'Erreur',
+        'state.standby': 'En attente',
+        'status.connecting': 'Connexion...',
+        'status.retrying': 'Nouvel essai... ({count}/{max})',
+        'status.authError': "Erreur d'authentification",
+        'status.apiNotFound': 'API introuvable',
+        'status.unreachable': 'Injoignable : {host}',
+        'status.configError': 'Erreur de configuration',
+        'file.unknown': 'Inconnu',
+        'farm.summary': '{printing} / {total} en impression',
+        'eta.tomorrow': 'Demain',
+        'objects.excluded': '{count} exclus'
+    }
+};
+
+function localeLanguage(locale) {
+    return String(locale || 'en').split(/[-_]/)[0].toLowerCase();
+}
+
+function translate(locale, key, vars = {}) {
+    const table = STRINGS[localeLanguage(locale)] || STRINGS.en;
+    const template = table[key] ?? STRINGS.en[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+}
+
+function formatEta(remainingSeconds, settings, now = new Date()) {
+    if (remainingSeconds === null || remainingSeconds === undefined || !Number.isFinite(remainingSeconds) || remainingSeconds < 0) {
+        return null;
+    }
+
+    const finish = new Date(now.getTime() + (remainingSeconds * 1000));
+    const locale = settings?.locale;
+    const timeZone = settings?.timeZone || undefined;
+    // hourCycle rather than hour12: hour12=false renders midnight as "24:00" in some engines
+    const hourCycle = settings?.clock === '12h' ? 'h12' : settings?.clock === '24h' ? 'h23' : undefined;
+    const time = new Intl.DateTimeFormat(locale, {
+        timeZone,
+        hour: hourCycle === 'h23' ? '2-digit' : 'numeric',
+        minute: '2-digit',
+        hourCycle
+    }).format(finish);
+
+    // calendar days between now and the finish in that zone
+    const dayKey = date => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+    const finishDay = dayKey(finish);
+    const days = Math.round((Date.parse(finishDay) - Date.parse(dayKey(now))) / 86400000);
+    if (days <= 0) return time;
+
+    const style = settings?.etaDate || 'relative';
+    if (style === 'iso') return `${finishDay} ${time}`;
+    if (style === 'relative' && days === 1) return `${translate(locale, 'eta.tomorrow')} ${time}`;
+    if (style === 'relative' && days < 7) {
+        return `${new Intl.DateTimeFormat(locale, { timeZone, weekday: 'short' }).format(finish)} ${time}`;
+    }
+    return `${new Intl.DateTimeFormat(locale, { timeZone, month: 'short', day: 'numeric' }).format(finish)} ${time}`;
+}
+
+/**
+ * Test: ETA uses the time alone today and a day label otherwise
+ */
+function test_eta_relative_day() {
+    console.log('TEST: ETA relative day labels');
+
+    // Arrange - Wednesday 2026-06-03 20:00 UTC
+    const now = new Date(Date.UTC(2026, 5, 3, 20, 0));
+    const settings = { locale: 'en-US', timeZone: 'UTC', clock: '24h', etaDate: 'relative' };
+
+    // Act & Assert
+    assertEqual(formatEta(6420, settings, now), '21:47', 'Same-day finish should show only the time');
+    assertEqual(formatEta(36600, settings, now), 'Tomorrow 06:10', 'Next-day finish should say Tomorrow');
+    assertEqual(formatEta(3 * 86400, settings, now), 'Sat 20:00', 'Finish within a week should show the weekday');
+    assertEqual(formatEta(10 * 86400, settings, now), 'Jun 13 20:00', 'Later finish should show the date');
+    assertEqual(formatEta(36600, { ...settings, etaDate: 'iso' }, now), '2026-06-04 06:10', 'iso style should show the ISO date');
+    assertEqual(formatEta(null, settings, now), null, 'No remaining time should give no ETA');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: ETA respects the configured time zone and clock
+ */
+function test_eta_time_zone_and_clock() {
+    console.log('TEST: ETA time zone and 12/24h clock');
+
+    // Arrange - 20:00 UTC is 22:00 in Berlin (CEST) and 16:00 in New York (EDT)
+    const now = new Date(Date.UTC(2026, 5, 3, 20, 0));
+
+    // Act & Assert
+    assertEqual(formatEta(3600, { locale: 'en-US', timeZone: 'Europe/Berlin', clock: '24h' }, now), '23:00', 'Should format in Berlin time');
+    assertEqual(formatEta(3600, { locale: 'en-US', timeZone: 'America/New_York', clock: '12h' }, now), '5:00 PM', 'Should use a 12-hour clock');
+    assertEqual(formatEta(7200, { locale: 'en-US', timeZone: 'Europe/Berlin', clock: '24h' }, now), 'Tomorrow 00:00', 'Midnight in the zone should roll the day');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Only valid IANA zone names are accepted
+ */
+function test_eta_time_zone_validation() {
+    console.log('TEST: ETA time zone validation');
+
+    // Arrange
+    function isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat(undefined, { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Act & Assert
+    assertEqual(isValidTimeZone('Europe/Berlin'), true, 'IANA name should be valid');
+    assertEqual(isValidTimeZone('UTC'), true, 'UTC should be valid');
+    assertEqual(isValidTimeZone('Mars/Olympus'), false, 'Unknown zone should be rejected');
+    assertEqual(isValidTimeZone(''), false, 'Empty zone should fall back to the browser zone');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// LOCALIZATION TESTS
+// ============================================================================
+
+/**
+ * Test: Strings come from the locale's language with English fallback
+ */
+function test_translate_locale_fallback() {
+    console.log('TEST: Translation lookup and fallback');
+
+    // Act & Assert
+    assertEqual(translate('de', 'state.paused'), 'Pausiert', 'Should use the German string');
+    assertEqual(translate('de-AT', 'state.paused'), 'Pausiert', 'Region should use the language table');
+    assertEqual(translate('de', 'no.such.key'), 'no.such.key', 'Unknown key should fall back to the key');
+    assertEqual(translate('ja', 'state.paused'), 'Paused', 'Unknown language should use English');
+    assertEqual(translate('de', 'status.retrying', { count: 2, max: 5 }), 'Neuer Versuch... (2/5)', 'Should fill placeholders');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Imperial units convert temperatures and speeds, but not an off heater's target
+ */
+function test_imperial_units() {
+    console.log('TEST: Imperial temperature and speed');
+
+    // Arrange
+    function formatTemps(temps, settings) {
+        const target = temps.target > 0
+            ? formatTemp(temps.target, settings)
+            : `${formatNumber(settings?.locale, 0)}${settings?.units === 'imperial' ? '\u00B0F' : '\u00B0C'}`;
+        return `${formatTemp(temps.current, settings)} / ${target}`;
+    }
+
+    function formatTemp(celsius, settings) {
+        const imperial = settings?.units === 'imperial';
+        const value = imperial ? (celsius * 9 / 5) + 32 : celsius;
+        return `${formatNumber(settings?.locale, Math.round(value))}${imperial ? '\u00B0F' : '\u00B0C'}`;
+    }
+
+    function formatSpeed(mmPerSecond, settings) {
+        if (settings?.units === 'imperial') return `${formatNumber(settings.locale, mmPerSecond / 25.4, 1)} in/s`;
+        return `${formatNumber(settings?.locale, Math.round(mmPerSecond))} mm/s`;
+    }
+    const imperial = { units: 'imperial', locale: 'en' };
+    const metric = { units: 'metric', locale: 'en' };
+
+    // Act & Assert
+    assertEqual(formatTemp(215, imperial), '419°F', 'Hotend should convert to Fahrenheit');
+    assertEqual(formatTemp(0, imperial), '32°F', 'Freezing point should be 32F');
+    assertEqual(formatTemp(60, metric), '60°C', 'Metric should stay in Celsius');
+    assertEqual(formatTemps({ current: 60, target: 60 }, imperial), '140°F / 140°F', 'Heater target should convert too');
+    assertEqual(formatTemps({ current: 20, target: 0 }, imperial), '68°F / 0°F', 'A heater that is off should not show a 32F target');
+    assertEqual(formatTemps({ current: 20, target: 0 }, metric), '20°C / 0°C', 'A heater that is off shows 0C in metric');
+    assertEqual(formatSpeed(120, imperial), '4.7 in/s', '120 mm/s should be 4.7 in/s');
+    assertEqual(formatSpeed(120, metric), '120 mm/s', 'Metric speed should stay mm/s');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Numbers use the locale's separators
+ */
+function test_locale_number_format() {
+    console.log('TEST: Locale-aware number formatting');
+
+    // Act & Assert
+    assertEqual(formatNumber('de', 15.08, 1), '15,1', 'German should use a decimal comma');
+    assertEqual(formatNumber('en', 15.08, 1), '15.1', 'English should use a decimal point');
+    assertEqual(formatNumber('de', 1234), '1.234', 'German should group thousands with a dot');
+    assertEqual(formatNumber('fr', 3.25, 1), '3,3', 'French should use a decimal comma');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// LAYOUT TESTS
+// ============================================================================
+
+/**
+ * Test: ?layout= picks a template and falls back to the camera scene
+ */
+function test_layout_selection() {
+    console.log('TEST: Layout selection');
+
+    // Arrange - printer.html stand-in with three layout templates
+    const templates = ['layout-lower-third', 'layout-sidebar', 'layout-strip'];
+    const DEBUG = false;
+    const body = { dataset: {} };
+    const loaded = [];
+    const loadStylesheet = href => loaded.push(href);
+    const document = {
+        getElementById: id => (templates.includes(id) ? { content: { cloneNode: () => ({}) } } : null),
+        querySelector: () => ({ replaceWith: () => {} })
+    };
+    const LAYOUTS = ['camera', 'lower-third', 'sidebar', 'strip'];
+
+    function applyLayout(name) {
+        const layout = String(name || 'camera').trim().toLowerCase();
+        body.dataset.layout = 'camera';
+        if (layout === 'camera') return;
+
+        const template = /^[a-z0-9-]+$/.test(layout) ? document.getElementById(`layout-${layout}`) : null;
+        const scene = document.querySelector('.scene');
+        if (!template || !scene) {
+            console.warn(`[OBS Print Progress] Unknown layout "${name}" (built in: ${LAYOUTS.join(', ')}), using camera`);
+            return;
+        }
+
+        scene.replaceWith(template.content.cloneNode(true));
+        body.dataset.layout = layout;
+        loadStylesheet(`layouts/${layout}.css`);
+        if (DEBUG) console.log('[OBS Print Progress] Layout:', layout);
+    }
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    const layoutFor = name => {
+        applyLayout(name);
+        return body.dataset.layout;
+    };
+
+    // Act & Assert
+    try {
+        assertEqual(layoutFor('lower-third'), 'lower-third', 'Should use the lower-third template');
+        assertEqual(layoutFor(' Strip '), 'strip', 'Should ignore case and spaces');
+        assertEqual(layoutFor(null), 'camera', 'No layout should keep the camera scene');
+        assertEqual(layoutFor('poster'), 'camera', 'Unknown layout should keep the camera scene');
+        assertEqual(layoutFor('../strip'), 'camera', 'Should reject names that are not plain words');
+        assertEqual(loaded.join(','), 'layouts/lower-third.css,layouts/strip.css', 'Should load the stylesheet of the layouts it applied');
+        assertEqual(warnings.length, 2, 'Should warn about unknown layouts');
+    } finally {
+        console.warn = warn;
+    }
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Every layout template in printer.html uses known element ids once
+ */
+function test_layout_templates_element_ids() {
+    console.log('TEST: Layout templates use known element ids');
+
+    // Arrange
+    const fs = require('fs');
+    const path = require('path');
+    const html = fs.readFileSync(path.join(__dirname, '..', 'printer.html'), 'utf8');
+    const known = new Set(['printerName', 'status', 'thumbnail', 'previewFloating', 'thumbnailFilename', 'layerInfo', 'filename',
+        'hotendTemp', 'bedTemp', 'chamberChip', 'chamberTemp', 'materialChip', 'materialSwatch', 'materialInfo', 'print-speed',
+        'print-flow', 'cameraFeed', 'progressBar', 'percentage', 'timeTotal', 'timeEstimate', 'timeSlicer', 'timeEta', 'debugInfo',
+        'hotendSpark', 'bedSpark', 'chamberSpark', 'hotendChip', 'toolChips', 'customFields', 'statusMessage',
+        'jobPanel', 'jobQueue', 'jobHistory', 'printerStats', 'statPrintTime', 'statFilament', 'statJobs', 'statLongest',
+        'currentObjectChip', 'currentObject', 'objectMap']);
+
+    // Act
+    const templates = [...html.matchAll(/<template id="(layout-[\w-]+)">([\s\S]*?)<\/template>/g)];
+
+    // Assert
+    assertEqual(templates.length >= 3, true, 'Should ship the built-in layouts');
+    templates.forEach(([, name, markup]) => {
+        const ids = [...markup.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]);
+        ids.forEach(id => assertEqual(known.has(id), true, `${name}: unknown element id "${id}"`));
+        assertEqual(new Set(ids).size, ids.length, `${name}: element ids should be unique`);
+        assertEqual(/class="scene\b/.test(markup), true, `${name}: should replace the .scene element`);
+    });
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// WIDGET TESTS
+// ============================================================================
+
+/**
+ * Test: ?widget= accepts one or several widget names
+ */
+function test_widget_names() {
+    console.log('TEST: Widget name parsing');
+
+    // Arrange - printer.html stand-in with three widget templates
+    const templates = ['widget-progress', 'widget-eta', 'widget-camera'];
+    const DEBUG = false;
+    const body = { dataset: {} };
+    const loadStylesheet = () => {};
+    const document = {
+        getElementById: id => (templates.includes(id) ? { content: { cloneNode: () => ({}) } } : null),
+        querySelector: () => ({ replaceWith: () => {} }),
+        createElement: () => ({ appendChild: () => {} })
+    };
+    const WIDGETS = ['progress', 'camera', 'thumbnail', 'temps', 'layers', 'eta', 'remaining', 'status', 'file', 'material', 'fields', 'jobs', 'stats', 'objects'];
+
+    function applyWidgets(value) {
+        const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        const templates = names
+            .map(name => ({ name, template: /^[a-z0-9-]+$/.test(name) ? document.getElementById(`widget-${name}`) : null }))
+            .filter(({ name, template }) => {
+                if (!template) console.warn(`[OBS Print Progress] Unknown widget "${name}" (use ${WIDGETS.join(', ')})`);
+                return !!template;
+            });
+
+        const scene = document.querySelector('.scene');
+        if (!templates.length || !scene) {
+            applyLayout('camera');
+            return;
+        }
+
+        const container = document.createElement('div');
+        container.className = 'widgets';
+        templates.forEach(({ template }) => container.appendChild(template.content.cloneNode(true)));
+
+        // keep the debug panel; it is only shown with ?debug=1
+        const debugEl = document.getElementById('debugInfo');
+        if (debugEl) container.appendChild(debugEl);
+
+        scene.replaceWith(container);
+        body.dataset.layout = 'widget';
+        body.dataset.widget = templates.map(({ name }) => name).join(' ');
+        loadStylesheet('layouts/widget.css');
+        if (DEBUG) console.log('[OBS Print Progress] Widgets:', body.dataset.widget);
+    }
+
+    function applyLayout(name) {
+        const layout = String(name || 'camera').trim().toLowerCase();
+        body.dataset.layout = 'camera';
+        if (layout === 'camera') return;
+
+        const template = /^[a-z0-9-]+$/.test(layout) ? document.getElementById(`layout-${layout}`) : null;
+        const scene = document.querySelector('.scene');
+        if (!template || !scene) {
+            console.warn(`[OBS Print Progress] Unknown layout "${name}" (built in: ${LAYOUTS.join(', ')}), using camera`);
+            return;
+        }
+
+        scene.replaceWith(template.content.cloneNode(true));
+        body.dataset.layout = layout;
+        loadStylesheet(`layouts/${layout}.css`);
+        if (DEBUG) console.log('[OBS Print Progress] Layout:', layout);
+    }
+
+    const LAYOUTS = ['camera', 'lower-third', 'sidebar', 'strip'];
+    const warn = console.warn;
+    console.warn = () => {};
+    const pickWidgets = value => {
+        body.dataset = {};
+        applyWidgets(value);
+        return body.dataset.widget || '';
+    };
+
+    // Act & Assert
+    try {
+        assertEqual(pickWidgets('progress'), 'progress', 'Should pick a single widget');
+        assertEqual(pickWidgets('Progress, eta'), 'progress eta', 'Should pick several widgets in order');
+        assertEqual(pickWidgets('progress,clock'), 'progress', 'Should skip unknown widgets');
+        assertEqual(pickWidgets(''), '', 'Empty value should pick nothing');
+        assertEqual(body.dataset.layout, 'camera', 'Empty value should keep the camera scene');
+    } finally {
+        console.warn = warn;
+    }
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Sessions only do the work a view has elements for
+ */
+function test_view_needs() {
+    console.log('TEST: View needs skip unseen work');
+
+    // Arrange
+    function viewNeeds(view) {
+        const has = id => !!view.el(id);
+        return {
+            detectChamber: has('chamberChip'),
+            loadMetadata: ['layerInfo', 'timeEstimate', 'timeSlicer', 'timeEta', 'materialChip', 'print-flow'].some(has),
+            trackLayers: has('layerInfo'),
+            detectTools: has('hotendTemp') || has('toolChips'),
+            tempHistory: ['hotendSpark', 'bedSpark', 'chamberSpark'].some(has),
+            customFields: has('customFields'),
+            jobs: has('jobPanel'),
+            stats: has('printerStats'),
+            objectMap: has('objectMap') || has('currentObject'),
+            status: ['status', 'progressBar', 'percentage', 'layerInfo', 'filename', 'thumbnail', 'hotendTemp', 'bedTemp',
+                'chamberChip', 'materialChip', 'print-speed', 'print-flow', 'timeTotal', 'timeEstimate', 'timeSlicer',
+                'timeEta', 'customFields', 'jobPanel', 'printerStats', 'objectMap', 'currentObject'].some(has)
+        };
+    }
+    const viewWith = ids => ({ el: id => (ids.includes(id) ? {} : null) });
+
+    // Act
+    const progress = viewNeeds(viewWith(['progressBar', 'percentage', 'debugInfo']));
+    const eta = viewNeeds(viewWith(['timeEta']));
+    const camera = viewNeeds(viewWith(['cameraFeed', 'debugInfo']));
+
+    // Assert
+    assertEqual(progress.status, true, 'Progress widget needs the printer status');
+    assertEqual(progress.loadMetadata || progress.trackLayers || progress.detectChamber || progress.tempHistory, false, 'Progress widget needs nothing else');
+    assertEqual(eta.loadMetadata, true, 'ETA needs metadata for slicer estimates');
+    assertEqual(eta.trackLayers, false, 'ETA should not scan the G-code for layers');
+    assertEqual(camera.status, false, 'Camera widget should not poll the printer');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Every widget template in printer.html uses known element ids once
+ */
+function test_widget_templates_element_ids() {
+    console.log('TEST: Widget templates use known element ids');
+
+    // Arrange
+    const fs = require('fs');
+    const path = require('path');
+    const html = fs.readFileSync(path.join(__dirname, '..', 'printer.html'), 'utf8');
+    const widgets = ['progress', 'camera', 'thumbnail', 'temps', 'layers', 'eta', 'remaining', 'status', 'file', 'material', 'fields', 'jobs', 'stats', 'objects'];
+
+    // Act
+    const templates = new Map([...html.matchAll(/<template id="widget-([\w-]+)">([\s\S]*?)<\/template>/g)].map(match => [match[1], match[2]]));
+
+    // Assert
+    widgets.forEach(name => assertEqual(templates.has(name), true, `Should ship the "${name}" widget`));
+    const seen = new Set();
+    templates.forEach((markup, name) => {
+        [...markup.matchAll(/\sid="([^"]+)"/g)].forEach(([, id]) => {
+            assertEqual(seen.has(id), false, `${name}: id "${id}" is already used by another widget`);
+            seen.add(id);
+        });
+    });
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// TEMPERATURE HISTORY TESTS
+// ============================================================================
+
+/**
+ * Test: History keeps one sample per second inside the window
+ */
+function test_temp_history_window() {
+    console.log('TEST: Temperature history sampling and window');
+
+    // Arrange
+    const TEMP_HISTORY_SAMPLE_MS = 1000;
+
+    function createTempHistory(windowMs) {
+        const series = new Map();
+
+        function prune(samples, now) {
+            const oldest = now - windowMs;
+            while (samples.length && samples[0].time < oldest) samples.shift();
+            return samples;
+        }
+
+        function add(key, time, current, target) {
+            if (!Number.isFinite(current)) return;
+            const samples = series.get(key) || [];
+            const last = samples[samples.length - 1];
+            if (last && time - last.time < TEMP_HISTORY_SAMPLE_MS) return;
+            samples.push({ time, current, target: Number.isFinite(target) ? target : 0 });
+            series.set(key, prune(samples, time));
+        }
+
+        // Older samples (temperature_store) in front of what was recorded live
+        function backfill(key, older) {
+            const samples = series.get(key) || [];
+            const first = samples[0]?.time ?? Infinity;
+            const merged = older.filter(sample => sample.time < first - TEMP_HISTORY_SAMPLE_MS / 2).concat(samples);
+            series.set(key, prune(merged, Date.now()));
+        }
+
+        function points(key, now = Date.now()) {
+            return prune(series.get(key) || [], now);
+        }
+
+        return { add, backfill, points };
+    }
+    const history = createTempHistory(5 * 60000);
+
+    // Act - WebSocket updates every 250ms for 6 minutes
+    for (let time = 0; time <= 6 * 60000; time += 250) history.add('hotend', time, 210, 210);
+    const samples = history.points('hotend', 6 * 60000);
+
+    // Assert
+    assertEqual(samples.length, 301, 'Should keep one sample per second for 5 minutes');
+    assertEqual(samples[0].time, 60000, 'Oldest sample should be 5 minutes old');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: temperature_store arrays map to one sample per second ending now
+ */
+function test_temperature_store_backfill() {
+    console.log('TEST: temperature_store backfill');
+
+    // Arrange
+    const entry = { temperatures: [58.6, 59.7, 60.2], targets: [0, 60, 60] };
+    const now = 100000;
+    function temperatureStoreSamples(entry, now) {
+        const temperatures = Array.isArray(entry?.temperatures) ? entry.temperatures : [];
+        const targets = Array.isArray(entry?.targets) ? entry.targets : [];
+        const last = temperatures.length - 1;
+        return temperatures.map((temperature, index) => ({
+            time: now - ((last - index) * 1000),
+            current: Math.round(temperature),
+            target: Math.round(targets[index] ?? 0)
+        })).filter(sample => Number.isFinite(sample.current));
+    }
+
+    // Act
+    const samples = temperatureStoreSamples(entry, now);
+
+    // Assert
+    assertEqual(samples[0].time, 98000, 'First sample should be 2 seconds before now');
+    assertEqual(samples[2].time, now, 'Newest sample should be now');
+    assertEqual(samples.map(sample => sample.current).join(','), '59,60,60', 'Should round like the chips');
+    assertEqual(samples[0].target, 0, 'Heater off should have target 0');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Sparkline paths scale to the window and skip an unset target
+ */
+function test_sparkline_paths() {
+    console.log('TEST: Sparkline path data');
+
+    // Arrange - 100 x 24 viewBox
+    const SPARKLINE_MIN_SPAN = 10;
+
+    const SPARKLINE_HEIGHT = 24;
+
+    function sparklinePaths(samples, windowMs, now = Date.now()) {
+        if (!samples || samples.length < 2) return null;
+
+        const values = samples.flatMap(sample => (sample.target > 0 ? [sample.current, sample.target] : [sample.current]));
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (max - min < SPARKLINE_MIN_SPAN) {
+            const middle = (max + min) / 2;
+            min = middle - (SPARKLINE_MIN_SPAN / 2);
+            max = middle + (SPARKLINE_MIN_SPAN / 2);
+        }
+
+        const x = time => (((time - (now - windowMs)) / windowMs) * 100).toFixed(1);
+        const y = value => (SPARKLINE_HEIGHT - 1 - (((value - min) / (max - min)) * (SPARKLINE_HEIGHT - 2))).toFixed(1);
+        const path = pick => {
+            let d = '';
+            let drawing = false;
+            samples.forEach(sample => {
+                const value = pick(sample);
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                d += `${drawing ? 'L' : 'M'}${x(sample.time)} ${y(value)} `;
+                drawing = true;
+            });
+            return d.trim();
+        };
+
+        return {
+            current: path(sample => sample.current),
+            target: path(sample => (sample.target > 0 ? sample.target : null))
+        };
+    }
+    const samples = [
+        { time: 0, current: 25, target: 0 },
+        { time: 30000, current: 100, target: 200 },
+        { time: 60000, current: 200, target: 200 }
+    ];
+
+    // Act
+    const { current, target } = sparklinePaths(samples, 60000, 60000);
+
+    // Assert
+    assertEqual(current, 'M0.0 23.0 L50.0 13.6 L100.0 1.0', 'Current should span the window bottom to top');
+    assertEqual(target, 'M50.0 1.0 L100.0 1.0', 'Target should start once the heater is set');
+    assertEqual(sparklinePaths(samples.slice(0, 1), 60000, 60000), null, 'A single sample should draw nothing');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// MULTI-EXTRUDER TESTS
+// ============================================================================
+
+/**
+ * Test: Only extruder heaters are picked from the object list, in tool order
+ */
+function test_detect_extruder_objects() {
+    console.log('TEST: Extruder objects from the object list');
+
+    // Arrange
+    const objects = ['toolhead', 'extruder10', 'extruder', 'extruder_stepper belt', 'extruder2', 'heater_bed', 'extruder1'];
+    function isExtruderObject(name) {
+        return /^extruder\d*$/.test(name);
+    }
+
+    // Act
+    const found = objects.filter(isExtruderObject).sort((a, b) => toolIndex(a) - toolIndex(b));
+
+    // Assert
+    assertEqual(found.join(','), 'extruder,extruder1,extruder2,extruder10', 'Should sort numerically and skip extruder_stepper');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Tool temperatures are labelled T0..N and flag the active tool
+ */
+function test_tool_temps_active() {
+    console.log('TEST: Tool temperatures and active tool');
+
+    // Arrange
+    const raw = {
+        extruder: { temperature: 150.4, target: 150 },
+        extruder1: { temperature: 239.6, target: 240 },
+        extruder2: null
+    };
+
+    // Act
+    const tools = buildToolTemps(Object.entries(raw), 'extruder1');
+    const unknown = buildToolTemps(Object.entries(raw), null);
+
+    // Assert
+    assertEqual(tools.map(tool => tool.label).join(','), 'T0,T1', 'Should label tools and skip missing ones');
+    assertEqual(tools[1].active, true, 'T1 should be active');
+    assertEqual(tools[0].active, false, 'T0 should be parked');
+    assertEqual(tools[1].current, 240, 'Should round like the hotend chip');
+    assertEqual(unknown[0].active, null, 'Without an active tool none should be flagged');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Parked tools are dimmed, and unheated ones when the active tool is unknown
+ */
+function test_tool_chip_dimming() {
+    console.log('TEST: Tool chip dimming');
+
+    // Arrange - Element stand-ins that only track their classes
+    const createElement = () => {
+        const classes = new Set();
+        return {
+            dataset: {},
+            children: [],
+            classList: { toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)), contains: name => classes.has(name) },
+            replaceChildren(...children) { this.children = children; },
+            querySelector: () => null
+        };
+    };
+    const createToolChip = () => createElement();
+    const container = createElement();
+    const view = { el: id => (id === 'toolChips' ? container : null) };
+    function updateToolChips(view, settings, tools) {
+        const container = view.el('toolChips');
+        if (!container) return;
+
+        const multiple = Array.isArray(tools) && tools.length > 1;
+        container.classList.toggle('hidden', !multiple);
+        view.el('hotendChip')?.classList.toggle('hidden', multiple);
+        if (!multiple) return;
+
+        // rebuild only when the set of tools changes (carousel switch, tool added)
+        const names = tools.map(tool => tool.name).join(',');
+        if (container.dataset.tools !== names) {
+            container.replaceChildren(...tools.map(createToolChip));
+            container.dataset.tools = names;
+        }
+        container.classList.toggle('many', tools.length > 4);
+
+        tools.forEach((tool, index) => {
+            const chip = container.children[index];
+            if (!chip) return;
+            chip.classList.toggle('active', tool.active === true);
+            // parked tools on a toolchanger, or unheated ones when the host doesn't say which is active
+            chip.classList.toggle('idle', tool.active === false || (tool.active === null && !(tool.target > 0)));
+            const value = chip.querySelector('.value');
+            if (value) value.textContent = formatTemps(tool, settings);
+        });
+    }
+    const tools = [
+        { name: 'extruder', active: true, target: 0 },
+        { name: 'extruder1', active: false, target: 240 },
+        { name: 'extruder2', active: null, target: 210 },
+        { name: 'extruder3', active: null, target: 0 }
+    ];
+
+    // Act
+    updateToolChips(view, {}, tools);
+    const idle = container.children.map(chip => chip.classList.contains('idle'));
+
+    // Assert
+    assertEqual(idle[0], false, 'Active tool is never dimmed');
+    assertEqual(idle[1], true, 'Parked tool is dimmed even when heated');
+    assertEqual(idle[2], false, 'Heated tool without an active tool stays lit');
+    assertEqual(idle[3], true, 'Unheated tool without an active tool is dimmed');
+    assertEqual(container.children[0].classList.contains('active'), true, 'Active tool should be highlighted');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// CUSTOM FIELD TESTS
+// ============================================================================
+
+/**
+ * Test: Field paths split the Klipper object from the attribute at the first dot
+ */
+function test_custom_field_paths() {
+    console.log('TEST: Custom field paths');
+
+    // Arrange
+    function parseFieldPath(path) {
+        if (typeof path !== 'string') return null;
+        const [object, ...attribute] = path.trim().split('.');
+        if (!object.trim() || attribute.some(part => !part)) return null;
+        return { object: object.trim(), attribute };
+    }
+
+    // Act
+    const fan = parseFieldPath('fan.speed');
+    const macro = parseFieldPath('gcode_macro _STATUS.stage');
+    const sensor = parseFieldPath('temperature_sensor mcu_temp');
+
+    // Assert
+    assertEqual(fan.object, 'fan', 'Should read the object');
+    assertEqual(fan.attribute.join('.'), 'speed', 'Should read the attribute');
+    assertEqual(macro.object, 'gcode_macro _STATUS', 'Should keep spaces in object names');
+    assertEqual(macro.attribute.join('.'), 'stage', 'Should read macro variables');
+    assertEqual(sensor.attribute.length, 0, 'A bare object has no attribute (read as a temperature)');
+    assertEqual(parseFieldPath('fan.'), null, 'Should reject an empty attribute');
+    assertEqual(parseFieldPath(42), null, 'Should reject non-strings');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Values are formatted by the field's format
+ */
+function test_custom_field_format() {
+    console.log('TEST: Custom field formatting');
+
+    // Arrange - metric, English
+    function formatCustomField(field, value, settings) {
+        if (value === null || value === undefined) return '--';
+        const locale = settings?.locale;
+        const number = Number(value);
+
+        switch (field.format) {
+            case 'temp':
+                return value.heater ? formatTemps(value, settings) : formatTemp(value.current, settings);
+            case 'percent':
+                return Number.isFinite(number) ? `${formatNumber(locale, number * 100, field.decimals)}%` : String(value);
+            case 'text':
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            default:
+                if (typeof value === 'boolean' || !Number.isFinite(number)) return String(value);
+                return `${formatNumber(locale, number, field.decimals)}${field.unit ? ` ${field.unit}` : ''}`;
+        }
+    }
+
+    function formatTemps(temps, settings) {
+        const target = temps.target > 0
+            ? formatTemp(temps.target, settings)
+            : `${formatNumber(settings?.locale, 0)}${settings?.units === 'imperial' ? '\u00B0F' : '\u00B0C'}`;
+        return `${formatTemp(temps.current, settings)} / ${target}`;
+    }
+
+    function formatTemp(celsius, settings) {
+        const imperial = settings?.units === 'imperial';
+        const value = imperial ? (celsius * 9 / 5) + 32 : celsius;
+        return `${formatNumber(settings?.locale, Math.round(value))}${imperial ? '\u00B0F' : '\u00B0C'}`;
+    }
+    const settings = { units: 'metric', locale: 'en' };
+    const format = (field, value) => formatCustomField(field, value, settings);
+
+    // Act & Assert
+    assertEqual(format({ format: 'percent', decimals: 0 }, 0.854), '85%', 'Fan speed 0..1 should show as percent');
+    assertEqual(format({ format: 'number', decimals: 1, unit: 'W' }, 12.34), '12.3 W', 'Should round and add the unit');
+    assertEqual(format({ format: 'number', decimals: 0, unit: '' }, 'purging'), 'purging', 'Non-numeric values show as text');
+    assertEqual(format({ format: 'number', decimals: 0, unit: '' }, true), 'true', 'Booleans show as text');
+    assertEqual(format({ format: 'temp' }, { current: 71, target: 71, heater: false }), '71°C', 'Sensors show one temperature');
+    assertEqual(format({ format: 'temp' }, { current: 55, target: 60, heater: true }), '55°C / 60°C', 'Heaters show the target too');
+    assertEqual(format({ format: 'text' }, null), '--', 'Missing objects show a placeholder');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Thresholds compare on the shown scale
+ */
+function test_custom_field_thresholds() {
+    console.log('TEST: Custom field thresholds');
+
+    // Arrange
+    function customFieldLevel(field, value) {
+        if (value === null || value === undefined) return '';
+        const number = field.format === 'temp' ? value.current
+            : field.format === 'percent' ? Number(value) * 100
+            : typeof value === 'boolean' ? NaN : Number(value);
+        if (!Number.isFinite(number)) return '';
+        if (field.critical !== null && number >= field.critical) return 'critical';
+        if (field.warn !== null && number >= field.warn) return 'warn';
+        return '';
+    }
+    const fan = { format: 'percent', warn: 80, critical: 95 };
+    const mcu = { format: 'temp', warn: 65, critical: null };
+
+    // Act & Assert
+    assertEqual(customFieldLevel(fan, 0.5), '', 'Below warn is normal');
+    assertEqual(customFieldLevel(fan, 0.8), 'warn', 'Percent thresholds use 0-100');
+    assertEqual(customFieldLevel(fan, 1), 'critical', 'Critical wins over warn');
+    assertEqual(customFieldLevel(mcu, { current: 71 }), 'warn', 'Temperature thresholds compare the current value');
+    assertEqual(customFieldLevel({ format: 'text', warn: 1, critical: null }, 'purging'), '', 'Text never reaches a threshold');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: A customFields probe nobody answered is repeated when the WebSocket subscribes
+ */
+function test_custom_field_probe_retried_on_subscribe() {
+    console.log('TEST: Custom field objects looked for again on WebSocket (re)subscribe');
+
+    // Arrange - subscribeStatus() copied from print-progress.js; detectCustomObjects() records the probe and never answers
+    const subscribedObjects = ['print_stats'];
+    const extruderObjects = [];
+    const chamberObjectName = null;
+    const customObjects = [];
+    const excludeObject = false;
+    const hooks = { customFields: true };
+    const settings = { customFields: [{ object: 'fan' }] };
+    const stopped = false;
+    let customObjectsChecked = false;
+    let subscribeRequestId = null;
+    let probes = 0;
+    const detectCustomObjects = () => {
+        probes++;
+        return new Promise(() => {});
+    };
+    const sendSocketRequest = () => 1;
+    // on every (re)connect and notify_klippy_ready; a customFields probe nobody answered is repeated first
+    async function subscribeStatus() {
+        if (!customObjectsChecked && hooks.customFields && settings.customFields.length) await detectCustomObjects();
+        if (stopped) return;
+
+        const objects = {};
+        subscribedObjects.forEach(obj => { objects[obj] = null; });
+        extruderObjects.forEach(obj => { objects[obj] = null; });
+        if (chamberObjectName) objects[chamberObjectName] = null;
+        customObjects.forEach(obj => { objects[obj] = null; });
+        if (excludeObject) objects.exclude_object = null;
+        subscribeRequestId = sendSocketRequest('printer.objects.subscribe', { objects });
+    }
+
+    // Act & Assert
+    subscribeStatus();
+    assertEqual(probes, 1, 'An unanswered probe should be repeated before subscribing');
+    assertEqual(subscribeRequestId, null, 'The subscription should wait for the probe');
+
+    customObjectsChecked = true;
+    subscribeStatus();
+    assertEqual(probes, 1, 'A probe the printer answered should not be repeated');
+    assertEqual(subscribeRequestId, 1, 'Should subscribe right away once the objects are known');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// PRINT STATE TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+const STATE_PRESENTATION = {
+    printing: { pill: 'ok', job: true, progress: 'live', remaining: true, eta: true, message: false },
+    paused: { pill: 'idle', job: true, progress: 'live', remaining: true, eta: false, message: false },
+    complete: { pill: 'done', job: true, progress: 'full', remaining: false, eta: false, message: false },
+    cancelled: { pill: 'error', job: true, progress: 'live', remaining: false, eta: false, message: true },
+    error: { pill: 'error', job: true, progress: 'live', remaining: false, eta: false, message: true },
+    standby: { pill: 'idle', job: false, progress: 'none', remaining: false, eta: false, message: false }
+};
+
+function presentState(state) {
+    return STATE_PRESENTATION[state] || STATE_PRESENTATION.standby;
+}
+
+/**
+ * Test: Finished, failed and paused jobs stay on screen; idle printers clear it
+ */
+function test_state_presentation_job() {
+    console.log('TEST: Job stays on screen after it ends');
+
+    // Act
+    const kept = ['printing', 'paused', 'complete', 'cancelled', 'error'].filter(state => presentState(state).job);
+
+    // Assert
+    assertEqual(kept.length, 5, 'Every job state should keep file, thumbnail and layers');
+    assertEqual(presentState('standby').job, false, 'Standby should clear the job');
+    assertEqual(presentState('offline').pill, 'idle', 'Unknown states should look like standby');
+    assertEqual(presentState('complete').pill, 'done', 'Complete should not look like an idle printer');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: A complete print shows 100% and its last layer
+ */
+function test_state_presentation_complete() {
+    console.log('TEST: Complete shows the finished job');
+
+    // Arrange
+    function jobProgress(presentation, status) {
+        const progress = presentation.progress === 'full' ? 1 : Math.max(0, Math.min(1, Number(status.progress) || 0));
+        const totalLayer = status.layer?.total ?? null;
+        const currentLayer = presentation.progress === 'full' && totalLayer ? totalLayer : status.layer?.current ?? null;
+        return { progress, currentLayer, totalLayer };
+    }
+
+    // Act
+    const complete = jobProgress(presentState('complete'), { progress: 0.998, layer: { current: 99, total: 100 } });
+    const cancelled = jobProgress(presentState('cancelled'), { progress: 0.42, layer: { current: 40, total: 100 } });
+
+    // Assert
+    assertEqual(Math.round(complete.progress * 100), 100, 'Complete should show 100%');
+    assertEqual(complete.currentLayer, 100, 'Complete should show the last layer');
+    assertEqual(Math.round(cancelled.progress * 100), 42, 'Cancelled should keep where it stopped');
+    assertEqual(cancelled.currentLayer, 40, 'Cancelled should keep its layer');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Only errors and cancelled prints show the host's message, and only ongoing jobs an ETA
+ */
+function test_state_presentation_message() {
+    console.log('TEST: State message and ETA');
+
+    // Arrange - renderStatus() only passes the message on for states that show it
+    const el = { textContent: '', classList: { toggle: () => {} } };
+    const view = { el: id => (id === 'statusMessage' ? el : null) };
+    function updateStatusMessage(view, message) {
+        const text = String(message || '').trim();
+        const el = view.el('statusMessage');
+        if (el) {
+            el.textContent = text;
+            el.classList.toggle('hidden', !text);
+        }
+        const statusElement = view.el('status');
+        if (statusElement) statusElement.title = text;
+    }
+    const message = (state, text) => {
+        updateStatusMessage(view, presentState(state).message ? text : '');
+        return el.textContent;
+    };
+
+    // Act & Assert
+    assertEqual(message('error', 'Heater extruder not heating at expected rate '), 'Heater extruder not heating at expected rate', 'Error should show its reason');
+    assertEqual(message('cancelled', ''), '', 'Cancelled without a reason shows nothing');
+    assertEqual(message('printing', 'Printing'), '', 'Printing should not show the host message');
+    assertEqual(presentState('paused').eta, false, 'Paused has no finish time');
+    assertEqual(presentState('paused').remaining, true, 'Paused keeps the remaining time');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Metadata loads for every state that keeps the job on screen, and a
+ * file without metadata isn't looked up again on every render
+ */
+function test_state_presentation_metadata() {
+    console.log('TEST: Metadata loads after a reload while paused or finished');
+
+    // Arrange - Session state around ensureMetadataLoaded(); fetchMetadata() records the request and never answers
+    const METADATA_RETRY_MS = 60000;    // A file whose metadata couldn't be read is looked up again after this
+    const settings = { debug: false };
+    const metadataCache = {};
+    const layerTracker = { reset: () => {} };
+    const fileCache = { get: () => null };
+    const fileCacheKey = filename => filename;
+    const requested = [];
+    const fetchMetadata = filename => {
+        requested.push(filename);
+        return new Promise(() => {});
+    };
+    async function ensureMetadataLoaded(filename, state) {
+        if (!presentState(state).job || !filename) return;
+        if (metadataCache.filename === filename && metadataCache.data) return;
+        // a deleted or unreadable file isn't looked up again on every render while it stays on screen
+        if (metadataCache.filename === filename && Date.now() - metadataCache.failedAt < METADATA_RETRY_MS) return;
+
+        // a new file (not a retry after metadata failed to load) starts layer tracking over
+        if (metadataCache.filename !== filename) {
+            metadataCache.layerHeights = null;
+            metadataCache.layerScan = null;
+            metadataCache.failedAt = 0;
+            layerTracker.reset();
+        }
+        metadataCache.filename = filename;
+        metadataCache.filenamePatterns = [];
+
+        // After a reload mid-print the last parse is shown right away and checked in the background
+        const cached = fileCache.get(fileCacheKey(filename));
+        if (cached?.metadata) {
+            metadataCache.data = cached.metadata;
+            metadataCache.source = cached.source;
+            metadataCache.stamp = cached.stamp;
+            checkCachedFile(filename, cached.stamp);
+            if (settings.debug) console.log('[OBS Print Progress] Metadata restored from cache:', filename);
+            applyFilenamePatterns(filename);
+            return;
+        }
+
+        const metaResult = await fetchMetadata(filename);
+        metadataCache.data = metaResult?.data || null;
+        metadataCache.source = metaResult?.source || null;
+        metadataCache.stamp = metaResult?.stamp || null;
+        metadataCache.failedAt = metadataCache.data ? 0 : Date.now();
+
+        // cached before the filename fills gaps, so edited patterns apply on the next load
+        if (metadataCache.data && metadataCache.stamp) {
+            fileChecks.set(filename, Promise.resolve(true));  // just read from the printer
+            fileCache.set(fileCacheKey(filename), {
+                stamp: metadataCache.stamp,
+                source: metadataCache.source,
+                metadata: metadataCache.data
+            });
+        }
+
+        applyFilenamePatterns(filename);
+    }
+    const loadsMetadata = (filename, state) => {
+        const before = requested.length;
+        ensureMetadataLoaded(filename, state);
+        return requested.length > before;
+    };
+
+    // Act & Assert
+    assertEqual(loadsMetadata('benchy.gcode', 'paused'), true, 'Paused should load slicer totals and layers');
+    assertEqual(loadsMetadata('benchy.gcode', 'complete'), true, 'Complete should load the final job details');
+    assertEqual(loadsMetadata('benchy.gcode', 'standby'), false, 'Standby shows no job');
+    assertEqual(loadsMetadata('', 'printing'), false, 'No file, nothing to load');
+
+    // A lookup that found nothing is remembered for the file
+    metadataCache.filename = 'deleted.gcode';
+    metadataCache.data = null;
+    metadataCache.failedAt = Date.now();
+    assertEqual(loadsMetadata('deleted.gcode', 'complete'), false, 'A failed lookup should not repeat on the next render');
+    metadataCache.failedAt = Date.now() - METADATA_RETRY_MS;
+    assertEqual(loadsMetadata('deleted.gcode', 'complete'), true, 'A failed lookup should be retried after METADATA_RETRY_MS');
+    metadataCache.filename = 'deleted.gcode';
+    metadataCache.failedAt = Date.now();
+    assertEqual(loadsMetadata('other.gcode', 'printing'), true, 'Another file should be looked up right away');
+    assertEqual(metadataCache.failedAt, 0, 'Another file should start without a failed lookup');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// JOB PANEL TESTS
+// ============================================================================
+
+/**
+ * Test: History lists finished jobs with their result, skipping the running one
+ */
+function test_job_history_results() {
+    console.log('TEST: Job history results');
+
+    // Arrange
+    function historyResult(status) {
+        if (status === 'completed') return 'complete';
+        if (status === 'cancelled') return 'cancelled';
+        return 'error';
+    }
+
+    function historyJobs(list, count) {
+        return list
+            .filter(job => job.status !== 'in_progress')
+            .slice(0, count)
+            .map(job => ({
+                id: job.job_id,
+                filename: job.filename,
+                result: historyResult(job.status),
+                duration: asNumber(job.print_duration),
+                endTime: asNumber(job.end_time)
+            }));
+    }
+    const list = [
+        { job_id: 'h0', status: 'in_progress' },
+        { job_id: 'h1', status: 'completed' },
+        { job_id: 'h2', status: 'klippy_shutdown' },
+        { job_id: 'h3', status: 'cancelled' },
+        { job_id: 'h4', status: 'server_exit' }
+    ];
+
+    // Act
+    const history = historyJobs(list, 3).map(job => `${job.id}:${job.result}`);
+
+    // Assert
+    assertEqual(history.join(','), 'h1:complete,h2:error,h3:cancelled', 'Should map results and keep the newest three');
+    assertEqual(historyResult('klippy_disconnect'), 'error', 'Lost connections count as errors');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: jobQueue / jobHistory sizes fall back to the default when invalid
+ */
+function test_job_panel_size() {
+    console.log('TEST: Job panel size');
+
+    // Arrange
+    const JOB_PANEL_MAX = 10;
+
+    const DEFAULT_JOB_PANEL_SIZE = 3;
+
+    function jobPanelSize(value) {
+        const count = Number(value);
+        if (value === undefined || !Number.isInteger(count) || count < 0 || count > JOB_PANEL_MAX) return DEFAULT_JOB_PANEL_SIZE;
+        return count;
+    }
+
+    // Act & Assert
+    assertEqual(jobPanelSize(undefined), 3, 'Should default to 3 jobs');
+    assertEqual(jobPanelSize(5), 5, 'Should accept a count');
+    assertEqual(jobPanelSize(0), 0, 'Should accept 0 to hide a list');
+    assertEqual(jobPanelSize(11), 3, 'Should reject more than 10');
+    assertEqual(jobPanelSize(2.5), 3, 'Should reject fractions');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Queue and history are re-read on state changes or after the refresh interval
+ */
+function test_job_refresh() {
+    console.log('TEST: Job panel refresh');
+
+    // Arrange - Session state around refreshJobs(); fetchJobs() counts requests and never answers
+    const settings = { debug: false };
+    let jobs = null;
+    let jobsFetch = null;
+    let jobsFetchedAt = 0;
+    let jobsState = null;
+    let fetches = 0;
+    const backend = {
+        fetchJobs: () => {
+            fetches++;
+            return new Promise(() => {});
+        }
+    };
+    const JOB_REFRESH_MS = 30000;
+
+    function refreshJobs(state) {
+        if (jobsFetch) return;
+        if (state === jobsState && Date.now() - jobsFetchedAt < JOB_REFRESH_MS) return;
+
+        jobsState = state;
+        jobsFetch = backend.fetchJobs()
+            .then(result => { jobs = result; })
+            .catch(err => {
+                if (settings.debug) console.warn('[OBS Print Progress] Job queue/history unavailable:', err.message);
+            })
+            .finally(() => {
+                jobsFetchedAt = Date.now();
+                jobsFetch = null;
+            });
+    }
+    const refreshes = (state, age, inFlight = false) => {
+        const before = fetches;
+        jobsFetch = inFlight ? Promise.resolve() : null;
+        jobsFetchedAt = Date.now() - age;
+        refreshJobs(state);
+        return fetches > before;
+    };
+
+    // Act & Assert
+    assertEqual(refreshes('printing', 0), true, 'First status should load the panel');
+    assertEqual(refreshes('printing', 5000), false, 'Same state within the interval should not refetch');
+    assertEqual(refreshes('complete', 5000), true, 'A finished print should refresh history right away');
+    assertEqual(refreshes('complete', 30000), true, 'Should refresh after the interval');
+    assertEqual(refreshes('printing', 60000, true), false, 'Should never overlap refreshes');
+    assertEqual(jobs, null, 'Should keep the panel until the fetch answers');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// PRINTER STATS TESTS
+// ============================================================================
+
+// Copied from print-progress.js
+function formatPrintHours(seconds, locale) {
+    if (!(seconds > 0)) return '--';
+    const hours = seconds / 3600;
+    return `${formatNumber(locale, hours, hours < 10 ? 1 : 0)} h`;
+}
+
+function formatFilamentTotal(mm, locale) {
+    if (!(mm > 0)) return '--';
+    const meters = mm / 1000;
+    if (meters >= 1000) return `${formatNumber(locale, meters / 1000, 1)} km`;
+    return `${formatNumber(locale, meters)} m`;
+}
+
+/**
+ * Test: Lifetime print time is shown in hours
+ */
+function test_stats_print_hours() {
+    console.log('TEST: Stats print hours');
+
+    // Act & Assert
+    assertEqual(formatPrintHours(4442400, 'en'), '1,234 h', 'Should show whole hours with grouping');
+    assertEqual(formatPrintHours(27000, 'en'), '7.5 h', 'Should keep a decimal below ten hours');
+    assertEqual(formatPrintHours(null, 'en'), '--', 'Missing totals show a placeholder');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Lifetime filament switches from metres to kilometres
+ */
+function test_stats_filament_total() {
+    console.log('TEST: Stats filament total');
+
+    // Act & Assert
+    assertEqual(formatFilamentTotal(850400, 'en'), '850 m', 'Should show metres below a kilometre');
+    assertEqual(formatFilamentTotal(12345678, 'en'), '12.3 km', 'Should show kilometres from 1000 m on');
+    assertEqual(formatFilamentTotal(0, 'en'), '--', 'A printer without history shows a placeholder');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Idle-screen stats hide while a job is on screen; the widget always shows them
+ */
+function test_stats_idle_only() {
+    console.log('TEST: Stats on the idle screen');
+
+    // Arrange - A stats panel without value elements (formatTime() is not under test)
+    const formatTime = () => '--';
+    const panel = { dataset: {}, hidden: false, classList: { toggle: (name, force) => { panel.hidden = force; } } };
+    const view = { el: id => (id === 'printerStats' ? panel : null) };
+    function updatePrinterStats(view, settings, stats, state) {
+        const panel = view.el('printerStats');
+        if (!panel) return;
+
+        const idleOnly = panel.dataset.show === 'idle';
+        panel.classList.toggle('hidden', !stats || (idleOnly && presentState(state).job));
+        if (!stats) return;
+
+        const locale = settings?.locale;
+        const set = (id, text) => {
+            const el = view.el(id);
+            if (el) el.textContent = text;
+        };
+        set('statPrintTime', formatPrintHours(stats.printTime, locale));
+        set('statFilament', formatFilamentTotal(stats.filament, locale));
+        set('statJobs', stats.jobs !== null ? formatNumber(locale, stats.jobs) : '--');
+        set('statLongest', formatTime(stats.longestPrint, locale));
+    }
+    const stats = { printTime: 3600, filament: 1000, jobs: 1, longestPrint: 3600 };
+    const hidden = (stats, show, state) => {
+        panel.dataset.show = show;
+        updatePrinterStats(view, { locale: 'en' }, stats, state);
+        return panel.hidden;
+    };
+
+    // Act & Assert
+    assertEqual(hidden(stats, 'idle', 'standby'), false, 'Idle screen should show the stats');
+    assertEqual(hidden(stats, 'idle', 'printing'), true, 'Printing should hide idle-screen stats');
+    assertEqual(hidden(stats, undefined, 'printing'), false, 'The stats widget should always show');
+    assertEqual(hidden(null, undefined, 'standby'), true, 'No totals yet should hide the panel');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// OBJECT MAP TESTS
+// ============================================================================
+
+/**
+ * Test: exclude_object status marks the current and excluded objects
+ */
+function test_object_map_flags() {
+    console.log('TEST: Object map flags');
+
+    // Arrange
+    function xyPoint(value) {
+        if (!Array.isArray(value)) return null;
+        const x = Number(value[0]);
+        const y = Number(value[1]);
+        return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+    }
+
+    function buildObjectMap(excludeObject, toolhead) {
+        const defined = Array.isArray(excludeObject?.objects) ? excludeObject.objects : [];
+        if (!defined.length) return null;
+
+        const excluded = new Set(excludeObject.excluded_objects || []);
+        const current = excludeObject.current_object || null;
+        const objects = defined
+            .filter(object => object?.name)
+            .map(object => ({
+                name: object.name,
+                center: xyPoint(object.center),
+                polygon: (object.polygon || []).map(xyPoint).filter(Boolean),
+                excluded: excluded.has(object.name),
+                current: object.name === current
+            }));
+
+        const min = xyPoint(toolhead?.axis_minimum);
+        const max = xyPoint(toolhead?.axis_maximum);
+        return {
+            objects,
+            current,
+            excludedCount: objects.filter(object => object.excluded).length,
+            bed: min && max && max[0] > min[0] && max[1] > min[1] ? { min, max } : null,
+            position: xyPoint(toolhead?.position)
+        };
+    }
+    const status = {
+        objects: [{ name: 'CUBE_1' }, { name: 'CUBE_2' }, { name: 'PIN' }],
+        current_object: 'CUBE_2',
+        excluded_objects: ['CUBE_1']
+    };
+
+    // Act
+    const map = buildObjectMap(status, null);
+
+    // Assert
+    assertEqual(map.objects.filter(object => object.excluded).map(object => object.name).join(','), 'CUBE_1', 'Only CUBE_1 should be excluded');
+    assertEqual(map.objects.filter(object => object.current).map(object => object.name).join(','), 'CUBE_2', 'CUBE_2 should be current');
+    assertEqual(map.excludedCount, 1, 'Should count the excluded objects');
+    assertEqual(buildObjectMap({ objects: [{ name: 'A' }], current_object: null }, null).objects.some(object => object.current), false, 'Between objects nothing is current');
+    console.log('✓ PASS\n');
+}
+
+// Copied from print-progress.js
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+const OBJECT_MAP_MARKER = 0.02;
+
+function objectMapShapes(map) {
+    const points = map.objects.flatMap(object => (object.polygon.length ? object.polygon : [object.center])).filter(Boolean);
+    let bed = map.bed;
+    if (!bed) {
+        if (!points.length) return null;
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        const margin = Math.max(10, (Math.max(...xs) - Math.min(...xs)) * 0.1, (Math.max(...ys) - Math.min(...ys)) * 0.1);
+        bed = { min: [Math.min(...xs) - margin, Math.min(...ys) - margin], max: [Math.max(...xs) + margin, Math.max(...ys) + margin] };
+    }
+
+    const width = bed.max[0] - bed.min[0];
+    const height = bed.max[1] - bed.min[1];
+    const toSvg = ([x, y]) => [round2(x - bed.min[0]), round2(bed.max[1] - y)];
+    const radius = round2(Math.max(width, height) * OBJECT_MAP_MARKER);
+
+    const shapes = map.objects.map(object => {
+        const shape = { name: object.name, excluded: object.excluded, current: object.current };
+        if (object.polygon.length >= 3) return { ...shape, points: object.polygon.map(point => toSvg(point).join(',')).join(' ') };
+        if (object.center) {
+            const [cx, cy] = toSvg(object.center);
+            return { ...shape, cx, cy, r: radius };
+        }
+        return null;
+    }).filter(Boolean);
+
+    const inside = map.position && map.position[0] >= bed.min[0] && map.position[0] <= bed.max[0] &&
+        map.position[1] >= bed.min[1] && map.position[1] <= bed.max[1];
+    return {
+        viewBox: `0 0 ${round2(width)} ${round2(height)}`,
+        width: round2(width),
+        height: round2(height),
+        shapes,
+        dot: inside ? toSvg(map.position) : null,
+        dotRadius: radius
+    };
+}
+
+/**
+ * Test: Bed coordinates map to SVG with the back of the bed at the top
+ */
+function test_object_map_flip() {
+    console.log('TEST: Object map coordinates');
+
+    // Arrange
+    const marker = (name, center) => ({ name, center, polygon: [], excluded: false, current: false });
+    const map = {
+        objects: [marker('front-left', [0, -10]), marker('center', [110, 100])],
+        bed: { min: [0, -10], max: [220, 210] },
+        position: [220, 210]
+    };
+
+    // Act
+    const { shapes, dot } = objectMapShapes(map);
+
+    // Assert
+    assertEqual(`${shapes[0].cx},${shapes[0].cy}`, '0,220', 'Front-left corner should be bottom-left');
+    assertEqual(dot.join(','), '220,0', 'Back-right corner should be top-right');
+    assertEqual(`${shapes[1].cx},${shapes[1].cy}`, '110,110', 'Negative axis minimum should shift the map');
+    console.log('✓ PASS\n');
+}
+
+/**
+ * Test: Without axis limits the map fits the objects with a margin
+ */
+function test_object_map_bed_fallback() {
+    console.log('TEST: Object map bed fallback');
+
+    // Arrange
+    const plate = (...centers) => ({
+        objects: centers.map((center, index) => ({ name: `O${index}`, center, polygon: [], excluded: false, current: false })),
+        bed: null,
+        position: null
+    });
+
+    // Act
+    const small = objectMapShapes(plate([40, 40], [60, 60]));
+    const wide = objectMapShapes(plate([0, 100], [300, 120]));
+
+    // Assert
+    assertEqual(small.viewBox, '0 0 40 40', 'Small plates should keep at least 10 mm of margin');
+    assertEqual(`${small.shapes[0].cx},${small.shapes[0].cy}`, '10,30', 'Margin applies on every side');
+    assertEqual(wide.viewBox, '0 0 360 80', 'Wide plates should use 10% of the largest span');
+    console.log('✓ PASS\n');
+}
+
+// ============================================================================
+// SOURCE COPY TESTS
+// ============================================================================
+
+/**
+ * Every named declaration in `text` ("function name(" and "const NAME ="
+ * tables), whitespace-normalized per line, keyed by name.
+ */
+function readDeclarations(text) {
+    const declarations = new Map();
+    const pattern = /^[ \t]*(?:(?:async )?function (\w+)\s*\(|const ([A-Z][A-Z0-9_]*) = )/gm;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const name = match[1] || match[2];
+        const end = declarationEnd(text, match.index + match[0].length, !!match[1]);
+        const body = text.slice(match.index, end).split('\n').map(line => line.trim()).join('\n');
+        if (!declarations.has(name)) declarations.set(name, []);
+        declarations.get(name).push(body);
+    }
+    return declarations;
+}
+
+// End of a declaration: the brace closing a function body, or the ";" ending a const
+function declarationEnd(text, start, isFunction) {
+    let depth = isFunction ? 1 : 0;  // a function match ends inside its "("
+    let opened = false;
+    const templates = [];  // brace depth of each open ${...}
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        const next = text[i + 1];
+        if (c === '/' && next === '/') {
+            i = text.indexOf('\n', i);
+            if (i < 0) return text.length;
+            continue;
+        }
+        if (c === '/' && next === '*') {
+            i = text.indexOf('*/', i + 2) + 1;
+            continue;
+        }
+        if (c === '"' || c === "'") {
+            for (i++; i < text.length && text[i] !== c; i++) if (text[i] === '\\') i++;
+            continue;
+        }
+        if (c === '`' || (c === '}' && templates.length && templates[templates.length - 1] === depth)) {
+            if (c === '}') templates.pop();
+            // template text up to the closing backtick or the next ${
+            for (i++; i < text.length && text[i] !== '`'; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                } else if (text[i] === '$' && text[i + 1] === '{') {
+                    i++;
+                    templates.push(depth);
+                    break;
+                }
+            }
+            continue;
+        }
+        if (c === '/') {
+            // a regex literal follows an operator or an opening bracket
+            const before = text.slice(start, i).trimEnd().slice(-1);
+            if (!before || '(,=:[!&|?{};+-*%<>~^'.includes(before) || /\breturn$/.test(text.slice(start, i).trimEnd())) {
+                let inClass = false;
+                for (i++; i < text.length; i++) {
+                    if (text[i] === '\\') i++;
+                    else if (text[i] === '[') inClass = true;
+                    else if (text[i] === ']') inClass = false;
+                    else if (text[i] === '/' && !inClass) break;
+                }
+            }
+            continue;
+        }
+        if (c === '{' || c === '(' || c === '[') {
+            if (c === '{' && depth === 0) opened = true;  // the body, not a default parameter
+            depth++;
+        } else if (c === '}' || c === ')' || c === ']') {
+            depth--;
+            if (isFunction && opened && depth === 0) return i + 1;
+        } else if (!isFunction && c === ';' && depth === 0) {
+            return i + 1;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Test: Logic copied into these tests is identical to print-progress.js
+ */
+function test_copies_match_source() {
+    console.log('TEST: Copied functions match print-progress.js');
+
+    // Arrange - Every function and table in this file that print-progress.js also declares is a copy
+    const fs = require('fs');
+    const path = require('path');
+    const source = readDeclarations(fs.readFileSync(path.join(__dirname, '..', 'print-progress.js'), 'utf8'));
+    const copies = readDeclarations(fs.readFileSync(__filename, 'utf8'));
+
+    // Act
+    let checked = 0;
+    const changed = [];
+    copies.forEach((bodies, name) => {
+        if (!source.has(name) || name.startsWith('test_')) return;
+        bodies.forEach(body => {
+            checked++;
+            if (!source.get(name).includes(body)) changed.push(name);
+        });
+    });
+
+    // Assert
+    assertEqual(changed.join(', '), '', 'Copies should be updated together with print-progress.js');
+    assertEqual(checked > 0, true, 'Should find the copied functions');
+    console.log('✓ PASS\n');
+}
+
 // ============================================================================
 // TEST UTILITIES
 // ============================================================================
@@ -801,7 +4413,136 @@ function runAllTests() {
         
         // Thumbnail URL tests
         test_thumbnail_url_has_gcodes_prefix,
-        test_thumbnail_url_encoding
+        test_thumbnail_url_encoding,
+        test_gcode_metadata_read_url,
+        
+        // WebSocket tests
+        test_websocket_delta_merge,
+        test_websocket_subscribe_payload,
+        
+        // Authentication tests
+        test_api_key_header_added,
+        test_oneshot_token_appended_to_url,
+        test_config_log_redacts_secrets,
+        
+        // Base URL tests
+        test_base_url_from_parts,
+        test_base_url_explicit,
+        test_base_url_invalid_address,
+        test_default_camera_url_from_base,
+        
+        // Backend tests
+        test_octoprint_state_mapping,
+        test_octoprint_status_normalization,
+        
+        // PrusaLink tests
+        test_digest_challenge_parsing,
+        test_digest_response_rfc2617,
+        test_prusalink_state_mapping,
+        
+        // Poll scheduler tests
+        test_poll_delay_adaptive,
+        test_poll_single_flight,
+        
+        // Farm dashboard tests
+        test_printer_sessions_isolated,
+        test_farm_printer_selection,
+        test_card_view_lookup,
+        
+        // Carousel tests
+        test_carousel_printing_priority,
+        test_carousel_jump_on_state_change,
+        test_parse_printer_keys,
+        
+        // Slicer metadata tests
+        test_detect_slicer_banner,
+        test_parse_slicer_duration,
+        test_prusaslicer_tail_config,
+        
+        // Thumbnail tests
+        test_pick_thumbnail_best_fit,
+        test_parse_thumbnail_blocks,
+        test_decode_qoi,
+        
+        // Persistent cache tests
+        test_cache_lru_eviction,
+        test_cache_size_cap,
+        test_cache_file_stamp,
+        
+        // Filename pattern tests
+        test_default_filename_patterns,
+        test_custom_filename_pattern,
+        test_filename_pattern_validation,
+        
+        // Layer tracking tests
+        test_layer_tracker_ignores_z_hop,
+        test_layer_marker_scan,
+        test_layer_scan_size_limit,
+        test_layer_from_gcode_heights,
+        
+        // Remaining time strategy tests
+        test_remaining_filament_estimate,
+        test_remaining_strategies,
+        test_remaining_blend,
+        
+        // ETA tests
+        test_eta_relative_day,
+        test_eta_time_zone_and_clock,
+        test_eta_time_zone_validation,
+        
+        // Localization tests
+        test_translate_locale_fallback,
+        test_imperial_units,
+        test_locale_number_format,
+        
+        // Layout tests
+        test_layout_selection,
+        test_layout_templates_element_ids,
+        
+        // Widget tests
+        test_widget_names,
+        test_view_needs,
+        test_widget_templates_element_ids,
+        
+        // Temperature history tests
+        test_temp_history_window,
+        test_temperature_store_backfill,
+        test_sparkline_paths,
+        
+        // Multi-extruder tests
+        test_detect_extruder_objects,
+        test_tool_temps_active,
+        test_tool_chip_dimming,
+        
+        // Custom field tests
+        test_custom_field_paths,
+        test_custom_field_format,
+        test_custom_field_thresholds,
+        test_custom_field_probe_retried_on_subscribe,
+        
+        // Print state tests
+        test_state_presentation_job,
+        test_state_presentation_complete,
+        test_state_presentation_message,
+        test_state_presentation_metadata,
+        
+        // Job panel tests
+        test_job_history_results,
+        test_job_panel_size,
+        test_job_refresh,
+        
+        // Printer stats tests
+        test_stats_print_hours,
+        test_stats_filament_total,
+        test_stats_idle_only,
+        
+        // Object map tests
+        test_object_map_flags,
+        test_object_map_flip,
+        test_object_map_bed_fallback,
+        
+        // Source copy tests
+        test_copies_match_source
     ];
     
     for (const test of tests) {
@@ -875,5 +4616,134 @@ module.exports = {
     
     // Thumbnail URL tests
     test_thumbnail_url_has_gcodes_prefix,
-    test_thumbnail_url_encoding
+    test_thumbnail_url_encoding,
+    test_gcode_metadata_read_url,
+    
+    // WebSocket tests
+    test_websocket_delta_merge,
+    test_websocket_subscribe_payload,
+    
+    // Authentication tests
+    test_api_key_header_added,
+    test_oneshot_token_appended_to_url,
+    test_config_log_redacts_secrets,
+    
+    // Base URL tests
+    test_base_url_from_parts,
+    test_base_url_explicit,
+    test_base_url_invalid_address,
+    test_default_camera_url_from_base,
+    
+    // Backend tests
+    test_octoprint_state_mapping,
+    test_octoprint_status_normalization,
+    
+    // PrusaLink tests
+    test_digest_challenge_parsing,
+    test_digest_response_rfc2617,
+    test_prusalink_state_mapping,
+    
+    // Poll scheduler tests
+    test_poll_delay_adaptive,
+    test_poll_single_flight,
+    
+    // Farm dashboard tests
+    test_printer_sessions_isolated,
+    test_farm_printer_selection,
+    test_card_view_lookup,
+    
+    // Carousel tests
+    test_carousel_printing_priority,
+    test_carousel_jump_on_state_change,
+    test_parse_printer_keys,
+    
+    // Slicer metadata tests
+    test_detect_slicer_banner,
+    test_parse_slicer_duration,
+    test_prusaslicer_tail_config,
+    
+    // Thumbnail tests
+    test_pick_thumbnail_best_fit,
+    test_parse_thumbnail_blocks,
+    test_decode_qoi,
+    
+    // Persistent cache tests
+    test_cache_lru_eviction,
+    test_cache_size_cap,
+    test_cache_file_stamp,
+    
+    // Filename pattern tests
+    test_default_filename_patterns,
+    test_custom_filename_pattern,
+    test_filename_pattern_validation,
+    
+    // Layer tracking tests
+    test_layer_tracker_ignores_z_hop,
+    test_layer_marker_scan,
+    test_layer_scan_size_limit,
+    test_layer_from_gcode_heights,
+    
+    // Remaining time strategy tests
+    test_remaining_filament_estimate,
+    test_remaining_strategies,
+    test_remaining_blend,
+    
+    // ETA tests
+    test_eta_relative_day,
+    test_eta_time_zone_and_clock,
+    test_eta_time_zone_validation,
+    
+    // Localization tests
+    test_translate_locale_fallback,
+    test_imperial_units,
+    test_locale_number_format,
+    
+    // Layout tests
+    test_layout_selection,
+    test_layout_templates_element_ids,
+    
+    // Widget tests
+    test_widget_names,
+    test_view_needs,
+    test_widget_templates_element_ids,
+    
+    // Temperature history tests
+    test_temp_history_window,
+    test_temperature_store_backfill,
+    test_sparkline_paths,
+    
+    // Multi-extruder tests
+    test_detect_extruder_objects,
+    test_tool_temps_active,
+    test_tool_chip_dimming,
+    
+    // Custom field tests
+    test_custom_field_paths,
+    test_custom_field_format,
+    test_custom_field_thresholds,
+    test_custom_field_probe_retried_on_subscribe,
+    
+    // Print state tests
+    test_state_presentation_job,
+    test_state_presentation_complete,
+    test_state_presentation_message,
+    test_state_presentation_metadata,
+    
+    // Job panel tests
+    test_job_history_results,
+    test_job_panel_size,
+    test_job_refresh,
+    
+    // Printer stats tests
+    test_stats_print_hours,
+    test_stats_filament_total,
+    test_stats_idle_only,
+    
+    // Object map tests
+    test_object_map_flags,
+    test_object_map_flip,
+    test_object_map_bed_fallback,
+    
+    // Source copy tests
+    test_copies_match_source
 };